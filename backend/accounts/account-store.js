@@ -0,0 +1,237 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { PLANS, DEFAULT_PLAN, planFor } = require('./plans');
+const JsonFile = require('../storage/json-file');
+
+const scrypt = promisify(crypto.scrypt);
+const KEY_LENGTH = 64;
+const MIN_PASSWORD_LENGTH = 8;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const API_KEY_PREFIX = 'bca_';
+const MAX_API_KEYS = 10;
+
+class AccountValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AccountValidationError';
+  }
+}
+
+class AuthError extends Error {
+  constructor(message = 'Sign in to continue') {
+    super(message);
+    this.name = 'AuthError';
+  }
+}
+
+// User accounts, persisted to a JSON file.
+//
+// Passwords are stored as "scrypt$<salt>$<key>" (hex) and never leave this
+// class; routes get the public view from `describe()`. The credit balance
+// lives on the account and only changes through the CreditLedger.
+//   { id, email, name, passwordHash, plan: 'free', credits, createdAt, lastLoginAt,
+//     apiKeys: [{ id, name, prefix, hash, createdAt, lastUsedAt }],
+//     planTopUps: { pro: '2026-10' } }   (month each plan's top-up was last granted)
+//
+// API keys are shown once when created; only their sha256 is kept.
+class AccountStore {
+  constructor({ filePath } = {}) {
+    if (!filePath) {
+      throw new Error('AccountStore requires a filePath');
+    }
+
+    this.filePath = filePath;
+    this.accounts = new Map();
+    this.file = new JsonFile(filePath, { label: 'accounts', mode: 0o600 });
+  }
+
+  load() {
+    return this.file.load(accounts => {
+      for (const account of accounts) {
+        this.accounts.set(account.id, account);
+      }
+      console.log(`👤 Loaded ${this.accounts.size} accounts from ${this.filePath}`);
+    });
+  }
+
+  persist() {
+    return this.file.write(Array.from(this.accounts.values()));
+  }
+
+  async hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const key = await scrypt(password, salt, KEY_LENGTH);
+    return `scrypt$${salt.toString('hex')}$${key.toString('hex')}`;
+  }
+
+  async verifyPassword(password, passwordHash) {
+    const [scheme, saltHex, keyHex] = String(passwordHash || '').split('$');
+    if (scheme !== 'scrypt' || !saltHex || !keyHex) return false;
+
+    const expected = Buffer.from(keyHex, 'hex');
+    const actual = await scrypt(password, Buffer.from(saltHex, 'hex'), expected.length);
+    return crypto.timingSafeEqual(actual, expected);
+  }
+
+  normalizeEmail(email) {
+    return String(email || '').trim().toLowerCase();
+  }
+
+  findByEmail(email) {
+    const wanted = this.normalizeEmail(email);
+    return Array.from(this.accounts.values()).find(account => account.email === wanted) || null;
+  }
+
+  async register({ email, password, name } = {}) {
+    await this.load();
+
+    const normalized = this.normalizeEmail(email);
+    if (!EMAIL_PATTERN.test(normalized)) {
+      throw new AccountValidationError('email must be an email address');
+    }
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      throw new AccountValidationError(`password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+
+    // Checked after hashing so two sign-ups racing on one email can't both pass
+    const passwordHash = await this.hashPassword(password);
+    if (this.findByEmail(normalized)) {
+      throw new AccountValidationError('An account with that email already exists');
+    }
+
+    const account = {
+      id: crypto.randomUUID(),
+      email: normalized,
+      name: name ? String(name).trim() : null,
+      passwordHash,
+      plan: DEFAULT_PLAN,
+      credits: planFor(DEFAULT_PLAN).credits,
+      createdAt: new Date().toISOString(),
+      lastLoginAt: null
+    };
+
+    this.accounts.set(account.id, account);
+    await this.persist();
+    return account;
+  }
+
+  // Same error, and about the same time, for an unknown email and a wrong password
+  async authenticate({ email, password } = {}) {
+    await this.load();
+
+    const account = this.findByEmail(email);
+    if (!account) {
+      await this.hashPassword(String(password || ''));
+      throw new AuthError('Email or password is incorrect');
+    }
+
+    const valid = typeof password === 'string' && await this.verifyPassword(password, account.passwordHash);
+    if (!valid) {
+      throw new AuthError('Email or password is incorrect');
+    }
+
+    account.lastLoginAt = new Date().toISOString();
+    await this.persist();
+    return account;
+  }
+
+  async get(id) {
+    await this.load();
+    return this.accounts.get(id) || null;
+  }
+
+  async update(id, changes) {
+    await this.load();
+    const account = this.accounts.get(id);
+    if (!account) return null;
+
+    Object.assign(account, changes);
+    await this.persist();
+    return account;
+  }
+
+  hashApiKey(key) {
+    return crypto.createHash('sha256').update(String(key)).digest('hex');
+  }
+
+  async createApiKey(id, { name } = {}) {
+    await this.load();
+    const account = this.accounts.get(id);
+    if (!account) return null;
+
+    account.apiKeys = account.apiKeys || [];
+    if (account.apiKeys.length >= MAX_API_KEYS) {
+      throw new AccountValidationError(`An account can have at most ${MAX_API_KEYS} API keys`);
+    }
+
+    const key = `${API_KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+    const apiKey = {
+      id: crypto.randomUUID(),
+      name: name ? String(name).trim().slice(0, 60) : null,
+      prefix: key.slice(0, API_KEY_PREFIX.length + 6),
+      hash: this.hashApiKey(key),
+      createdAt: new Date().toISOString(),
+      lastUsedAt: null
+    };
+
+    account.apiKeys.push(apiKey);
+    await this.persist();
+    return { key, apiKey: this.describeApiKey(apiKey) };
+  }
+
+  async revokeApiKey(id, keyId) {
+    await this.load();
+    const account = this.accounts.get(id);
+    const index = account && account.apiKeys ? account.apiKeys.findIndex(apiKey => apiKey.id === keyId) : -1;
+    if (index === -1) return false;
+
+    account.apiKeys.splice(index, 1);
+    await this.persist();
+    return true;
+  }
+
+  // The account and key record a raw API key belongs to, or null
+  async findByApiKey(key) {
+    await this.load();
+    if (typeof key !== 'string' || !key.startsWith(API_KEY_PREFIX)) return null;
+
+    const hash = this.hashApiKey(key);
+    for (const account of this.accounts.values()) {
+      const apiKey = (account.apiKeys || []).find(candidate => candidate.hash === hash);
+      if (apiKey) {
+        apiKey.lastUsedAt = new Date().toISOString();
+        return { account, apiKey };
+      }
+    }
+    return null;
+  }
+
+  describeApiKey(apiKey) {
+    return {
+      id: apiKey.id,
+      name: apiKey.name,
+      prefix: apiKey.prefix,
+      createdAt: apiKey.createdAt,
+      lastUsedAt: apiKey.lastUsedAt
+    };
+  }
+
+  describe(account) {
+    const plan = planFor(account.plan);
+    return {
+      id: account.id,
+      email: account.email,
+      name: account.name,
+      plan: plan.id,
+      planName: plan.name,
+      credits: account.credits,
+      createdAt: account.createdAt
+    };
+  }
+}
+
+AccountStore.PLANS = PLANS;
+
+module.exports = AccountStore;
+module.exports.AccountValidationError = AccountValidationError;
+module.exports.AuthError = AuthError;
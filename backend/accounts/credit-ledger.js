@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+const JsonFile = require('../storage/json-file');
+
+class InsufficientCreditsError extends Error {
+  constructor(balance, needed) {
+    super(`This needs ${needed} credit${needed === 1 ? '' : 's'} and you have ${balance}`);
+    this.name = 'InsufficientCreditsError';
+    this.balance = balance;
+    this.needed = needed;
+  }
+}
+
+// Every change to an account's credit balance, persisted to a JSON file.
+//
+// An entry is { id, accountId, amount (negative for debits), balance after,
+// reason, detail, dedupeKey, createdAt }. Debits happen before the work they
+// pay for and are refunded if it fails.
+//
+// A debit with a `dedupeKey` is free when the same key was charged within
+// `dedupeWindowMs`, so re-running a search to change its filters or sort,
+// or paging through it, isn't charged again.
+class CreditLedger {
+  constructor({ filePath, accounts, dedupeWindowMs = 10 * 60 * 1000 } = {}) {
+    if (!filePath) {
+      throw new Error('CreditLedger requires a filePath');
+    }
+
+    this.filePath = filePath;
+    this.accounts = accounts;
+    this.dedupeWindowMs = dedupeWindowMs;
+    this.entries = [];
+    this.file = new JsonFile(filePath, { label: 'credit ledger' });
+  }
+
+  load() {
+    return this.file.load(entries => {
+      this.entries = entries;
+      console.log(`💳 Loaded ${this.entries.length} credit ledger entries from ${this.filePath}`);
+    });
+  }
+
+  persist() {
+    return this.file.write(this.entries);
+  }
+
+  recentlyCharged(accountId, dedupeKey, now) {
+    return this.entries.some(entry =>
+      entry.accountId === accountId &&
+      entry.dedupeKey === dedupeKey &&
+      entry.amount < 0 &&
+      !entry.refunded &&
+      now - Date.parse(entry.createdAt) < this.dedupeWindowMs
+    );
+  }
+
+  // The balance check and the write happen in one tick so concurrent debits
+  // can't overdraw. Returns { charged, balance, entry }.
+  async debit(accountId, amount, { reason, detail = null, dedupeKey = null } = {}) {
+    await this.load();
+    const account = await this.accounts.get(accountId);
+    if (!account) throw new Error(`Unknown account ${accountId}`);
+
+    const now = Date.now();
+    if (dedupeKey && this.recentlyCharged(accountId, dedupeKey, now)) {
+      return { charged: 0, balance: account.credits, entry: null };
+    }
+    if (account.credits < amount) {
+      throw new InsufficientCreditsError(account.credits, amount);
+    }
+
+    account.credits -= amount;
+    const entry = this.record(account, -amount, reason, detail, dedupeKey, now);
+    await Promise.all([this.accounts.persist(), this.persist()]);
+    return { charged: amount, balance: account.credits, entry };
+  }
+
+  async grant(accountId, amount, { reason, detail = null } = {}) {
+    await this.load();
+    const account = await this.accounts.get(accountId);
+    if (!account) throw new Error(`Unknown account ${accountId}`);
+
+    account.credits += amount;
+    const entry = this.record(account, amount, reason, detail, null, Date.now());
+    await Promise.all([this.accounts.persist(), this.persist()]);
+    return { balance: account.credits, entry };
+  }
+
+  // Give back a debit whose work failed
+  async refund(debitEntry) {
+    if (!debitEntry || debitEntry.refunded) return null;
+    debitEntry.refunded = true;
+    return this.grant(debitEntry.accountId, -debitEntry.amount, { reason: 'refund', detail: { entryId: debitEntry.id } });
+  }
+
+  record(account, amount, reason, detail, dedupeKey, now) {
+    const entry = {
+      id: crypto.randomUUID(),
+      accountId: account.id,
+      amount,
+      balance: account.credits,
+      reason,
+      detail,
+      dedupeKey,
+      createdAt: new Date(now).toISOString()
+    };
+    this.entries.push(entry);
+    return entry;
+  }
+
+  // Newest first
+  async history(accountId, { limit = 50 } = {}) {
+    await this.load();
+    return this.entries
+      .filter(entry => entry.accountId === accountId)
+      .slice(-limit)
+      .reverse()
+      .map(({ dedupeKey, ...entry }) => entry);
+  }
+}
+
+module.exports = CreditLedger;
+module.exports.InsufficientCreditsError = InsufficientCreditsError;
@@ -0,0 +1,39 @@
+// Plan tiers. New accounts start on `free` with its credits; an administrator
+// moving an account to a plan with more credits tops the balance up by the
+// difference, once per plan per month.
+//
+// `maxWatches` caps how many price/stock watches an account can keep.
+//
+// `quotas` caps each usage meter (see usage/usage-meter.js) per period:
+//   requests - any API call, per minute
+//   searches - supplier searches, per day
+//   bomLines - BOM lines priced, per month
+//   llmCalls - LLM query enhancements, per day
+const PLANS = {
+  free: {
+    id: 'free',
+    name: 'Free',
+    credits: 8,
+    maxWatches: 10,
+    quotas: { requests: 30, searches: 25, bomLines: 100, llmCalls: 25 }
+  },
+  pro: {
+    id: 'pro',
+    name: 'Pro',
+    credits: 500,
+    maxWatches: 500,
+    quotas: { requests: 120, searches: 1000, bomLines: 10000, llmCalls: 1000 }
+  }
+};
+
+const DEFAULT_PLAN = 'free';
+
+function planFor(id) {
+  return PLANS[id] || PLANS[DEFAULT_PLAN];
+}
+
+module.exports = {
+  PLANS,
+  DEFAULT_PLAN,
+  planFor
+};
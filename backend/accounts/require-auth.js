@@ -0,0 +1,50 @@
+// Express middleware that puts the signed-in account on `req.account`.
+//
+// The token comes from "Authorization: Bearer <token>", or from an
+// `access_token` query parameter on EventSource streams, which can't send
+// headers. Nothing else takes a token in the URL, where it would end up in
+// browser history and proxy logs. Scripts can send an "X-API-Key" header
+// instead; the key record goes on `req.apiKey`.
+// `publicPaths` are matched against the path below the mount point.
+function requireAuth({ tokens, accounts, publicPaths = [] }) {
+  return async (req, res, next) => {
+    if (req.method === 'OPTIONS' || publicPaths.includes(req.path)) return next();
+
+    const apiKey = req.get('X-API-Key');
+    if (apiKey) {
+      const match = await accounts.findByApiKey(apiKey);
+      if (!match) {
+        return res.status(401).json({
+          error: 'API key is invalid or revoked',
+          code: 'unauthorized',
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      req.account = match.account;
+      req.apiKey = match.apiKey;
+      return next();
+    }
+
+    const header = req.get('Authorization') || '';
+    const isEventStream = (req.get('Accept') || '').includes('text/event-stream');
+    const token = header.startsWith('Bearer ')
+      ? header.slice('Bearer '.length).trim()
+      : (isEventStream ? req.query.access_token : null);
+    const payload = tokens.verify(token);
+    const account = payload && await accounts.get(payload.sub);
+
+    if (!account) {
+      return res.status(401).json({
+        error: token ? 'Session expired or invalid; sign in again' : 'Sign in to continue',
+        code: 'unauthorized',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    req.account = account;
+    next();
+  };
+}
+
+module.exports = requireAuth;
@@ -0,0 +1,45 @@
+const crypto = require('crypto');
+
+// Signed, expiring session tokens: base64url(JSON payload) + "." +
+// base64url(HMAC-SHA256 of that). The payload is { sub: accountId, iat, exp }.
+// Without AUTH_TOKEN_SECRET a random secret is used, so sessions end when the
+// server restarts.
+class SessionTokens {
+  constructor({ secret = null, ttlSeconds = 7 * 24 * 60 * 60 } = {}) {
+    if (!secret) {
+      console.warn('⚠️ AUTH_TOKEN_SECRET is not set; sessions will not survive a restart');
+    }
+    this.secret = secret || crypto.randomBytes(32).toString('hex');
+    this.ttlSeconds = ttlSeconds;
+  }
+
+  signature(body) {
+    return crypto.createHmac('sha256', this.secret).update(body).digest('base64url');
+  }
+
+  issue(accountId) {
+    const now = Math.floor(Date.now() / 1000);
+    const payload = { sub: accountId, iat: now, exp: now + this.ttlSeconds };
+    const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    return { token: `${body}.${this.signature(body)}`, expiresAt: new Date(payload.exp * 1000).toISOString() };
+  }
+
+  // The payload, or null for anything tampered with, malformed or expired
+  verify(token) {
+    const [body, signature] = String(token || '').split('.');
+    if (!body || !signature) return null;
+
+    const expected = Buffer.from(this.signature(body));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+    try {
+      const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+      return payload.exp * 1000 > Date.now() ? payload : null;
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = SessionTokens;
@@ -0,0 +1,265 @@
+const { comparablePrice } = require('../scrapers/price-parser');
+
+const MAX_ALTERNATIVES = 5;
+
+class BomValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'BomValidationError';
+  }
+}
+
+// Prices a whole bill of materials in one call.
+//
+// A line is { query | partNumber, quantity = 1, preferredSupplier?, reference?, notes? }.
+// Every line goes through the same smartSearch as /api/search, a few lines at
+// a time so a large BOM doesn't open dozens of supplier searches at once.
+//
+// For each line the best offer is the preferred supplier's (when it carries
+// the part at a price) or else the cheapest per-unit offer on the top-ranked
+// part. Pack-priced offers are bought in whole packs, so 30 pieces from a
+// "pack of 25" costs two packs. A line with no priced offer is `unresolved`,
+// and so is one that only matched a generic search suggestion: those results
+// are offered as alternatives rather than priced into the BOM.
+class BomSearch {
+  constructor({ llmEnhancer, supplierSearch, partGrouper, attributeParser = null, registry, concurrency = 3, maxLines = 100, resultsPerLine = 10 }) {
+    this.llmEnhancer = llmEnhancer;
+    this.supplierSearch = supplierSearch;
+    this.partGrouper = partGrouper;
+    this.attributeParser = attributeParser;
+    this.registry = registry;
+    this.concurrency = concurrency;
+    this.maxLines = maxLines;
+    this.resultsPerLine = resultsPerLine;
+  }
+
+  // Normalized lines, or a BomValidationError naming the first bad line
+  validate(lines) {
+    if (!Array.isArray(lines) || lines.length === 0) {
+      throw new BomValidationError('lines must be a non-empty array');
+    }
+    if (lines.length > this.maxLines) {
+      throw new BomValidationError(`A BOM can have at most ${this.maxLines} lines (got ${lines.length})`);
+    }
+
+    return lines.map((line, index) => {
+      const label = `Line ${index + 1}`;
+      if (!line || typeof line !== 'object') {
+        throw new BomValidationError(`${label} must be an object`);
+      }
+
+      const query = String(line.query || line.partNumber || '').trim();
+      if (query.length < 2) {
+        throw new BomValidationError(`${label} needs a query or partNumber of at least 2 characters`);
+      }
+
+      const quantity = line.quantity === undefined ? 1 : Number(line.quantity);
+      if (!Number.isInteger(quantity) || quantity < 1) {
+        throw new BomValidationError(`${label} quantity must be a positive whole number`);
+      }
+
+      const preferredSupplier = line.preferredSupplier ? String(line.preferredSupplier).toLowerCase() : null;
+      if (preferredSupplier && !this.registry.has(preferredSupplier)) {
+        throw new BomValidationError(`${label} preferredSupplier must be one of: ${this.registry.ids().join(', ')}`);
+      }
+
+      return {
+        line: index + 1,
+        reference: line.reference || null,
+        query,
+        quantity,
+        preferredSupplier,
+        notes: line.notes || null
+      };
+    });
+  }
+
+  // Runs `fn` over `items` with at most `limit` calls in flight, keeping order
+  async mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const worker = async () => {
+      while (next < items.length) {
+        const index = next++;
+        results[index] = await fn(items[index], index);
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+  }
+
+  // Cost of buying `quantity` base units from an offer
+  extend(offer, quantity) {
+    const pricing = offer.pricing || {};
+    const packSize = pricing.unitDetermined && pricing.packSize > 1 ? pricing.packSize : 1;
+    const orderQuantity = Math.ceil(quantity / packSize);
+
+    return {
+      orderQuantity,
+      orderUnit: packSize > 1 ? pricing.unit : (pricing.unit || 'each'),
+      packSize: packSize > 1 ? packSize : null,
+      extendedCost: offer.price != null ? Math.round(orderQuantity * offer.price * 100) / 100 : null
+    };
+  }
+
+  describeOffer(offer, quantity) {
+    return {
+      supplier: offer.supplier,
+      partNumber: offer.partNumber,
+      name: offer.name,
+      price: offer.price,
+      priceText: offer.priceText,
+      unitPrice: comparablePrice(offer),
+      currency: (offer.pricing && offer.pricing.currency) || 'USD',
+      inStock: offer.inStock,
+      productUrl: offer.productUrl,
+      confidence: offer.confidence ?? null,
+      ...this.extend(offer, quantity)
+    };
+  }
+
+  chooseOffer(parts, preferredSupplier) {
+    const priced = (offers) => offers.filter(offer => offer.price != null);
+
+    if (preferredSupplier) {
+      for (const part of parts) {
+        const preferred = priced(part.offers).find(offer => offer.supplier === preferredSupplier);
+        if (preferred) return { offer: preferred, part, preferredSupplierUsed: true };
+      }
+    }
+
+    // Offers within a part are already sorted by unit price, those in the
+    // part's own base unit first
+    for (const part of parts) {
+      const cheapest = priced(part.offers)[0];
+      if (cheapest) return { offer: cheapest, part, preferredSupplierUsed: false };
+    }
+    return null;
+  }
+
+  async searchLine(line, { allowLLMCall } = {}) {
+    const attributes = this.attributeParser ? this.attributeParser.parse(line.query) : {};
+
+    // searchSuppliers reports a supplier that failed (scrape error, circuit
+    // open) as skipped rather than throwing, so keep track of them: a line no
+    // supplier could answer is an outage, not a miss
+    const failedSuppliers = new Map();
+    let answered = false;
+
+    try {
+      const searchResult = await this.llmEnhancer.smartSearch(line.query, async (searchQuery) => {
+        const page = await this.supplierSearch.searchSuppliers(searchQuery, this.resultsPerLine, {
+          attributes,
+          originalQuery: line.query
+        });
+        for (const [supplier, status] of Object.entries(page.suppliers)) {
+          if (!status.skipped) {
+            if (!status.exhausted) answered = true;
+            failedSuppliers.delete(supplier);
+          }
+        }
+        page.skipped.forEach(skip => failedSuppliers.set(skip.supplier, skip));
+        return page.results;
+      }, { allowLLMCall });
+
+      const failed = Array.from(failedSuppliers.values());
+      if (!answered && failed.length > 0) {
+        throw Object.assign(new Error(`No supplier could be searched (${failed.map(skip => `${skip.supplier}: ${skip.reason}`).join(', ')})`), { failedSuppliers: failed });
+      }
+
+      const parts = this.partGrouper.group(searchResult.results);
+      const suggestionOnly = searchResult.method === 'suggestion';
+      const choice = suggestionOnly ? null : this.chooseOffer(parts, line.preferredSupplier);
+      const base = {
+        ...line,
+        searchedQuery: searchResult.query,
+        enhancementMethod: searchResult.method,
+        resultCount: searchResult.results.length,
+        ...(failed.length > 0 && { failedSuppliers: failed })
+      };
+
+      if (!choice) {
+        return {
+          ...base,
+          unresolved: true,
+          reason: searchResult.results.length === 0 ? 'no_results' : (suggestionOnly ? 'suggestion_only' : 'no_priced_offer'),
+          bestOffer: null,
+          alternatives: searchResult.results.slice(0, MAX_ALTERNATIVES).map(offer => this.describeOffer(offer, line.quantity))
+        };
+      }
+
+      // Other suppliers for the same part first, then the next-best parts
+      const alternatives = [
+        ...choice.part.offers.filter(offer => offer !== choice.offer),
+        ...parts.filter(part => part !== choice.part).flatMap(part => part.offers)
+      ]
+        .filter(offer => offer.price != null)
+        .slice(0, MAX_ALTERNATIVES)
+        .map(offer => this.describeOffer(offer, line.quantity));
+
+      return {
+        ...base,
+        unresolved: false,
+        preferredSupplierUsed: choice.preferredSupplierUsed,
+        bestOffer: this.describeOffer(choice.offer, line.quantity),
+        alternatives
+      };
+    } catch (error) {
+      console.error(`❌ BOM line ${line.line} failed:`, error.message);
+      return {
+        ...line,
+        unresolved: true,
+        reason: 'error',
+        error: error.message,
+        ...(error.failedSuppliers && { failedSuppliers: error.failedSuppliers }),
+        bestOffer: null,
+        alternatives: []
+      };
+    }
+  }
+
+  summarize(lines) {
+    const bySupplier = new Map();
+    let total = 0;
+
+    for (const line of lines) {
+      if (line.unresolved) continue;
+      const { supplier, extendedCost } = line.bestOffer;
+      total += extendedCost;
+
+      const entry = bySupplier.get(supplier) || { supplier, name: this.supplierName(supplier), lineCount: 0, total: 0 };
+      entry.lineCount++;
+      entry.total = Math.round((entry.total + extendedCost) * 100) / 100;
+      bySupplier.set(supplier, entry);
+    }
+
+    const currencies = new Set(lines.filter(line => !line.unresolved).map(line => line.bestOffer.currency));
+    return {
+      lineCount: lines.length,
+      resolvedCount: lines.filter(line => !line.unresolved).length,
+      unresolvedCount: lines.filter(line => line.unresolved).length,
+      total: Math.round(total * 100) / 100,
+      currency: currencies.size === 1 ? [...currencies][0] : (currencies.size === 0 ? 'USD' : 'mixed'),
+      bySupplier: Array.from(bySupplier.values()).sort((a, b) => b.total - a.total)
+    };
+  }
+
+  supplierName(id) {
+    const adapter = this.registry.get(id);
+    return adapter ? adapter.name : id;
+  }
+
+  // `allowLLMCall` is handed to smartSearch for every line (see LLMSearchEnhancer)
+  async search(rawLines, { allowLLMCall } = {}) {
+    const lines = this.validate(rawLines);
+    console.log(`📋 Pricing BOM with ${lines.length} lines (${this.concurrency} at a time)`);
+
+    const results = await this.mapWithConcurrency(lines, this.concurrency, line => this.searchLine(line, { allowLLMCall }));
+    return { lines: results, summary: this.summarize(results) };
+  }
+}
+
+module.exports = BomSearch;
+module.exports.BomValidationError = BomValidationError;
@@ -0,0 +1,328 @@
+const ExcelJS = require('exceljs');
+const { BomValidationError } = require('./bom-search');
+
+// Reads BOM lines from CSV/XLSX uploads and writes priced BOMs back out.
+//
+// The first non-empty row is the header. Columns are found by header name
+// (see COLUMN_ALIASES) unless a mapping says otherwise, e.g.
+//   { "partNumber": "Item #", "quantity": "C" }
+// where each value is a header name, a column letter or a 1-based number.
+// Rows with neither a part number nor a description are skipped, as are rows
+// whose quantity isn't a positive whole number; both are reported back.
+
+const FORMATS = ['csv', 'xlsx'];
+
+const COLUMN_ALIASES = {
+  partNumber: ['part number', 'part no', 'part #', 'part', 'pn', 'p/n', 'mpn', 'item number', 'item #', 'item', 'sku', 'catalog number', 'mfr part number'],
+  description: ['description', 'desc', 'item description', 'part description', 'name', 'product'],
+  quantity: ['quantity', 'qty', 'qty.', 'count', 'amount', 'order qty'],
+  notes: ['notes', 'note', 'comments', 'comment', 'remarks'],
+  preferredSupplier: ['supplier', 'preferred supplier', 'vendor', 'preferred vendor']
+};
+
+const MIME_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+const EXPORT_COLUMNS = [
+  { header: 'Line', key: 'line', width: 6 },
+  { header: 'Reference', key: 'reference', width: 12 },
+  { header: 'Requested', key: 'query', width: 30 },
+  { header: 'Qty', key: 'quantity', width: 8 },
+  { header: 'Status', key: 'status', width: 12 },
+  { header: 'Supplier', key: 'supplier', width: 14 },
+  { header: 'Supplier Part #', key: 'partNumber', width: 18 },
+  { header: 'Product', key: 'name', width: 48 },
+  { header: 'Unit Price', key: 'unitPrice', width: 12, numFmt: '$#,##0.00##' },
+  { header: 'Price', key: 'priceText', width: 18 },
+  { header: 'Order Qty', key: 'orderQuantity', width: 10 },
+  { header: 'Extended Price', key: 'extendedCost', width: 14, numFmt: '$#,##0.00' },
+  { header: 'In Stock', key: 'inStock', width: 10 },
+  { header: 'Product URL', key: 'productUrl', width: 50 },
+  { header: 'Notes', key: 'notes', width: 30 }
+];
+
+// Text starting with one of these is run as a formula by Excel and other
+// spreadsheet apps (CSV injection)
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// What goes into an exported cell. Product names, queries and notes come from
+// suppliers and clients, so text is always written as text: a leading quote
+// keeps "=HYPERLINK(...)" from becoming a formula, and anything that isn't a
+// number or boolean (an ExcelJS { formula } object, say) is written as a string.
+function cellValue(value) {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'boolean' || (typeof value === 'number' && Number.isFinite(value))) return value;
+  const text = String(value);
+  return FORMULA_PREFIX.test(text) ? `'${text}` : text;
+}
+
+class BomSpreadsheet {
+  constructor({ registry = null } = {}) {
+    this.registry = registry;
+  }
+
+  static formatOf(filename = '', requested = null) {
+    if (requested) {
+      const format = String(requested).toLowerCase();
+      return FORMATS.includes(format) ? format : null;
+    }
+    const extension = String(filename).toLowerCase().split('.').pop();
+    return FORMATS.includes(extension) ? extension : null;
+  }
+
+  static mimeType(format) {
+    return MIME_TYPES[format];
+  }
+
+  // RFC 4180: quoted fields may hold commas, newlines and doubled quotes
+  parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    const source = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < source.length; i++) {
+      const char = source[i];
+      if (quoted) {
+        if (char === '"' && source[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && source[i + 1] === '\n') i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+
+    if (field !== '' || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+    return rows;
+  }
+
+  toCsv(rows) {
+    const escape = (value) => {
+      const text = value === null || value === undefined ? '' : String(value);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return rows.map(row => row.map(escape).join(',')).join('\r\n') + '\r\n';
+  }
+
+  async readRows(buffer, format) {
+    if (format === 'csv') {
+      return this.parseCsv(buffer.toString('utf8'));
+    }
+
+    const workbook = new ExcelJS.Workbook();
+    try {
+      await workbook.xlsx.load(buffer);
+    } catch (error) {
+      throw new BomValidationError(`Could not read the spreadsheet: ${error.message}`);
+    }
+
+    const sheet = workbook.worksheets[0];
+    if (!sheet) return [];
+
+    const rows = [];
+    sheet.eachRow({ includeEmpty: true }, (row, rowNumber) => {
+      const cells = [];
+      for (let column = 1; column <= sheet.columnCount; column++) {
+        cells.push(row.getCell(column).text);
+      }
+      rows[rowNumber - 1] = cells;
+    });
+    return Array.from(rows, row => row || []);
+  }
+
+  // Column index for each field, from the mapping first and header names second
+  resolveColumns(header, mapping = {}) {
+    const normalized = header.map(name => String(name || '').trim().toLowerCase());
+    const columns = {};
+
+    for (const field of Object.keys(COLUMN_ALIASES)) {
+      const wanted = mapping[field];
+      if (wanted !== undefined && wanted !== null && wanted !== '') {
+        const index = this.columnIndex(String(wanted).trim(), normalized);
+        if (index === -1) {
+          throw new BomValidationError(`Column "${wanted}" for ${field} is not in the file`);
+        }
+        columns[field] = index;
+        continue;
+      }
+
+      const index = normalized.findIndex(name => COLUMN_ALIASES[field].includes(name));
+      if (index !== -1 && !Object.values(columns).includes(index)) columns[field] = index;
+    }
+
+    if (columns.partNumber === undefined && columns.description === undefined) {
+      throw new BomValidationError('No part number or description column found; map one with mapping.partNumber or mapping.description');
+    }
+    return columns;
+  }
+
+  columnIndex(wanted, normalizedHeader) {
+    const byName = normalizedHeader.indexOf(wanted.toLowerCase());
+    if (byName !== -1) return byName;
+
+    if (/^\d+$/.test(wanted)) {
+      const index = parseInt(wanted, 10) - 1;
+      return index >= 0 ? index : -1;
+    }
+    if (/^[A-Z]{1,2}$/i.test(wanted)) {
+      return wanted.toUpperCase().split('').reduce((total, letter) => total * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+    }
+    return -1;
+  }
+
+  parseQuantity(value) {
+    const text = String(value || '').replace(/,/g, '').trim();
+    if (text === '') return 1;
+    const match = text.match(/^(\d+)(?:\.0+)?(?:\s|[a-z]|$)/i);
+    return match ? parseInt(match[1], 10) : null;
+  }
+
+  // { lines, columns, skipped } ready for BomSearch.search
+  async parse(buffer, { format, mapping = {} } = {}) {
+    const rows = (await this.readRows(buffer, format))
+      .map((cells, index) => ({ rowNumber: index + 1, cells: cells.map(cell => String(cell ?? '').trim()) }))
+      .filter(row => row.cells.some(cell => cell !== ''));
+
+    if (rows.length < 2) {
+      throw new BomValidationError('The file needs a header row and at least one line');
+    }
+
+    const header = rows[0].cells;
+    const columns = this.resolveColumns(header, mapping);
+    const cell = (row, field) => (columns[field] === undefined ? '' : row.cells[columns[field]] || '');
+
+    const lines = [];
+    const skipped = [];
+    for (const row of rows.slice(1)) {
+      const partNumber = cell(row, 'partNumber');
+      const description = cell(row, 'description');
+      if (!partNumber && !description) {
+        skipped.push({ row: row.rowNumber, reason: 'No part number or description' });
+        continue;
+      }
+
+      const quantity = this.parseQuantity(cell(row, 'quantity'));
+      if (!quantity) {
+        skipped.push({ row: row.rowNumber, reason: `Quantity "${cell(row, 'quantity')}" is not a positive whole number` });
+        continue;
+      }
+
+      const supplier = cell(row, 'preferredSupplier').toLowerCase();
+      lines.push({
+        reference: `Row ${row.rowNumber}`,
+        partNumber: partNumber || null,
+        description: description || null,
+        query: partNumber || description,
+        quantity,
+        notes: cell(row, 'notes') || null,
+        // Unknown supplier names in a spreadsheet are ignored rather than rejected
+        preferredSupplier: supplier && (!this.registry || this.registry.has(supplier)) ? supplier : null
+      });
+    }
+
+    const mapped = Object.fromEntries(Object.entries(columns).map(([field, index]) => [field, header[index] || `Column ${index + 1}`]));
+    return { lines, columns: mapped, skipped };
+  }
+
+  exportRows(bom) {
+    return (bom.lines || []).map(line => {
+      const offer = line.bestOffer || {};
+      const row = {
+        line: line.line,
+        reference: line.reference,
+        query: line.query,
+        quantity: line.quantity,
+        status: line.unresolved ? 'Unresolved' : 'Priced',
+        supplier: offer.supplier ? this.supplierName(offer.supplier) : '',
+        partNumber: offer.partNumber,
+        name: offer.name,
+        unitPrice: offer.unitPrice,
+        priceText: offer.priceText,
+        orderQuantity: offer.orderQuantity,
+        extendedCost: offer.extendedCost,
+        inStock: offer.inStock === undefined ? '' : (offer.inStock ? 'Yes' : 'No'),
+        productUrl: offer.productUrl,
+        notes: line.notes
+      };
+      return Object.fromEntries(Object.entries(row).map(([key, value]) => [key, cellValue(value)]));
+    });
+  }
+
+  supplierName(id) {
+    const adapter = this.registry && this.registry.get(id);
+    return adapter ? adapter.name : id;
+  }
+
+  // Quote as a file Buffer: one row per BOM line, then the total and the
+  // per-supplier split (a second sheet in XLSX, trailing rows in CSV)
+  async export(bom, format) {
+    const rows = this.exportRows(bom);
+    const summary = bom.summary || {};
+    const total = cellValue(summary.total);
+    const bySupplier = (Array.isArray(summary.bySupplier) ? summary.bySupplier : []).map(entry => ({
+      name: cellValue(entry && entry.name),
+      lineCount: cellValue(entry && entry.lineCount),
+      total: cellValue(entry && entry.total)
+    }));
+
+    if (format === 'csv') {
+      const table = [
+        EXPORT_COLUMNS.map(column => column.header),
+        ...rows.map(row => EXPORT_COLUMNS.map(column => row[column.key])),
+        [],
+        ['Total', '', '', '', '', '', '', '', '', '', '', total],
+        ...bySupplier.map(entry => [`Supplier: ${entry.name}`, '', '', '', '', '', '', `${entry.lineCount} lines`, '', '', '', entry.total])
+      ];
+      return Buffer.from(this.toCsv(table), 'utf8');
+    }
+
+    const workbook = new ExcelJS.Workbook();
+    workbook.creator = 'Blue Collar AI';
+    workbook.created = new Date();
+
+    const quote = workbook.addWorksheet('Quote');
+    quote.columns = EXPORT_COLUMNS.map(({ header, key, width, numFmt }) => ({ header, key, width, style: numFmt ? { numFmt } : {} }));
+    quote.getRow(1).font = { bold: true };
+    rows.forEach(row => quote.addRow(row));
+    quote.addRow({});
+    const totalRow = quote.addRow({ line: 'Total', extendedCost: total });
+    totalRow.font = { bold: true };
+
+    const suppliers = workbook.addWorksheet('By Supplier');
+    suppliers.columns = [
+      { header: 'Supplier', key: 'name', width: 20 },
+      { header: 'Lines', key: 'lineCount', width: 8 },
+      { header: 'Total', key: 'total', width: 14, style: { numFmt: '$#,##0.00' } }
+    ];
+    suppliers.getRow(1).font = { bold: true };
+    bySupplier.forEach(entry => suppliers.addRow(entry));
+
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+  }
+}
+
+BomSpreadsheet.FORMATS = FORMATS;
+
+module.exports = BomSpreadsheet;
@@ -0,0 +1,59 @@
+const MemoryStore = require('./memory-store');
+const JsonFile = require('../storage/json-file');
+
+// LRU store persisted to a JSON file so cached searches survive restarts
+class FileStore extends MemoryStore {
+  constructor({ filePath, maxEntries = 2000 } = {}) {
+    super({ maxEntries });
+
+    if (!filePath) {
+      throw new Error('FileStore requires a filePath');
+    }
+
+    this.filePath = filePath;
+    this.file = new JsonFile(filePath, { label: 'search cache', indent: 0 });
+  }
+
+  load() {
+    return this.file.load(entries => {
+      for (const [key, entry] of entries) {
+        this.entries.set(key, entry);
+      }
+      console.log(`💾 Loaded ${this.entries.size} cached searches from ${this.filePath}`);
+    });
+  }
+
+  persist() {
+    return this.file.write(Array.from(this.entries.entries()));
+  }
+
+  async get(key) {
+    await this.load();
+    return super.get(key);
+  }
+
+  async set(key, entry) {
+    await this.load();
+    await super.set(key, entry);
+    await this.persist();
+  }
+
+  async delete(key) {
+    await this.load();
+    await super.delete(key);
+    await this.persist();
+  }
+
+  async clear() {
+    await this.load();
+    await super.clear();
+    await this.persist();
+  }
+
+  async size() {
+    await this.load();
+    return super.size();
+  }
+}
+
+module.exports = FileStore;
@@ -0,0 +1,155 @@
+const MemoryStore = require('./memory-store');
+
+// Caches supplier search results keyed on supplier + normalized query + result page.
+//
+// Entries younger than the supplier's TTL are served as-is. Entries past the
+// TTL but inside the stale window are served immediately while a background
+// refresh replaces them (stale-while-revalidate). Anything older is a miss.
+class SearchCache {
+  constructor({ store, ttlSeconds = 900, staleSeconds = 3600, supplierTtls = {} } = {}) {
+    this.store = store || new MemoryStore();
+    this.ttlSeconds = ttlSeconds;
+    this.staleSeconds = staleSeconds;
+    this.supplierTtls = supplierTtls;
+    this.inFlight = new Map();
+    this.counters = { hits: 0, staleHits: 0, misses: 0, refreshes: 0, refreshFailures: 0 };
+  }
+
+  static normalizeQuery(query) {
+    return String(query || '')
+      .toLowerCase()
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  buildKey(supplierId, query, page = 1) {
+    const key = `${supplierId}:${SearchCache.normalizeQuery(query)}`;
+    return page > 1 ? `${key}#${page}` : key;
+  }
+
+  getTtlMs(supplierId) {
+    const ttlSeconds = this.supplierTtls[supplierId] ?? this.ttlSeconds;
+    return ttlSeconds * 1000;
+  }
+
+  async readEntry(key) {
+    try {
+      return await this.store.get(key);
+    } catch (error) {
+      console.error(`❌ Search cache read failed for ${key}:`, error.message);
+      return null;
+    }
+  }
+
+  // An entry fetched with a smaller limit can only answer a bigger request
+  // when the supplier had nothing more to give
+  isUsable(entry, maxResults) {
+    if (!entry || !Array.isArray(entry.results)) return false;
+    return entry.limit >= maxResults || entry.results.length < entry.limit;
+  }
+
+  // Runs the loader and stores its results. Concurrent loads of the same key
+  // share one scrape.
+  load(key, maxResults, loader) {
+    if (this.inFlight.has(key)) {
+      return this.inFlight.get(key);
+    }
+
+    const pending = (async () => {
+      const results = await loader();
+      const entry = { results, limit: maxResults, cachedAt: Date.now() };
+
+      // Empty results usually mean a blocked or broken scrape - don't pin them
+      if (results.length > 0) {
+        try {
+          await this.store.set(key, entry);
+        } catch (error) {
+          console.error(`❌ Search cache write failed for ${key}:`, error.message);
+        }
+      }
+
+      return entry;
+    })();
+
+    this.inFlight.set(key, pending);
+    pending.then(
+      () => this.inFlight.delete(key),
+      () => this.inFlight.delete(key)
+    );
+
+    return pending;
+  }
+
+  revalidate(key, maxResults, loader) {
+    if (this.inFlight.has(key)) return;
+
+    this.counters.refreshes++;
+    this.load(key, maxResults, loader).catch(error => {
+      this.counters.refreshFailures++;
+      console.error(`❌ Background refresh failed for ${key}:`, error.message);
+    });
+  }
+
+  describe(entry, fromCache, stale) {
+    const ageMs = Date.now() - entry.cachedAt;
+    return {
+      fromCache,
+      stale,
+      ageSeconds: Math.round(ageMs / 1000),
+      cachedAt: new Date(entry.cachedAt).toISOString()
+    };
+  }
+
+  // Returns { results, cache } where cache describes where the results came from
+  async fetch(supplierId, query, maxResults, loader, { page = 1 } = {}) {
+    const key = this.buildKey(supplierId, query, page);
+    const entry = await this.readEntry(key);
+
+    if (this.isUsable(entry, maxResults)) {
+      const ageMs = Date.now() - entry.cachedAt;
+      const ttlMs = this.getTtlMs(supplierId);
+      const results = entry.results.slice(0, maxResults);
+
+      if (ageMs <= ttlMs) {
+        this.counters.hits++;
+        return { results, cache: this.describe(entry, true, false) };
+      }
+
+      if (ageMs <= ttlMs + this.staleSeconds * 1000) {
+        this.counters.staleHits++;
+        console.log(`♻️ Serving stale ${supplierId} results for "${query}", refreshing in background`);
+        this.revalidate(key, Math.max(maxResults, entry.limit), loader);
+        return { results, cache: this.describe(entry, true, true) };
+      }
+    }
+
+    this.counters.misses++;
+    const fresh = await this.load(key, maxResults, loader);
+    return {
+      results: fresh.results.slice(0, maxResults),
+      cache: this.describe(fresh, false, false)
+    };
+  }
+
+  async invalidate(supplierId, query, page = 1) {
+    await this.store.delete(this.buildKey(supplierId, query, page));
+  }
+
+  async clear() {
+    await this.store.clear();
+  }
+
+  async stats() {
+    return {
+      store: this.store.constructor.name,
+      entries: await this.store.size(),
+      ttlSeconds: this.ttlSeconds,
+      staleSeconds: this.staleSeconds,
+      supplierTtls: this.supplierTtls,
+      refreshesInFlight: this.inFlight.size,
+      ...this.counters
+    };
+  }
+}
+
+module.exports = SearchCache;
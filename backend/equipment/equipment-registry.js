@@ -0,0 +1,271 @@
+const crypto = require('crypto');
+const JsonFile = require('../storage/json-file');
+
+const MAX_LINKED_PARTS = 200;
+const ASSET_FIELDS = ['name', 'make', 'model', 'serial', 'location', 'type', 'notes'];
+
+class EquipmentValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'EquipmentValidationError';
+  }
+}
+
+// A site's equipment (conveyors, pumps, compressors, ...) and the parts known
+// to fit each one, persisted to a JSON file:
+//   {
+//     id, ownerId, name: 'Line 3 conveyor', make: 'Hytrol', model: 'TA',
+//     serial, location: 'Building 2', type: 'conveyor', notes, createdAt, updatedAt,
+//     parts: [{ id, supplier, partNumber, manufacturerPartNumber, name, query,
+//               position: 'tail pulley', quantity, notes, linkedAt }]
+//   }
+//
+// A search result is compatible with an asset when one of its part numbers
+// (manufacturer or supplier, compared without punctuation or case) matches
+// a linked part. A query names an asset when it contains the asset's name,
+// model or serial, or is part of its name ("conveyor" names every asset
+// called "... conveyor").
+class EquipmentRegistry {
+  constructor({ filePath } = {}) {
+    if (!filePath) {
+      throw new Error('EquipmentRegistry requires a filePath');
+    }
+
+    this.filePath = filePath;
+    this.assets = new Map();
+    this.file = new JsonFile(filePath, { label: 'equipment' });
+  }
+
+  load() {
+    return this.file.load(assets => {
+      for (const asset of assets) {
+        this.assets.set(asset.id, asset);
+      }
+      console.log(`🏭 Loaded ${this.assets.size} equipment assets from ${this.filePath}`);
+    });
+  }
+
+  persist() {
+    return this.file.write(Array.from(this.assets.values()));
+  }
+
+  normalizePartNumber(value) {
+    return String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  }
+
+  normalizeText(value) {
+    return String(value || '').toLowerCase().replace(/\s+/g, ' ').trim();
+  }
+
+  // The asset fields from `fields` that are present, trimmed; name is required
+  // unless `partial` (an update)
+  assetFields(fields, { partial = false } = {}) {
+    if (!fields || typeof fields !== 'object') {
+      throw new EquipmentValidationError('Send the asset fields as a JSON object');
+    }
+
+    const values = {};
+    for (const field of ASSET_FIELDS) {
+      if (fields[field] === undefined) continue;
+      const value = fields[field] === null ? '' : String(fields[field]).trim();
+      values[field] = value || null;
+    }
+
+    if ((!partial || values.name !== undefined) && !values.name) {
+      throw new EquipmentValidationError('name is required');
+    }
+    return values;
+  }
+
+  // A part to link: a search offer or grouped part ({ supplier, partNumber,
+  // manufacturerPartNumber, name }) plus where it goes on the asset and the
+  // `query` that found it
+  normalizePart(part, supplierIds) {
+    if (!part || typeof part !== 'object') {
+      throw new EquipmentValidationError('part must be an object');
+    }
+
+    const supplier = part.supplier ? String(part.supplier).toLowerCase() : null;
+    if (supplier && !supplierIds.includes(supplier)) {
+      throw new EquipmentValidationError(`supplier must be one of: ${supplierIds.join(', ')}`);
+    }
+
+    const partNumber = part.partNumber ? String(part.partNumber).trim() : null;
+    const manufacturerPartNumber = part.manufacturerPartNumber ? String(part.manufacturerPartNumber).trim() : null;
+    if (this.normalizePartNumber(partNumber || manufacturerPartNumber).length < 2) {
+      throw new EquipmentValidationError('part needs a partNumber or manufacturerPartNumber');
+    }
+
+    const quantity = part.quantity === undefined ? 1 : Number(part.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      throw new EquipmentValidationError('quantity must be a positive whole number');
+    }
+
+    return {
+      id: crypto.randomUUID(),
+      supplier,
+      partNumber,
+      manufacturerPartNumber,
+      name: part.name ? String(part.name) : (manufacturerPartNumber || partNumber),
+      query: part.query ? String(part.query).trim() : null,
+      position: part.position ? String(part.position).trim() : null,
+      quantity,
+      notes: part.notes ? String(part.notes) : null,
+      linkedAt: new Date().toISOString()
+    };
+  }
+
+  async create(fields, { ownerId = null } = {}) {
+    await this.load();
+
+    const now = new Date().toISOString();
+    const asset = {
+      id: crypto.randomUUID(),
+      ownerId,
+      name: null,
+      make: null,
+      model: null,
+      serial: null,
+      location: null,
+      type: null,
+      notes: null,
+      ...this.assetFields(fields),
+      createdAt: now,
+      updatedAt: now,
+      parts: []
+    };
+
+    this.assets.set(asset.id, asset);
+    await this.persist();
+    return asset;
+  }
+
+  async list() {
+    await this.load();
+    return Array.from(this.assets.values());
+  }
+
+  async get(id) {
+    await this.load();
+    return this.assets.get(id) || null;
+  }
+
+  async update(id, fields) {
+    await this.load();
+    const asset = this.assets.get(id);
+    if (!asset) return null;
+
+    Object.assign(asset, this.assetFields(fields, { partial: true }), { updatedAt: new Date().toISOString() });
+    await this.persist();
+    return asset;
+  }
+
+  async remove(id) {
+    await this.load();
+    const existed = this.assets.delete(id);
+    if (existed) await this.persist();
+    return existed;
+  }
+
+  // Linking a part that's already on the asset updates that link instead
+  async linkPart(id, part, { supplierIds }) {
+    await this.load();
+    const asset = this.assets.get(id);
+    if (!asset) return null;
+
+    const link = this.normalizePart(part, supplierIds);
+    const existing = asset.parts.find(candidate =>
+      candidate.supplier === link.supplier &&
+      this.normalizePartNumber(candidate.partNumber) === this.normalizePartNumber(link.partNumber) &&
+      this.normalizePartNumber(candidate.manufacturerPartNumber) === this.normalizePartNumber(link.manufacturerPartNumber)
+    );
+
+    if (existing) {
+      Object.assign(existing, { position: link.position, quantity: link.quantity, notes: link.notes, query: link.query || existing.query });
+    } else {
+      if (asset.parts.length >= MAX_LINKED_PARTS) {
+        throw new EquipmentValidationError(`An asset can have at most ${MAX_LINKED_PARTS} linked parts`);
+      }
+      asset.parts.push(link);
+    }
+    asset.updatedAt = new Date().toISOString();
+    await this.persist();
+    return existing || link;
+  }
+
+  async unlinkPart(id, linkId) {
+    await this.load();
+    const asset = this.assets.get(id);
+    const index = asset ? asset.parts.findIndex(part => part.id === linkId) : -1;
+    if (index === -1) return false;
+
+    asset.parts.splice(index, 1);
+    asset.updatedAt = new Date().toISOString();
+    await this.persist();
+    return true;
+  }
+
+  // Normalized part numbers a search result or grouped part is known by
+  partNumbersOf(part) {
+    const offers = part.offers || [part];
+    return new Set(
+      [part.partNumber, part.manufacturerPartNumber, ...offers.flatMap(offer => [offer.partNumber, offer.manufacturerPartNumber])]
+        .map(value => this.normalizePartNumber(value))
+        .filter(value => value.length >= 2)
+    );
+  }
+
+  // Where `part` (a grouped search part) is used among `assets`:
+  // [{ assetId, name, make, model, location, position, quantity }]
+  compatibility(part, assets) {
+    const numbers = this.partNumbersOf(part);
+    const uses = [];
+
+    for (const asset of assets) {
+      for (const link of asset.parts) {
+        const linked = [link.partNumber, link.manufacturerPartNumber].map(value => this.normalizePartNumber(value));
+        if (!linked.some(value => value && numbers.has(value))) continue;
+
+        uses.push({
+          assetId: asset.id,
+          name: asset.name,
+          make: asset.make,
+          model: asset.model,
+          location: asset.location,
+          position: link.position,
+          quantity: link.quantity
+        });
+        break;
+      }
+    }
+    return uses;
+  }
+
+  // Assets a query names, by name, model or serial
+  matchQuery(query, assets) {
+    const text = this.normalizeText(query);
+    const compact = this.normalizePartNumber(query);
+    if (!text) return [];
+
+    return assets.filter(asset => {
+      const name = this.normalizeText(asset.name);
+      if (name && (text.includes(name) || (text.length >= 4 && name.includes(text)))) return true;
+
+      return [asset.model, asset.serial]
+        .map(value => this.normalizePartNumber(value))
+        .some(value => value.length >= 3 && compact.includes(value));
+    });
+  }
+
+  // What to search suppliers for to find each linked part again: the
+  // manufacturer part number when known, since supplier SKUs don't carry
+  // over, else the search that found it
+  searchTerms(asset) {
+    return [...new Set(asset.parts.map(part => part.manufacturerPartNumber || part.query || part.name || part.partNumber))];
+  }
+}
+
+EquipmentRegistry.ASSET_FIELDS = ASSET_FIELDS;
+
+module.exports = EquipmentRegistry;
+module.exports.EquipmentValidationError = EquipmentValidationError;
@@ -0,0 +1,169 @@
+const JsonFile = require('../storage/json-file');
+
+// Price observations per supplier + part, persisted to a JSON file.
+//
+// Every live scrape is recorded (cache hits are not, they carry no new
+// information). A point is only added when the price changed or the last
+// point is older than `minIntervalMs`, so popular searches don't flood the
+// series. Each series keeps its newest `maxPointsPerSeries` points.
+//
+// Series are keyed "<supplier>:<partNumber>", e.g. "grainger:1ZGB9".
+class PriceHistory {
+  constructor({ filePath, minIntervalMs = 60 * 60 * 1000, maxPointsPerSeries = 1000 } = {}) {
+    if (!filePath) {
+      throw new Error('PriceHistory requires a filePath');
+    }
+
+    this.filePath = filePath;
+    this.minIntervalMs = minIntervalMs;
+    this.maxPointsPerSeries = maxPointsPerSeries;
+    this.series = new Map();
+    this.file = new JsonFile(filePath, { label: 'price history', indent: 0 });
+  }
+
+  static seriesKey(supplier, partNumber) {
+    return `${supplier}:${partNumber}`.toLowerCase();
+  }
+
+  load() {
+    return this.file.load(seriesList => {
+      for (const series of seriesList) {
+        this.series.set(PriceHistory.seriesKey(series.supplier, series.partNumber), series);
+      }
+      console.log(`📈 Loaded price history for ${this.series.size} supplier parts from ${this.filePath}`);
+    });
+  }
+
+  persist() {
+    return this.file.write(Array.from(this.series.values()));
+  }
+
+  // Records the prices in a batch of normalized results; returns how many
+  // points were added
+  async record(results) {
+    await this.load();
+    let added = 0;
+
+    for (const result of results) {
+      if (!result.supplier || !result.partNumber || result.price == null) continue;
+
+      const key = PriceHistory.seriesKey(result.supplier, result.partNumber);
+      const series = this.series.get(key) || {
+        supplier: result.supplier,
+        partNumber: result.partNumber,
+        points: []
+      };
+
+      // Keep descriptive fields current so lookups by name or canonical part work
+      series.name = result.name;
+      series.canonicalPart = result.canonicalPart || series.canonicalPart || null;
+      series.manufacturerPartNumber = result.manufacturerPartNumber || series.manufacturerPartNumber || null;
+      series.productUrl = result.productUrl || series.productUrl || null;
+
+      const observedAt = result.lastUpdated || new Date().toISOString();
+      const last = series.points[series.points.length - 1];
+      const unchanged = last && last.price === result.price;
+      if (unchanged && Date.parse(observedAt) - Date.parse(last.at) < this.minIntervalMs) {
+        continue;
+      }
+
+      const pricing = result.pricing || {};
+      series.points.push({
+        at: observedAt,
+        price: result.price,
+        unitPrice: pricing.unitPrice ?? null,
+        currency: pricing.currency || 'USD',
+        unit: pricing.unit || null,
+        packSize: pricing.packSize ?? null,
+        priceText: result.priceText || null
+      });
+      if (series.points.length > this.maxPointsPerSeries) {
+        series.points.splice(0, series.points.length - this.maxPointsPerSeries);
+      }
+
+      this.series.set(key, series);
+      added++;
+    }
+
+    if (added > 0) {
+      await this.persist();
+    }
+    return added;
+  }
+
+  // "grainger:1ZGB9" returns that supplier's series; a bare part number or
+  // canonical part ("6203-2Z") returns every supplier's series for it
+  async find(partKey) {
+    await this.load();
+
+    const exact = this.series.get(String(partKey).toLowerCase());
+    if (exact) return [exact];
+
+    const wanted = normalizePart(partKey);
+    return Array.from(this.series.values()).filter(series =>
+      [series.partNumber, series.canonicalPart, series.manufacturerPartNumber]
+        .some(value => value && normalizePart(value) === wanted)
+    );
+  }
+
+  summarize(series, { since = null } = {}) {
+    const sinceMs = since ? Date.parse(since) : null;
+    const points = sinceMs ? series.points.filter(point => Date.parse(point.at) >= sinceMs) : series.points;
+    const prices = points.map(point => point.price);
+
+    return {
+      key: PriceHistory.seriesKey(series.supplier, series.partNumber),
+      supplier: series.supplier,
+      partNumber: series.partNumber,
+      name: series.name,
+      canonicalPart: series.canonicalPart,
+      manufacturerPartNumber: series.manufacturerPartNumber,
+      productUrl: series.productUrl,
+      observations: points.length,
+      firstObservedAt: points.length > 0 ? points[0].at : null,
+      lastObservedAt: points.length > 0 ? points[points.length - 1].at : null,
+      currentPrice: points.length > 0 ? points[points.length - 1].price : null,
+      min: prices.length > 0 ? Math.min(...prices) : null,
+      max: prices.length > 0 ? Math.max(...prices) : null,
+      average: prices.length > 0 ? Math.round((prices.reduce((sum, price) => sum + price, 0) / prices.length) * 100) / 100 : null,
+      lastChange: this.lastChange(series.points),
+      points
+    };
+  }
+
+  // Most recent point whose price differs from the one before it
+  lastChange(points) {
+    for (let index = points.length - 1; index > 0; index--) {
+      const previous = points[index - 1];
+      const current = points[index];
+      if (current.price === previous.price) continue;
+
+      const change = Math.round((current.price - previous.price) * 100) / 100;
+      return {
+        at: current.at,
+        previousObservedAt: previous.at,
+        from: previous.price,
+        to: current.price,
+        change,
+        percentChange: previous.price > 0 ? Math.round((change / previous.price) * 10000) / 100 : null,
+        direction: change > 0 ? 'up' : 'down'
+      };
+    }
+    return null;
+  }
+
+  async stats() {
+    await this.load();
+    let points = 0;
+    for (const series of this.series.values()) {
+      points += series.points.length;
+    }
+    return { filePath: this.filePath, series: this.series.size, points };
+  }
+}
+
+function normalizePart(value) {
+  return String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+module.exports = PriceHistory;
@@ -0,0 +1,281 @@
+const crypto = require('crypto');
+const JsonFile = require('../storage/json-file');
+
+const MAX_ITEMS = 100;
+const MAX_NAME_LENGTH = 120;
+
+// Product links end up in an <a href>, so only http(s) URLs are kept
+function webUrl(value) {
+  if (!value) return null;
+  try {
+    const url = new URL(String(value));
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url.toString() : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+class ListValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ListValidationError';
+  }
+}
+
+// Saved part lists ("Line 3 conveyor PM", "Truck stock"), persisted to a
+// JSON file. Each list belongs to one account:
+//   {
+//     id, ownerId, name, description, createdAt, updatedAt,
+//     items: [{ id, query, supplier, partNumber, name, quantity, notes, addedAt,
+//               savedPrice, priceText, productUrl,
+//               lastPrice: { supplier, partNumber, price, extendedCost, changeFromSaved, pricedAt } }],
+//     lastPricing: { pricedAt, total, currency, resolvedCount, unresolvedCount } | null
+//   }
+//
+// `query` is what gets searched again when the list is re-priced, with the
+// saved `supplier` preferred; `savedPrice` is the unit price when the item
+// was added and `lastPrice` the one from the latest re-pricing.
+class ListStore {
+  constructor({ filePath } = {}) {
+    if (!filePath) {
+      throw new Error('ListStore requires a filePath');
+    }
+
+    this.filePath = filePath;
+    this.lists = new Map();
+    this.file = new JsonFile(filePath, { label: 'part lists' });
+  }
+
+  load() {
+    return this.file.load(lists => {
+      for (const list of lists) {
+        this.lists.set(list.id, list);
+      }
+      console.log(`📝 Loaded ${this.lists.size} part lists from ${this.filePath}`);
+    });
+  }
+
+  persist() {
+    return this.file.write(Array.from(this.lists.values()));
+  }
+
+  validateName(name) {
+    const trimmed = String(name || '').trim();
+    if (!trimmed) {
+      throw new ListValidationError('name is required');
+    }
+    if (trimmed.length > MAX_NAME_LENGTH) {
+      throw new ListValidationError(`name must be at most ${MAX_NAME_LENGTH} characters`);
+    }
+    return trimmed;
+  }
+
+  validateQuantity(quantity, label) {
+    const value = quantity === undefined ? 1 : Number(quantity);
+    if (!Number.isInteger(value) || value < 1) {
+      throw new ListValidationError(`${label} quantity must be a positive whole number`);
+    }
+    return value;
+  }
+
+  // An item from a search result ({ supplier, partNumber, name, price,
+  // priceText, productUrl }) plus quantity, notes and the query to re-price with
+  normalizeItem(item, label, supplierIds) {
+    if (!item || typeof item !== 'object') {
+      throw new ListValidationError(`${label} must be an object`);
+    }
+
+    const supplier = item.supplier ? String(item.supplier).toLowerCase() : null;
+    if (supplier && !supplierIds.includes(supplier)) {
+      throw new ListValidationError(`${label} supplier must be one of: ${supplierIds.join(', ')}`);
+    }
+
+    const partNumber = item.partNumber ? String(item.partNumber).trim() : null;
+    const query = String(item.query || partNumber || item.name || '').trim();
+    if (query.length < 2) {
+      throw new ListValidationError(`${label} needs a query, partNumber or name of at least 2 characters`);
+    }
+
+    const price = item.price === null || item.price === undefined || item.price === '' ? null : Number(item.price);
+    if (price !== null && (!Number.isFinite(price) || price < 0)) {
+      throw new ListValidationError(`${label} price must be a non-negative number`);
+    }
+
+    return {
+      id: crypto.randomUUID(),
+      query,
+      supplier,
+      partNumber,
+      name: item.name ? String(item.name) : query,
+      quantity: this.validateQuantity(item.quantity, label),
+      notes: item.notes ? String(item.notes) : null,
+      addedAt: new Date().toISOString(),
+      savedPrice: price,
+      priceText: item.priceText || null,
+      productUrl: webUrl(item.productUrl),
+      lastPrice: null
+    };
+  }
+
+  checkCapacity(list, adding) {
+    if (list.items.length + adding > MAX_ITEMS) {
+      throw new ListValidationError(`A list can have at most ${MAX_ITEMS} items`);
+    }
+  }
+
+  touch(list) {
+    list.updatedAt = new Date().toISOString();
+  }
+
+  async create(fields, { supplierIds }) {
+    await this.load();
+
+    const { name, description, items = [], ownerId } = fields || {};
+    if (!Array.isArray(items)) {
+      throw new ListValidationError('items must be an array');
+    }
+
+    const now = new Date().toISOString();
+    const list = {
+      id: crypto.randomUUID(),
+      ownerId: ownerId || null,
+      name: this.validateName(name),
+      description: description ? String(description) : null,
+      createdAt: now,
+      updatedAt: now,
+      items: [],
+      lastPricing: null
+    };
+    this.checkCapacity(list, items.length);
+    list.items = items.map((item, index) => this.normalizeItem(item, `Item ${index + 1}`, supplierIds));
+
+    this.lists.set(list.id, list);
+    await this.persist();
+    return list;
+  }
+
+  async list() {
+    await this.load();
+    return Array.from(this.lists.values());
+  }
+
+  async get(id) {
+    await this.load();
+    return this.lists.get(id) || null;
+  }
+
+  // Rename or re-describe a list
+  async update(id, { name, description } = {}) {
+    await this.load();
+    const list = this.lists.get(id);
+    if (!list) return null;
+
+    if (name !== undefined) list.name = this.validateName(name);
+    if (description !== undefined) list.description = description ? String(description) : null;
+    this.touch(list);
+    await this.persist();
+    return list;
+  }
+
+  async remove(id) {
+    await this.load();
+    const existed = this.lists.delete(id);
+    if (existed) await this.persist();
+    return existed;
+  }
+
+  async addItem(id, item, { supplierIds }) {
+    await this.load();
+    const list = this.lists.get(id);
+    if (!list) return null;
+
+    this.checkCapacity(list, 1);
+    const added = this.normalizeItem(item, 'Item', supplierIds);
+    list.items.push(added);
+    this.touch(list);
+    await this.persist();
+    return added;
+  }
+
+  // Change an item's quantity or notes; null when the list or item is gone
+  async updateItem(id, itemId, { quantity, notes } = {}) {
+    await this.load();
+    const list = this.lists.get(id);
+    const item = list && list.items.find(candidate => candidate.id === itemId);
+    if (!item) return null;
+
+    if (quantity !== undefined) item.quantity = this.validateQuantity(quantity, 'Item');
+    if (notes !== undefined) item.notes = notes ? String(notes) : null;
+    this.touch(list);
+    await this.persist();
+    return item;
+  }
+
+  async removeItem(id, itemId) {
+    await this.load();
+    const list = this.lists.get(id);
+    const index = list ? list.items.findIndex(item => item.id === itemId) : -1;
+    if (index === -1) return false;
+
+    list.items.splice(index, 1);
+    this.touch(list);
+    await this.persist();
+    return true;
+  }
+
+  // The lines to price the list as a BOM, one per item in order
+  // A supplier that has since been disabled is no longer a preference, so
+  // pricing the list still works
+  bomLines(list, { supplierIds }) {
+    return list.items.map(item => ({
+      query: item.query,
+      quantity: item.quantity,
+      preferredSupplier: supplierIds.includes(item.supplier) ? item.supplier : null,
+      reference: item.name,
+      notes: item.notes
+    }));
+  }
+
+  // Record a priced BOM of the items in `itemIds`, in that order. Items are
+  // matched by id since the list may have been edited while it was priced.
+  async recordPricing(id, itemIds, { lines, summary }) {
+    await this.load();
+    const list = this.lists.get(id);
+    if (!list) return null;
+
+    const pricedAt = new Date().toISOString();
+    itemIds.forEach((itemId, index) => {
+      const item = list.items.find(candidate => candidate.id === itemId);
+      if (!item) return;
+
+      const offer = lines[index] && lines[index].bestOffer;
+      if (!offer) {
+        item.lastPrice = null;
+        return;
+      }
+
+      // Only comparable with the saved price when it's still the same offer
+      const sameOffer = item.savedPrice !== null && offer.supplier === item.supplier && offer.partNumber === item.partNumber;
+      item.lastPrice = {
+        supplier: offer.supplier,
+        partNumber: offer.partNumber,
+        price: offer.price,
+        extendedCost: offer.extendedCost,
+        changeFromSaved: sameOffer ? Math.round((offer.price - item.savedPrice) * 100) / 100 : null,
+        pricedAt
+      };
+    });
+    list.lastPricing = {
+      pricedAt,
+      total: summary.total,
+      currency: summary.currency,
+      resolvedCount: summary.resolvedCount,
+      unresolvedCount: summary.unresolvedCount
+    };
+    await this.persist();
+    return list;
+  }
+}
+
+module.exports = ListStore;
+module.exports.ListValidationError = ListValidationError;
@@ -0,0 +1,199 @@
+const PDFDocument = require('pdfkit');
+
+// Printable RFQ for one supplier of a stored quote, as HTML or PDF. Both show
+// the same things: reference, requester, supplier, line items with the
+// scraped prices (marked as estimates to confirm) and any notes.
+
+const FORMATS = ['pdf', 'html'];
+
+const money = (value) => (value === null || value === undefined ? 'Quote' : `$${Number(value).toFixed(2)}`);
+const day = (iso) => (iso ? new Date(iso).toISOString().slice(0, 10) : '');
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Only http(s) product links are written out; escaping alone would let a
+// "javascript:" URL through as a working link
+const webUrl = (value) => {
+  try {
+    const url = new URL(String(value));
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url.toString() : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+class QuoteDocument {
+  static rfqFor(quote, supplier) {
+    return quote.rfqs.find(rfq => rfq.supplier === String(supplier).toLowerCase()) || null;
+  }
+
+  static fileName(rfq, format) {
+    return `${rfq.reference}.${format}`;
+  }
+
+  requesterLines(requester) {
+    return [requester.name, requester.company, requester.email, requester.phone].filter(Boolean);
+  }
+
+  html(quote, rfq) {
+    const rows = rfq.lines.map(line => `
+        <tr>
+          <td>${line.line}</td>
+          <td class="mono">${escapeHtml(line.partNumber)}</td>
+          <td>${webUrl(line.productUrl) ? `<a href="${escapeHtml(webUrl(line.productUrl))}">${escapeHtml(line.name)}</a>` : escapeHtml(line.name)}${line.notes ? `<div class="note">${escapeHtml(line.notes)}</div>` : ''}</td>
+          <td class="num">${line.quantity} ${escapeHtml(line.unit)}</td>
+          <td class="num">${money(line.unitPrice)}</td>
+          <td class="num">${money(line.extendedPrice)}</td>
+        </tr>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(rfq.reference)} - Request for Quote</title>
+  <style>
+    body { font-family: Helvetica, Arial, sans-serif; color: #1f2937; margin: 40px; }
+    h1 { font-size: 22px; margin: 0 0 4px; }
+    .meta { color: #6b7280; margin-bottom: 24px; }
+    .parties { display: flex; gap: 48px; margin-bottom: 24px; }
+    .parties h2 { font-size: 12px; text-transform: uppercase; color: #6b7280; margin: 0 0 4px; }
+    table { width: 100%; border-collapse: collapse; font-size: 13px; }
+    th { text-align: left; border-bottom: 2px solid #1f2937; padding: 6px 8px; }
+    td { border-bottom: 1px solid #e5e7eb; padding: 6px 8px; vertical-align: top; }
+    .num { text-align: right; white-space: nowrap; }
+    .mono { font-family: Menlo, Consolas, monospace; }
+    .note { color: #6b7280; font-size: 12px; }
+    .total td { font-weight: bold; border-bottom: none; }
+    .footer { color: #6b7280; font-size: 12px; margin-top: 24px; }
+    @media print { body { margin: 0; } a { color: inherit; text-decoration: none; } }
+  </style>
+</head>
+<body>
+  <h1>Request for Quote</h1>
+  <div class="meta">
+    Reference <strong>${escapeHtml(rfq.reference)}</strong> · ${day(quote.createdAt)}${quote.neededBy ? ` · Needed by ${day(quote.neededBy)}` : ''}
+  </div>
+  <div class="parties">
+    <div>
+      <h2>Supplier</h2>
+      <div>${escapeHtml(rfq.supplierName)}</div>
+    </div>
+    <div>
+      <h2>Requested by</h2>
+      ${this.requesterLines(quote.requester).map(value => `<div>${escapeHtml(value)}</div>`).join('')}
+    </div>
+    ${quote.shipTo ? `<div>
+      <h2>Ship to</h2>
+      <div>${escapeHtml(quote.shipTo).replace(/\n/g, '<br>')}</div>
+    </div>` : ''}
+  </div>
+  <table>
+    <thead>
+      <tr><th>#</th><th>Part #</th><th>Description</th><th class="num">Qty</th><th class="num">Unit price</th><th class="num">Extended</th></tr>
+    </thead>
+    <tbody>${rows}
+      <tr class="total"><td colspan="5" class="num">Estimated total</td><td class="num">${money(rfq.subtotal)}</td></tr>
+    </tbody>
+  </table>
+  ${quote.notes ? `<p>${escapeHtml(quote.notes)}</p>` : ''}
+  <p class="footer">Prices are from the supplier's website and are estimates. Please confirm pricing, availability and lead time, quoting reference ${escapeHtml(rfq.reference)}.</p>
+</body>
+</html>
+`;
+  }
+
+  pdf(quote, rfq) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ size: 'LETTER', margin: 50, info: { Title: `${rfq.reference} - Request for Quote` } });
+      const chunks = [];
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      const left = doc.page.margins.left;
+      const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+      doc.font('Helvetica-Bold').fontSize(20).text('Request for Quote');
+      doc.font('Helvetica').fontSize(10).fillColor('#6b7280')
+        .text(`Reference ${rfq.reference} · ${day(quote.createdAt)}${quote.neededBy ? ` · Needed by ${day(quote.neededBy)}` : ''}`);
+      doc.moveDown();
+
+      const partiesTop = doc.y;
+      const column = (x, title, lines) => {
+        doc.font('Helvetica-Bold').fontSize(9).fillColor('#6b7280').text(title.toUpperCase(), x, partiesTop, { width: width / 3 - 10 });
+        doc.font('Helvetica').fontSize(10).fillColor('#1f2937');
+        lines.forEach(line => doc.text(line, x, doc.y, { width: width / 3 - 10 }));
+        return doc.y;
+      };
+      const bottoms = [
+        column(left, 'Supplier', [rfq.supplierName]),
+        column(left + width / 3, 'Requested by', this.requesterLines(quote.requester)),
+        quote.shipTo ? column(left + (2 * width) / 3, 'Ship to', String(quote.shipTo).split('\n')) : partiesTop
+      ];
+      doc.y = Math.max(...bottoms) + 20;
+
+      // Columns: #, part, description, qty, unit price, extended
+      const columns = [
+        { label: '#', width: 25 },
+        { label: 'Part #', width: 80 },
+        { label: 'Description', width: width - 25 - 80 - 65 - 70 - 75 },
+        { label: 'Qty', width: 65, align: 'right' },
+        { label: 'Unit price', width: 70, align: 'right' },
+        { label: 'Extended', width: 75, align: 'right' }
+      ];
+      const drawRow = (values, { bold = false } = {}) => {
+        const heights = values.map((value, index) =>
+          doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9).heightOfString(String(value), { width: columns[index].width - 6 })
+        );
+        const height = Math.max(...heights) + 6;
+        if (doc.y + height > doc.page.height - doc.page.margins.bottom) doc.addPage();
+
+        const top = doc.y;
+        let x = left;
+        values.forEach((value, index) => {
+          doc.text(String(value), x + 3, top + 3, { width: columns[index].width - 6, align: columns[index].align || 'left' });
+          x += columns[index].width;
+        });
+        doc.y = top + height;
+        doc.moveTo(left, doc.y).lineTo(left + width, doc.y).strokeColor('#e5e7eb').stroke();
+      };
+
+      drawRow(columns.map(c => c.label), { bold: true });
+      rfq.lines.forEach(line => drawRow([
+        line.line,
+        line.partNumber,
+        [line.name, webUrl(line.productUrl), line.notes].filter(Boolean).join('\n'),
+        `${line.quantity} ${line.unit}`,
+        money(line.unitPrice),
+        money(line.extendedPrice)
+      ]));
+      drawRow(['', '', 'Estimated total', '', '', money(rfq.subtotal)], { bold: true });
+
+      doc.x = left;
+      doc.moveDown();
+      if (quote.notes) {
+        doc.font('Helvetica').fontSize(10).fillColor('#1f2937').text(quote.notes, left, doc.y, { width });
+        doc.moveDown();
+      }
+      doc.font('Helvetica').fontSize(9).fillColor('#6b7280').text(
+        `Prices are from the supplier's website and are estimates. Please confirm pricing, availability and lead time, quoting reference ${rfq.reference}.`,
+        left, doc.y, { width }
+      );
+
+      doc.end();
+    });
+  }
+
+  async render(quote, rfq, format) {
+    return format === 'html' ? Buffer.from(this.html(quote, rfq), 'utf8') : this.pdf(quote, rfq);
+  }
+}
+
+QuoteDocument.FORMATS = FORMATS;
+
+module.exports = QuoteDocument;
@@ -0,0 +1,201 @@
+const crypto = require('crypto');
+const JsonFile = require('../storage/json-file');
+
+const MAX_ITEMS = 200;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+class QuoteValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'QuoteValidationError';
+  }
+}
+
+// Requests for quote, persisted to a JSON file.
+//
+// A quote is built from selected supplier offers and split into one RFQ per
+// supplier, each with its own reference so a rep's reply can be matched up:
+//   {
+//     id, ownerId, reference: 'RFQ-20261019-003', title, status: 'draft', createdAt,
+//     requester: { name, company, email, phone },
+//     shipTo, neededBy, notes,
+//     rfqs: [{ supplier: 'grainger', supplierName, reference: 'RFQ-20261019-003-GRAINGER',
+//              lines: [{ line, partNumber, name, quantity, unit, unitPrice, priceText,
+//                        extendedPrice, productUrl, notes }], subtotal }],
+//     total, currency
+//   }
+//
+// Items are either offers from a search ({ supplier, partNumber, name, price,
+// priceText, productUrl, quantity }) or priced BOM lines ({ bestOffer, quantity,
+// notes }); a BOM line is quoted in the supplier's order quantity and unit.
+class QuoteStore {
+  constructor({ filePath } = {}) {
+    if (!filePath) {
+      throw new Error('QuoteStore requires a filePath');
+    }
+
+    this.filePath = filePath;
+    this.quotes = new Map();
+    this.file = new JsonFile(filePath, { label: 'quotes' });
+  }
+
+  load() {
+    return this.file.load(quotes => {
+      for (const quote of quotes) {
+        this.quotes.set(quote.id, quote);
+      }
+      console.log(`🧾 Loaded ${this.quotes.size} quotes from ${this.filePath}`);
+    });
+  }
+
+  persist() {
+    return this.file.write(Array.from(this.quotes.values()));
+  }
+
+  validateRequester(requester) {
+    if (!requester || !String(requester.name || '').trim()) {
+      throw new QuoteValidationError('requester.name is required');
+    }
+    if (requester.email && !EMAIL_PATTERN.test(String(requester.email).trim())) {
+      throw new QuoteValidationError('requester.email must be an email address');
+    }
+  }
+
+  // { supplier, line } from an offer or a priced BOM line
+  normalizeItem(item, index, supplierIds) {
+    const label = `Item ${index + 1}`;
+    if (!item || typeof item !== 'object') {
+      throw new QuoteValidationError(`${label} must be an object`);
+    }
+
+    const offer = item.bestOffer || item;
+    const fromBom = !!item.bestOffer;
+
+    const supplier = String(offer.supplier || '').toLowerCase();
+    if (!supplierIds.includes(supplier)) {
+      throw new QuoteValidationError(`${label} supplier must be one of: ${supplierIds.join(', ')}`);
+    }
+    if (!offer.partNumber || !String(offer.partNumber).trim()) {
+      throw new QuoteValidationError(`${label} needs the supplier's partNumber`);
+    }
+
+    const quantity = Number(fromBom ? (offer.orderQuantity ?? item.quantity) : (item.quantity ?? 1));
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      throw new QuoteValidationError(`${label} quantity must be a positive whole number`);
+    }
+
+    const unitPrice = offer.price === null || offer.price === undefined || offer.price === '' ? null : Number(offer.price);
+    if (unitPrice !== null && (!Number.isFinite(unitPrice) || unitPrice < 0)) {
+      throw new QuoteValidationError(`${label} price must be a non-negative number`);
+    }
+
+    const pricing = offer.pricing || {};
+    const line = {
+      partNumber: String(offer.partNumber).trim(),
+      name: offer.name || '',
+      quantity,
+      unit: offer.orderUnit || pricing.unit || 'each',
+      unitPrice,
+      priceText: offer.priceText || null,
+      extendedPrice: unitPrice === null ? null : Math.round(unitPrice * quantity * 100) / 100,
+      productUrl: offer.productUrl || null,
+      notes: item.notes || null
+    };
+    return { supplier, line };
+  }
+
+  // RFQ-YYYYMMDD-NNN, numbered per day in creation order
+  nextReference(now) {
+    const day = now.toISOString().slice(0, 10).replace(/-/g, '');
+    const prefix = `RFQ-${day}-`;
+    const taken = Array.from(this.quotes.values())
+      .filter(quote => quote.reference.startsWith(prefix))
+      .map(quote => parseInt(quote.reference.slice(prefix.length), 10));
+    const next = taken.length > 0 ? Math.max(...taken) + 1 : 1;
+    return `${prefix}${String(next).padStart(3, '0')}`;
+  }
+
+  async create(fields, { supplierIds, supplierName = id => id }) {
+    await this.load();
+
+    const { requester, items, title, shipTo, neededBy, notes, ownerId } = fields || {};
+    this.validateRequester(requester);
+    if (!Array.isArray(items) || items.length === 0) {
+      throw new QuoteValidationError('items must be a non-empty array of offers or BOM lines');
+    }
+    if (items.length > MAX_ITEMS) {
+      throw new QuoteValidationError(`A quote can have at most ${MAX_ITEMS} items`);
+    }
+    if (neededBy && isNaN(Date.parse(neededBy))) {
+      throw new QuoteValidationError('neededBy must be a date');
+    }
+
+    // BOM lines that never got priced have no offer to quote
+    const quotable = items.filter(item => !(item && item.unresolved));
+    if (quotable.length === 0) {
+      throw new QuoteValidationError('None of the items has a supplier offer to quote');
+    }
+    const entries = quotable.map((item, index) => this.normalizeItem(item, index, supplierIds));
+
+    const now = new Date();
+    const reference = this.nextReference(now);
+    const bySupplier = new Map();
+    for (const { supplier, line } of entries) {
+      if (!bySupplier.has(supplier)) bySupplier.set(supplier, []);
+      bySupplier.get(supplier).push(line);
+    }
+
+    const rfqs = Array.from(bySupplier.entries()).map(([supplier, supplierLines]) => ({
+      supplier,
+      supplierName: supplierName(supplier),
+      reference: `${reference}-${supplier.toUpperCase()}`,
+      lines: supplierLines.map((line, index) => ({ line: index + 1, ...line })),
+      subtotal: Math.round(supplierLines.reduce((sum, line) => sum + (line.extendedPrice || 0), 0) * 100) / 100
+    }));
+
+    const quote = {
+      id: crypto.randomUUID(),
+      ownerId: ownerId || null,
+      reference,
+      title: title || `Parts request ${reference}`,
+      status: 'draft',
+      createdAt: now.toISOString(),
+      requester: {
+        name: String(requester.name).trim(),
+        company: requester.company || null,
+        email: requester.email ? String(requester.email).trim() : null,
+        phone: requester.phone || null
+      },
+      shipTo: shipTo || null,
+      neededBy: neededBy || null,
+      notes: notes || null,
+      rfqs,
+      total: Math.round(rfqs.reduce((sum, rfq) => sum + rfq.subtotal, 0) * 100) / 100,
+      currency: 'USD'
+    };
+
+    this.quotes.set(quote.id, quote);
+    await this.persist();
+    return quote;
+  }
+
+  async list() {
+    await this.load();
+    return Array.from(this.quotes.values());
+  }
+
+  async get(id) {
+    await this.load();
+    return this.quotes.get(id) || null;
+  }
+
+  async remove(id) {
+    await this.load();
+    const existed = this.quotes.delete(id);
+    if (existed) await this.persist();
+    return existed;
+  }
+}
+
+module.exports = QuoteStore;
+module.exports.QuoteValidationError = QuoteValidationError;
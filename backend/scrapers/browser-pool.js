@@ -0,0 +1,268 @@
+const puppeteer = require('puppeteer');
+
+const LAUNCH_ARGS = [
+  '--no-sandbox',
+  '--disable-setuid-sandbox',
+  '--disable-dev-shm-usage',
+  '--disable-accelerated-2d-canvas',
+  '--no-first-run',
+  '--no-zygote',
+  '--disable-gpu',
+  '--memory-pressure-off',
+  '--disable-background-timer-throttling',
+  '--disable-features=TranslateUI',
+  '--disable-ipc-flooding-protection',
+  '--window-size=1366,768'
+];
+
+// Resources we never need for scraping
+const BLOCKED_RESOURCE_TYPES = ['image', 'stylesheet', 'font', 'media'];
+
+// One headless Chrome shared by every scraper.
+//
+// - At most `maxConcurrency` pages are in use at once; extra requests wait in
+//   a FIFO queue (up to `acquireTimeoutMs`) instead of failing.
+// - Released pages are parked and handed out again rather than reopened.
+// - If Chrome crashes or disconnects, the next request relaunches it.
+// - After `recycleAfterPages` pages or `recycleAfterMs`, Chrome is restarted
+//   as soon as it is idle, which keeps its memory footprint bounded.
+class BrowserPool {
+  constructor({
+    maxConcurrency = 3,
+    maxIdlePages = maxConcurrency,
+    acquireTimeoutMs = 60000,
+    recycleAfterPages = 200,
+    recycleAfterMs = 30 * 60 * 1000,
+    recycleCheckIntervalMs = 60 * 1000,
+    launchOptions = {}
+  } = {}) {
+    this.maxConcurrency = maxConcurrency;
+    this.maxIdlePages = maxIdlePages;
+    this.acquireTimeoutMs = acquireTimeoutMs;
+    this.recycleAfterPages = recycleAfterPages;
+    this.recycleAfterMs = recycleAfterMs;
+    this.launchOptions = launchOptions;
+
+    this.browser = null;
+    this.launching = null;
+    this.launchedAt = null;
+    this.idlePages = [];
+    this.active = 0;
+    this.queue = [];
+    this.closed = false;
+    this.counters = { launches: 0, crashes: 0, recycles: 0, pagesServed: 0, pagesSinceLaunch: 0, queueTimeouts: 0 };
+
+    this.recycleTimer = setInterval(() => this.recycleIfNeeded(), recycleCheckIntervalMs);
+    this.recycleTimer.unref();
+  }
+
+  async getBrowser() {
+    if (this.browser && this.browser.isConnected()) {
+      return this.browser;
+    }
+
+    if (!this.launching) {
+      console.log('🚀 Launching shared Chrome instance');
+
+      this.launching = puppeteer.launch({
+        headless: true,
+        args: LAUNCH_ARGS,
+        ...this.launchOptions
+      })
+        .then(browser => {
+          browser.on('disconnected', () => this.handleDisconnect(browser));
+          this.browser = browser;
+          this.launchedAt = Date.now();
+          this.counters.launches++;
+          this.counters.pagesSinceLaunch = 0;
+          return browser;
+        })
+        .finally(() => {
+          this.launching = null;
+        });
+    }
+
+    return this.launching;
+  }
+
+  handleDisconnect(browser) {
+    if (this.browser !== browser) return; // Closed on purpose by recycle()
+
+    console.warn('⚠️ Chrome disconnected unexpectedly, relaunching on next request');
+    this.counters.crashes++;
+    this.browser = null;
+    this.idlePages = [];
+  }
+
+  acquireSlot() {
+    if (this.closed) {
+      return Promise.reject(new Error('Browser pool is closed'));
+    }
+
+    if (this.active < this.maxConcurrency) {
+      this.active++;
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject };
+      waiter.timer = setTimeout(() => {
+        this.queue = this.queue.filter(queued => queued !== waiter);
+        this.counters.queueTimeouts++;
+        reject(new Error(`Timed out after ${this.acquireTimeoutMs}ms waiting for a browser page`));
+      }, this.acquireTimeoutMs);
+
+      this.queue.push(waiter);
+    });
+  }
+
+  releaseSlot() {
+    const next = this.queue.shift();
+
+    if (next) {
+      // Hand the slot straight to the next waiter
+      clearTimeout(next.timer);
+      next.resolve();
+    } else {
+      this.active--;
+    }
+  }
+
+  async createPage(browser) {
+    const page = await browser.newPage();
+
+    await page.setRequestInterception(true);
+    page.on('request', (req) => {
+      if (BLOCKED_RESOURCE_TYPES.includes(req.resourceType())) {
+        req.abort();
+      } else {
+        req.continue();
+      }
+    });
+
+    return page;
+  }
+
+  async acquirePage() {
+    await this.acquireSlot();
+
+    try {
+      const browser = await this.getBrowser();
+
+      let page = null;
+      while (!page && this.idlePages.length > 0) {
+        const candidate = this.idlePages.pop();
+        if (!candidate.isClosed()) page = candidate;
+      }
+
+      if (!page) {
+        page = await this.createPage(browser);
+      }
+
+      this.counters.pagesServed++;
+      this.counters.pagesSinceLaunch++;
+      return page;
+    } catch (error) {
+      this.releaseSlot();
+      throw error;
+    }
+  }
+
+  async releasePage(page, { reusable = true } = {}) {
+    try {
+      const canPark = reusable &&
+        !page.isClosed() &&
+        this.browser &&
+        page.browser() === this.browser &&
+        this.idlePages.length < this.maxIdlePages &&
+        !this.needsRecycle();
+
+      if (canPark) {
+        await page.goto('about:blank');
+        this.idlePages.push(page);
+      } else if (!page.isClosed()) {
+        await page.close();
+      }
+    } catch (error) {
+      console.error('❌ Failed to release browser page:', error.message);
+      if (!page.isClosed()) {
+        await page.close().catch(() => {});
+      }
+    } finally {
+      this.releaseSlot();
+      await this.recycleIfNeeded();
+    }
+  }
+
+  // Runs fn with a pooled page. Pages that saw an error are closed, not reused.
+  async withPage(fn) {
+    const page = await this.acquirePage();
+    let reusable = true;
+
+    try {
+      return await fn(page);
+    } catch (error) {
+      reusable = false;
+      throw error;
+    } finally {
+      await this.releasePage(page, { reusable });
+    }
+  }
+
+  needsRecycle() {
+    if (!this.browser) return false;
+    return this.counters.pagesSinceLaunch >= this.recycleAfterPages ||
+      Date.now() - this.launchedAt >= this.recycleAfterMs;
+  }
+
+  async recycleIfNeeded() {
+    if (this.active > 0 || !this.needsRecycle()) return;
+
+    console.log('♻️ Recycling shared Chrome instance');
+    this.counters.recycles++;
+    await this.shutdownBrowser();
+  }
+
+  async shutdownBrowser() {
+    const browser = this.browser;
+
+    // Detach first so new requests launch a fresh browser
+    this.browser = null;
+    this.idlePages = [];
+
+    if (browser) {
+      try {
+        await browser.close();
+      } catch (error) {
+        console.error('❌ Failed to close Chrome:', error.message);
+      }
+    }
+  }
+
+  async close() {
+    this.closed = true;
+    clearInterval(this.recycleTimer);
+
+    for (const waiter of this.queue) {
+      clearTimeout(waiter.timer);
+      waiter.reject(new Error('Browser pool is closed'));
+    }
+    this.queue = [];
+
+    await this.shutdownBrowser();
+  }
+
+  stats() {
+    return {
+      browserRunning: !!(this.browser && this.browser.isConnected()),
+      maxConcurrency: this.maxConcurrency,
+      activePages: this.active,
+      queuedRequests: this.queue.length,
+      idlePages: this.idlePages.length,
+      browserAgeSeconds: this.browser ? Math.round((Date.now() - this.launchedAt) / 1000) : null,
+      ...this.counters
+    };
+  }
+}
+
+module.exports = BrowserPool;
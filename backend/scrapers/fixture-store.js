@@ -0,0 +1,97 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MODES = ['off', 'record', 'replay'];
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+
+// Record-and-replay for supplier pages.
+//
+// record: every raw HTTP response and Puppeteer-rendered DOM is saved under
+//         fixtures/<supplier>/<query>.<kind>.html while scraping normally.
+// replay: scrapers read those files instead of touching the network, so the
+//         whole search pipeline runs deterministically offline.
+//
+// kind is "http" for Axios responses and "dom" for Puppeteer snapshots.
+class FixtureStore {
+  constructor({ mode = 'off', directory = DEFAULT_FIXTURES_DIR } = {}) {
+    if (!MODES.includes(mode)) {
+      throw new Error(`Unknown fixture mode "${mode}" (expected ${MODES.join(', ')})`);
+    }
+
+    this.mode = mode;
+    this.directory = directory;
+  }
+
+  // Mode comes from --record / --replay on the command line, else SCRAPER_FIXTURES
+  static fromEnvironment(argv = process.argv, env = process.env) {
+    let mode = env.SCRAPER_FIXTURES || 'off';
+    if (argv.includes('--record')) mode = 'record';
+    if (argv.includes('--replay')) mode = 'replay';
+
+    return new FixtureStore({
+      mode,
+      directory: env.SCRAPER_FIXTURES_DIR || DEFAULT_FIXTURES_DIR
+    });
+  }
+
+  // Page one keeps the bare query so fixtures recorded before paging still replay
+  static pageKey(query, page = 1) {
+    return page > 1 ? `${query} #page${page}` : query;
+  }
+
+  get isRecording() {
+    return this.mode === 'record';
+  }
+
+  get isReplaying() {
+    return this.mode === 'replay';
+  }
+
+  fixturePath(supplier, kind, query) {
+    const normalized = String(query).toLowerCase().replace(/\s+/g, ' ').trim();
+    const slug = normalized.replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 60) || 'query';
+    const hash = crypto.createHash('sha1').update(normalized).digest('hex').slice(0, 8);
+    return path.join(this.directory, supplier, `${slug}-${hash}.${kind}.html`);
+  }
+
+  async read(supplier, kind, query) {
+    const filePath = this.fixturePath(supplier, kind, query);
+
+    try {
+      const html = await fs.promises.readFile(filePath, 'utf8');
+      console.log(`📼 Replaying ${supplier} ${kind} fixture: ${path.relative(this.directory, filePath)}`);
+      return html;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        console.warn(`⚠️ No ${kind} fixture recorded for ${supplier}: "${query}"`);
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async write(supplier, kind, query, html) {
+    const filePath = this.fixturePath(supplier, kind, query);
+
+    try {
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, html);
+      console.log(`🔴 Recorded ${supplier} ${kind} fixture: ${path.relative(this.directory, filePath)}`);
+    } catch (error) {
+      // Recording is best effort and must never break a live search
+      console.error(`❌ Failed to record ${supplier} fixture:`, error.message);
+    }
+  }
+
+  describe() {
+    return {
+      mode: this.mode,
+      directory: this.directory
+    };
+  }
+}
+
+FixtureStore.MODES = MODES;
+
+module.exports = FixtureStore;
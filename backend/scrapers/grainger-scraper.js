@@ -1,10 +1,20 @@
-const puppeteer = require('puppeteer');
 const axios = require('axios');
 const cheerio = require('cheerio');
+const FixtureStore = require('./fixture-store');
+const ScraperHealthMonitor = require('./scraper-health');
+const BrowserPool = require('./browser-pool');
+const { withRetry } = require('./resilience');
+const { parseAmount, parsePriceText } = require('./price-parser');
 
 class GraingerPriceScraper {
-  constructor() {
-    this.browser = null;
+  constructor({
+    fixtures = new FixtureStore(),
+    health = new ScraperHealthMonitor(),
+    browserPool = new BrowserPool()
+  } = {}) {
+    this.fixtures = fixtures;
+    this.health = health;
+    this.browserPool = browserPool;
     this.baseUrl = 'https://www.grainger.com';
     this.userAgents = [
       'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
@@ -65,52 +75,86 @@ class GraingerPriceScraper {
         '.quantity-pricing-table tbody tr',
         '.tier-pricing tbody tr',
         '.price-break-table tbody tr'
+      ],
+
+      // Product detail page - specification table rows (th/td or td/td)
+      specificationRows: [
+        '[data-testid="product-specifications"] tr',
+        '[data-automation-id="specifications-table"] tr',
+        '.specifications-table tr',
+        '.product-specs tr'
+      ],
+
+      // Product detail page - specification definition lists (dt/dd)
+      specificationLists: [
+        '[data-testid="product-specifications"] dl',
+        '.specifications dl',
+        '.product-specs dl'
+      ],
+
+      // Product detail page - gallery images
+      images: [
+        '[data-testid="product-image-gallery"] img',
+        '[data-automation-id="product-image"] img',
+        '.product-image-carousel img',
+        '.product-image img'
+      ],
+
+      // Unit of measure next to the price ("each", "pkg of 10"), on search
+      // tiles and the product detail page
+      uom: [
+        '[data-testid="price-uom"]',
+        '[data-automation-id="product-price-uom"]',
+        '.pricing-uom',
+        '.price-uom',
+        '.uom'
+      ],
+
+      // Manufacturer model number, on search tiles and the product detail page
+      manufacturerPartNumber: [
+        '[data-testid="mfr-part-number"]',
+        '[data-automation-id="product-mfr-number"]',
+        '[data-testid="product-mfr-number"]',
+        '.mfr-part-number',
+        '.mfr-number',
+        '.manufacturer-model'
+      ],
+
+      // Product detail page - brand
+      brand: [
+        '[data-testid="product-brand"]',
+        '[data-automation-id="product-brand"]',
+        '.product-brand'
       ]
     };
+
+    // Specification labels Grainger uses for the manufacturer part number
+    this.mfrSpecLabels = ['mfr. model #', 'mfr model #', 'manufacturer model #', 'manufacturer part number'];
   }
 
   getRandomUserAgent() {
     return this.userAgents[Math.floor(Math.random() * this.userAgents.length)];
   }
 
-  async initBrowser() {
-    if (!this.browser) {
-      this.browser = await puppeteer.launch({
-        headless: true,
-        args: [
-          '--no-sandbox',
-          '--disable-setuid-sandbox',
-          '--disable-dev-shm-usage',
-          '--disable-accelerated-2d-canvas',
-          '--no-first-run',
-          '--no-zygote',
-          '--disable-gpu',
-          '--memory-pressure-off',
-          '--disable-background-timer-throttling',
-          '--disable-features=TranslateUI',
-          '--disable-ipc-flooding-protection',
-          '--window-size=1366,768'
-        ]
-      });
-    }
-    return this.browser;
-  }
-
-  async closeBrowser() {
-    if (this.browser) {
-      await this.browser.close();
-      this.browser = null;
-    }
+  buildSearchUrl(query, page = 1) {
+    const url = `${this.baseUrl}/search?searchQuery=${encodeURIComponent(query)}`;
+    return page > 1 ? `${url}&page=${page}` : url;
   }
 
   // Fast Axios-based scraping (primary method)
-  async getPricesWithAxios(query, maxResults = 10) {
-    const searchUrl = `${this.baseUrl}/search?searchQuery=${encodeURIComponent(query)}`;
+  async getPricesWithAxios(query, maxResults = 10, page = 1) {
+    const searchUrl = this.buildSearchUrl(query, page);
+    const fixtureKey = FixtureStore.pageKey(query, page);
     
     try {
+      if (this.fixtures.isReplaying) {
+        const html = await this.fixtures.read('grainger', 'http', fixtureKey);
+        return html ? this.parseHTMLForPrices(html, maxResults, 'axios') : [];
+      }
+
       console.log(`🌐 Grainger Axios price check: ${query}`);
       
-      const response = await axios.get(searchUrl, {
+      const response = await withRetry(() => axios.get(searchUrl, {
         headers: {
           'User-Agent': this.getRandomUserAgent(),
           'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
@@ -122,73 +166,96 @@ class GraingerPriceScraper {
         },
         timeout: 15000,
         maxRedirects: 3
+      }), {
+        retries: 2,
+        baseDelayMs: 1000,
+        deadlineMs: 15000,
+        onRetry: (error, attempt, delay) => {
+          console.warn(`🔁 Retrying Grainger (attempt ${attempt}) in ${delay}ms: ${error.message}`);
+        }
       });
 
-      return this.parseHTMLForPrices(response.data, maxResults);
+      if (this.fixtures.isRecording) {
+        await this.fixtures.write('grainger', 'http', fixtureKey, response.data);
+      }
+
+      return this.parseHTMLForPrices(response.data, maxResults, 'axios');
       
     } catch (error) {
       console.error(`❌ Axios failed for Grainger:`, error.message);
+      this.health.recordFailure('grainger', 'axios', error);
       throw error;
     }
   }
 
   // Puppeteer-based scraping (fallback method)
-  async getPricesWithPuppeteer(query, maxResults = 10) {
-    const searchUrl = `${this.baseUrl}/search?searchQuery=${encodeURIComponent(query)}`;
-    let page;
+  async getPricesWithPuppeteer(query, maxResults = 10, page = 1) {
+    const fixtureKey = FixtureStore.pageKey(query, page);
+    if (this.fixtures.isReplaying) {
+      const html = await this.fixtures.read('grainger', 'dom', fixtureKey);
+      return html ? this.parseHTMLForPrices(html, maxResults, 'puppeteer') : [];
+    }
+
+    const searchUrl = this.buildSearchUrl(query, page);
 
     try {
-      console.log(`🤖 Grainger Puppeteer price check: ${query}`);
-      
-      const browser = await this.initBrowser();
-      page = await browser.newPage();
-      
-      // Set realistic browser profile
-      await page.setUserAgent(this.getRandomUserAgent());
-      await page.setViewport({ width: 1366, height: 768 });
-      
-      // Block unnecessary resources for speed
-      await page.setRequestInterception(true);
-      page.on('request', (req) => {
-        const resourceType = req.resourceType();
-        if (['image', 'stylesheet', 'font', 'media'].includes(resourceType)) {
-          req.abort();
-        } else {
-          req.continue();
+      return await this.browserPool.withPage(async (page) => {
+        console.log(`🤖 Grainger Puppeteer price check: ${query}`);
+
+        // Set realistic browser profile
+        await page.setUserAgent(this.getRandomUserAgent());
+        await page.setViewport({ width: 1366, height: 768 });
+
+        // Navigate with retry logic
+        let retries = 2;
+        while (retries > 0) {
+          try {
+            await page.goto(searchUrl, { 
+              waitUntil: 'domcontentloaded',
+              timeout: 20000 
+            });
+            break;
+          } catch (e) {
+            retries--;
+            if (retries === 0) throw e;
+            await new Promise(resolve => setTimeout(resolve, 2000));
+          }
         }
-      });
 
-      // Navigate with retry logic
-      let retries = 2;
-      while (retries > 0) {
-        try {
-          await page.goto(searchUrl, { 
-            waitUntil: 'domcontentloaded',
-            timeout: 20000 
-          });
-          break;
-        } catch (e) {
-          retries--;
-          if (retries === 0) throw e;
-          await new Promise(resolve => setTimeout(resolve, 2000));
+        // Wait for products to load
+        await this.waitForProducts(page);
+
+        if (this.fixtures.isRecording) {
+          await this.fixtures.write('grainger', 'dom', fixtureKey, await page.content());
         }
-      }
 
-      // Wait for products to load
-      await this.waitForProducts(page);
+        // Extract pricing data
+        const extracted = await this.extractPricingData(page, maxResults);
+
+        this.health.record('grainger', {
+          method: 'puppeteer',
+          selectors: this.selectors,
+          containerSelector: extracted.containerSelector,
+          containerSelectorIndex: extracted.containerSelectorIndex,
+          containersFound: extracted.containersFound,
+          productsParsed: extracted.products.length,
+          fieldMatches: extracted.fieldMatches
+        });
 
-      // Extract pricing data
-      const results = await this.extractPricingData(page, maxResults);
-      
-      return results;
+        return this.normalizeResults(extracted.products);
+      });
 
     } catch (error) {
+      // A search that matches nothing renders no product containers. That's
+      // an empty result, not a supplier failure, so it must not count against
+      // the circuit breaker (scraper health already logged the empty page).
+      if (error.noContainers) {
+        console.log(`⚠️ Grainger found no products for: ${query}`);
+        return [];
+      }
       console.error(`❌ Puppeteer failed for Grainger:`, error.message);
+      this.health.recordFailure('grainger', 'puppeteer', error);
       throw error;
-    } finally {
-      if (page) {
-        await page.close();
-      }
     }
   }
 
@@ -203,30 +270,51 @@ class GraingerPriceScraper {
         continue;
       }
     }
-    throw new Error('No product containers found on Grainger page');
+
+    this.health.record('grainger', {
+      method: 'puppeteer',
+      selectors: this.selectors,
+      containersFound: 0,
+      productsParsed: 0
+    });
+
+    const error = new Error('No product containers found on Grainger page');
+    error.noContainers = true;
+    throw error;
   }
 
   async extractPricingData(page, maxResults) {
     return await page.evaluate((selectors, maxResults) => {
       const products = [];
+      const fieldMatches = {};
       
       // Find product containers
       let containers = [];
-      for (const selector of selectors.productContainer) {
+      let containerSelector = null;
+      let containerSelectorIndex = -1;
+      for (const [selectorIndex, selector] of selectors.productContainer.entries()) {
         containers = document.querySelectorAll(selector);
-        if (containers.length > 0) break;
+        if (containers.length > 0) {
+          containerSelector = selector;
+          containerSelectorIndex = selectorIndex;
+          break;
+        }
       }
 
       containers.forEach((container, index) => {
         if (index >= maxResults) return;
         
-        const getTextBySelectors = (selectorArray) => {
-          for (const selector of selectorArray) {
+        // Also records which selector in the fallback list matched (-1 for none)
+        const getTextBySelectors = (field, selectorArray) => {
+          const matches = fieldMatches[field] || (fieldMatches[field] = []);
+          for (const [selectorIndex, selector] of selectorArray.entries()) {
             const element = container.querySelector(selector);
             if (element && element.textContent.trim()) {
+              matches.push(selectorIndex);
               return element.textContent.trim();
             }
           }
+          matches.push(-1);
           return '';
         };
 
@@ -241,10 +329,12 @@ class GraingerPriceScraper {
         };
 
         // Extract core data
-        const partNumber = getTextBySelectors(selectors.partNumber);
-        const productName = getTextBySelectors(selectors.productName);
-        const priceText = getTextBySelectors(selectors.price);
-        const availability = getTextBySelectors(selectors.availability);
+        const partNumber = getTextBySelectors('partNumber', selectors.partNumber);
+        const productName = getTextBySelectors('productName', selectors.productName);
+        const priceText = getTextBySelectors('price', selectors.price);
+        const availability = getTextBySelectors('availability', selectors.availability);
+        const uomText = getTextBySelectors('uom', selectors.uom);
+        const manufacturerPartNumber = getTextBySelectors('manufacturerPartNumber', selectors.manufacturerPartNumber);
         
         // Get product URL
         const linkElement = container.querySelector('a[href*="/product/"]');
@@ -255,6 +345,8 @@ class GraingerPriceScraper {
             partNumber,
             productName,
             priceText,
+            uomText,
+            manufacturerPartNumber,
             availability,
             productUrl,
             containerHTML: container.outerHTML.substring(0, 500) // Debug info
@@ -262,38 +354,63 @@ class GraingerPriceScraper {
         }
       });
 
-      return products;
+      return {
+        products,
+        fieldMatches,
+        containerSelector,
+        containerSelectorIndex,
+        containersFound: containers.length
+      };
     }, this.selectors, maxResults);
   }
 
-  parseHTMLForPrices(html, maxResults) {
+  parseHTMLForPrices(html, maxResults, method = 'axios') {
     const $ = cheerio.load(html);
     const results = [];
+    const observation = {
+      method,
+      selectors: this.selectors,
+      containerSelector: null,
+      containerSelectorIndex: -1,
+      containersFound: 0,
+      fieldMatches: {}
+    };
 
     // Try each container selector
-    for (const containerSelector of this.selectors.productContainer) {
+    for (const [selectorIndex, containerSelector] of this.selectors.productContainer.entries()) {
       const containers = $(containerSelector);
       
       if (containers.length > 0) {
         console.log(`📋 Found ${containers.length} products with: ${containerSelector}`);
+        observation.containerSelector = containerSelector;
+        observation.containerSelectorIndex = selectorIndex;
+        observation.containersFound = containers.length;
         
         containers.each((index, element) => {
           if (index >= maxResults) return false;
           
           const $container = $(element);
           
-          const getTextBySelectors = (selectors) => {
-            for (const selector of selectors) {
+          // Also records which selector in the fallback list matched (-1 for none)
+          const getTextBySelectors = (field, selectors) => {
+            const matches = observation.fieldMatches[field] || (observation.fieldMatches[field] = []);
+            for (const [fieldSelectorIndex, selector] of selectors.entries()) {
               const text = $container.find(selector).first().text().trim();
-              if (text) return text;
+              if (text) {
+                matches.push(fieldSelectorIndex);
+                return text;
+              }
             }
+            matches.push(-1);
             return '';
           };
 
-          const partNumber = getTextBySelectors(this.selectors.partNumber);
-          const productName = getTextBySelectors(this.selectors.productName);
-          const priceText = getTextBySelectors(this.selectors.price);
-          const availability = getTextBySelectors(this.selectors.availability);
+          const partNumber = getTextBySelectors('partNumber', this.selectors.partNumber);
+          const productName = getTextBySelectors('productName', this.selectors.productName);
+          const priceText = getTextBySelectors('price', this.selectors.price);
+          const availability = getTextBySelectors('availability', this.selectors.availability);
+          const uomText = getTextBySelectors('uom', this.selectors.uom);
+          const manufacturerPartNumber = getTextBySelectors('manufacturerPartNumber', this.selectors.manufacturerPartNumber);
           
           // Get product URL
           const productLink = $container.find('a[href*="/product/"]').first().attr('href');
@@ -304,6 +421,8 @@ class GraingerPriceScraper {
               partNumber,
               productName,
               priceText,
+              uomText,
+              manufacturerPartNumber,
               availability,
               productUrl
             });
@@ -313,6 +432,8 @@ class GraingerPriceScraper {
       }
     }
 
+    this.health.record('grainger', { ...observation, productsParsed: results.length });
+
     return this.normalizeResults(results);
   }
 
@@ -322,37 +443,30 @@ class GraingerPriceScraper {
       
       return {
         partNumber: item.partNumber,
+        manufacturerPartNumber: this.cleanManufacturerPartNumber(item.manufacturerPartNumber),
         name: item.productName,
         price: price,
         priceText: item.priceText,
+        pricing: parsePriceText(item.priceText, { uomText: item.uomText, name: item.productName }),
         availability: item.availability || 'Contact supplier',
         inStock: this.parseAvailability(item.availability),
         supplier: 'grainger',
         productUrl: item.productUrl,
-        lastUpdated: new Date().toISOString(),
-        confidence: this.calculateConfidence(item)
+        lastUpdated: new Date().toISOString()
       };
     });
   }
 
+  // "Mfr. Model # 6203-2RS" -> "6203-2RS"
+  cleanManufacturerPartNumber(text) {
+    const value = String(text || '')
+      .replace(/^\s*(?:mfr|manufacturer)\b\.?\s*(?:model|part)?\s*(?:#|no\.?|number)?\s*:?\s*/i, '')
+      .trim();
+    return value || null;
+  }
+
   parsePrice(priceText) {
-    if (!priceText) return null;
-    
-    // Handle various price formats
-    const patterns = [
-      /\$(\d+(?:,\d{3})*(?:\.\d{2})?)/,  // $123.45 or $1,234.56
-      /(\d+(?:,\d{3})*(?:\.\d{2})?)\s*(?:USD|dollars?)/i,  // 123.45 USD
-      /Price:\s*\$?(\d+(?:,\d{3})*(?:\.\d{2})?)/i  // Price: $123.45
-    ];
-    
-    for (const pattern of patterns) {
-      const match = priceText.match(pattern);
-      if (match) {
-        return parseFloat(match[1].replace(/,/g, ''));
-      }
-    }
-    
-    return null;
+    return parseAmount(priceText).amount;
   }
 
   parseAvailability(availabilityText) {
@@ -367,19 +481,8 @@ class GraingerPriceScraper {
     return !unavailableKeywords.some(keyword => text.includes(keyword));
   }
 
-  calculateConfidence(item) {
-    let confidence = 0.5; // Base confidence
-    
-    // Increase confidence based on data quality
-    if (item.priceText && this.parsePrice(item.priceText)) confidence += 0.3;
-    if (item.partNumber && item.partNumber.length > 3) confidence += 0.1;
-    if (item.productUrl) confidence += 0.1;
-    
-    return Math.min(confidence, 1.0);
-  }
-
   // Main public method - attempts Axios first, falls back to Puppeteer
-  async getLivePrices(query, maxResults = 10) {
+  async getLivePrices(query, maxResults = 10, page = 1) {
     if (!query || query.trim().length < 2) {
       throw new Error('Query must be at least 2 characters');
     }
@@ -388,7 +491,7 @@ class GraingerPriceScraper {
     
     try {
       // Try fast Axios method first
-      const results = await this.getPricesWithAxios(query, maxResults);
+      const results = await this.getPricesWithAxios(query, maxResults, page);
       
       if (results.length > 0) {
         console.log(`✅ Axios successful: ${results.length} results`);
@@ -398,7 +501,7 @@ class GraingerPriceScraper {
       console.log(`⚠️ Axios returned no results, trying Puppeteer...`);
       
       // Fall back to Puppeteer
-      const puppeteerResults = await this.getPricesWithPuppeteer(query, maxResults);
+      const puppeteerResults = await this.getPricesWithPuppeteer(query, maxResults, page);
       console.log(`✅ Puppeteer successful: ${puppeteerResults.length} results`);
       
       return puppeteerResults;
@@ -409,24 +512,196 @@ class GraingerPriceScraper {
     }
   }
 
-  // Get detailed pricing for a specific part number
+  // Fetch the raw HTML of a product page, recording/replaying like search pages.
+  // Falls back to a rendered Puppeteer snapshot when the static request fails.
+  async getProductPageHTML(productUrl, itemNumber) {
+    if (this.fixtures.isReplaying) {
+      return this.fixtures.read('grainger', 'detail', itemNumber);
+    }
+
+    let html;
+    try {
+      console.log(`🌐 Grainger product page: ${productUrl}`);
+
+      const response = await withRetry(() => axios.get(productUrl, {
+        headers: {
+          'User-Agent': this.getRandomUserAgent(),
+          'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+          'Accept-Language': 'en-US,en;q=0.5',
+          'Cache-Control': 'no-cache'
+        },
+        timeout: 15000,
+        maxRedirects: 5
+      }), { retries: 2, baseDelayMs: 1000, deadlineMs: 15000 });
+
+      html = response.data;
+    } catch (error) {
+      console.error(`⚠️ Axios product page failed for Grainger, trying Puppeteer:`, error.message);
+
+      html = await this.browserPool.withPage(async (page) => {
+        await page.setUserAgent(this.getRandomUserAgent());
+        await page.setViewport({ width: 1366, height: 768 });
+        await page.goto(productUrl, { waitUntil: 'domcontentloaded', timeout: 20000 });
+        return page.content();
+      });
+    }
+
+    if (this.fixtures.isRecording) {
+      await this.fixtures.write('grainger', 'detail', itemNumber, html);
+    }
+
+    return html;
+  }
+
+  // "1-9" -> { min: 1, max: 9 }, "10+" -> { min: 10, max: null }, "25" -> { min: 25, max: 25 }
+  parseQuantityRange(text) {
+    const cleaned = (text || '').replace(/,/g, '');
+    const range = cleaned.match(/(\d+)\s*(?:-|–|to)\s*(\d+)/i);
+    if (range) {
+      return { min: parseInt(range[1]), max: parseInt(range[2]) };
+    }
+
+    const openEnded = cleaned.match(/(\d+)\s*(?:\+|or more|and up)/i);
+    if (openEnded) {
+      return { min: parseInt(openEnded[1]), max: null };
+    }
+
+    const single = cleaned.match(/(\d+)/);
+    return single ? { min: parseInt(single[1]), max: parseInt(single[1]) } : null;
+  }
+
+  parseProductDetails(html) {
+    const $ = cheerio.load(html);
+
+    const getTextBySelectors = (selectors) => {
+      for (const selector of selectors) {
+        const text = $(selector).first().text().replace(/\s+/g, ' ').trim();
+        if (text) return text;
+      }
+      return '';
+    };
+
+    // Quantity breaks: first cell is the quantity range, the price is the
+    // first cell that parses as money
+    const quantityPricing = [];
+    for (const selector of this.selectors.quantityPricing) {
+      $(selector).each((index, row) => {
+        const cells = $(row).find('td, th').map((i, cell) => $(cell).text().trim()).get();
+        if (cells.length < 2) return;
+
+        const quantity = this.parseQuantityRange(cells[0]);
+        const priceText = cells.slice(1).find(cell => this.parsePrice(cell) !== null);
+        if (!quantity || !priceText) return;
+
+        quantityPricing.push({
+          minQuantity: quantity.min,
+          maxQuantity: quantity.max,
+          price: this.parsePrice(priceText),
+          priceText
+        });
+      });
+      if (quantityPricing.length > 0) break;
+    }
+    quantityPricing.sort((a, b) => a.minQuantity - b.minQuantity);
+
+    const specifications = {};
+    for (const selector of this.selectors.specificationRows) {
+      $(selector).each((index, row) => {
+        const cells = $(row).find('th, td');
+        if (cells.length < 2) return;
+        const key = $(cells[0]).text().replace(/\s+/g, ' ').trim();
+        const value = $(cells[1]).text().replace(/\s+/g, ' ').trim();
+        if (key && value) specifications[key] = value;
+      });
+      if (Object.keys(specifications).length > 0) break;
+    }
+    if (Object.keys(specifications).length === 0) {
+      for (const selector of this.selectors.specificationLists) {
+        $(selector).find('dt').each((index, term) => {
+          const key = $(term).text().replace(/\s+/g, ' ').trim();
+          const value = $(term).next('dd').text().replace(/\s+/g, ' ').trim();
+          if (key && value) specifications[key] = value;
+        });
+        if (Object.keys(specifications).length > 0) break;
+      }
+    }
+
+    const images = [];
+    for (const selector of this.selectors.images) {
+      $(selector).each((index, img) => {
+        const src = $(img).attr('data-src') || $(img).attr('src');
+        if (!src || src.startsWith('data:')) return;
+        const url = src.startsWith('//') ? `https:${src}` : src.startsWith('/') ? `${this.baseUrl}${src}` : src;
+        if (!images.includes(url)) images.push(url);
+      });
+      if (images.length > 0) break;
+    }
+
+    let manufacturerPartNumber = this.cleanManufacturerPartNumber(getTextBySelectors(this.selectors.manufacturerPartNumber));
+    if (!manufacturerPartNumber) {
+      const label = Object.keys(specifications).find(key => this.mfrSpecLabels.includes(key.toLowerCase()));
+      manufacturerPartNumber = label ? specifications[label] : '';
+    }
+
+    return {
+      quantityPricing,
+      specifications,
+      images,
+      uom: getTextBySelectors(this.selectors.uom) || null,
+      manufacturerPartNumber: manufacturerPartNumber || null,
+      brand: getTextBySelectors(this.selectors.brand) || null
+    };
+  }
+
+  // "Item # 6CZ37" and "6cz37" are the same item number
+  normalizeItemNumber(value) {
+    return String(value || '').replace(/^\s*item\s*#?\s*:?/i, '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  }
+
+  // Get detailed pricing for a specific Grainger item number: quantity breaks,
+  // specifications, images, unit of measure and manufacturer part number
   async getDetailedPricing(partNumber) {
     try {
-      const results = await this.getLivePrices(partNumber, 1);
-      
-      if (results.length === 0) {
+      // A search by item number can put a different product first (or only
+      // return near misses), so only an exact item number match counts
+      const wanted = this.normalizeItemNumber(partNumber);
+      const results = await this.getLivePrices(partNumber, 5);
+      const product = results.find(result => this.normalizeItemNumber(result.partNumber) === wanted);
+
+      if (!product) {
         return null;
       }
       
-      const product = results[0];
-      
-      // If we have a product URL, we could scrape the product page for quantity pricing
-      // For now, return the basic pricing info
+      const productUrl = product.productUrl || `${this.baseUrl}/product/${encodeURIComponent(product.partNumber)}`;
+      const html = await this.getProductPageHTML(productUrl, product.partNumber);
+
+      if (!html) {
+        return {
+          ...product,
+          quantityPricing: [],
+          specifications: {},
+          images: [],
+          uom: null,
+          brand: null,
+          detailSource: 'unavailable'
+        };
+      }
+
+      const details = this.parseProductDetails(html);
+
+      // The product page states the unit of measure even when the search tile didn't
+      const pricing = !product.pricing.unitDetermined && details.uom
+        ? parsePriceText(product.priceText, { uomText: details.uom, name: product.name })
+        : product.pricing;
+
       return {
         ...product,
-        quantityPricing: [], // Could be enhanced to scrape qty breaks
-        specifications: {}, // Could be enhanced to scrape specs
-        images: [] // Could be enhanced to scrape images
+        productUrl,
+        ...details,
+        // Fall back to the Mfr # on the search tile when the page doesn't list one
+        manufacturerPartNumber: details.manufacturerPartNumber || product.manufacturerPartNumber,
+        pricing,
+        detailSource: 'product_page'
       };
       
     } catch (error) {
@@ -440,7 +715,8 @@ module.exports = GraingerPriceScraper;
 
 // Usage example:
 /*
-const scraper = new GraingerPriceScraper();
+const browserPool = new BrowserPool();
+const scraper = new GraingerPriceScraper({ browserPool });
 
 async function testGraingerPrices() {
   try {
@@ -455,7 +731,7 @@ async function testGraingerPrices() {
   } catch (error) {
     console.error('Error:', error.message);
   } finally {
-    await scraper.closeBrowser();
+    await browserPool.close();
   }
 }
 
@@ -1,7 +1,11 @@
 const axios = require('axios');
+const { NON_BEARING_WORDS } = require('../search/part-normalizer');
 
 class LLMSearchEnhancer {
-  constructor() {
+  constructor({ partNormalizer = null, attributeParser = null } = {}) {
+    this.partNormalizer = partNormalizer;
+    this.attributeParser = attributeParser;
+
     // You can use OpenAI, Claude, or any other LLM API
     this.apiKey = process.env.OPENAI_API_KEY || process.env.LLM_API_KEY;
     this.apiEndpoint = process.env.LLM_ENDPOINT || 'https://api.openai.com/v1/chat/completions';
@@ -17,7 +21,8 @@ class LLMSearchEnhancer {
       pneumatic: ['air cylinder', 'air valve', 'air filter', 'regulator', 'lubricator']
     };
     
-    // Common equipment to part mappings
+    // Common equipment to part mappings. A site's own registered equipment
+    // (passed per search as `equipment`) only adds suggestions.
     this.equipmentMappings = {
       'conveyor': ['bearing', 'belt', 'roller', 'motor', 'chain'],
       'pump': ['seal', 'impeller', 'bearing', 'coupling', 'gasket'],
@@ -27,7 +32,19 @@ class LLMSearchEnhancer {
     };
   }
 
-  async enhanceSearchQuery(originalQuery) {
+  // Every enhancement also carries the query's spec `attributes` (thread,
+  // bore, material, voltage, ...) used to filter and score results.
+  // `allowLLMCall` is asked right before each LLM request (the caller's
+  // quota); when it says no, the query is passed through unchanged.
+  // `equipment` lists the registered assets the query names, as
+  // [{ name, parts: [search terms] }].
+  async enhanceSearchQuery(originalQuery, { allowLLMCall, equipment } = {}) {
+    const attributes = this.attributeParser ? this.attributeParser.parse(originalQuery) : {};
+    const enhancement = await this.enhance(originalQuery, { allowLLMCall });
+    return { ...enhancement, ...this.equipmentEnhancement(equipment), attributes };
+  }
+
+  async enhance(originalQuery, { allowLLMCall = async () => true } = {}) {
     try {
       console.log(`🧠 LLM enhancing query: "${originalQuery}"`);
       
@@ -39,7 +56,8 @@ class LLMSearchEnhancer {
       }
       
       // Fall back to LLM if rules don't work well
-      if (this.apiKey) {
+      const llmAllowed = this.apiKey ? await allowLLMCall() : false;
+      if (llmAllowed) {
         const llmResult = await this.llmBasedEnhancement(originalQuery);
         console.log(`✅ LLM enhancement successful: ${llmResult.enhancedQuery}`);
         return llmResult;
@@ -52,7 +70,8 @@ class LLMSearchEnhancer {
         enhancedQuery: originalQuery,
         suggestions: this.generateSuggestions(originalQuery),
         confidence: 0.3,
-        method: 'passthrough'
+        method: 'passthrough',
+        ...(this.apiKey && !llmAllowed ? { llmSkipped: 'quota' } : {})
       };
       
     } catch (error) {
@@ -73,10 +92,33 @@ class LLMSearchEnhancer {
     let enhancedQuery = normalizedQuery;
     let confidence = 0.5;
     let suggestions = [];
+
+    // Pattern 0: Known designations (6203ZZ, SKF 6203-2Z/C3) are searched by
+    // their canonical form, with each manufacturer's equivalent as fallbacks
+    const crossReference = this.partNormalizer && this.partNormalizer.expandQuery(query);
+    if (crossReference) {
+      return {
+        originalQuery: query,
+        enhancedQuery: crossReference.parsed.type === 'deep_groove_ball_bearing'
+          ? `${crossReference.canonical} bearing`
+          : crossReference.canonical,
+        suggestions: crossReference.queries,
+        confidence: 0.95,
+        method: 'cross_reference',
+        crossReference
+      };
+    }
     
-    // Pattern 1: Extract part numbers (6203, SKF-6203, etc.)
-    const partNumberMatch = normalizedQuery.match(/\b([a-z]*[-\s]*\d{3,8}[a-z]*[-\s]*[a-z\d]*)\b/);
-    if (partNumberMatch) {
+    // Pattern 1: Extract part numbers (6203, SKF-6203, etc.). Spec values
+    // such as "1725 rpm" or "3000 psi" are not part numbers, and a query
+    // that is about something else ("6061 aluminum bar", "6000 lumen") is
+    // left alone unless it says "bearing".
+    const otherContext = !normalizedQuery.includes('bearing') && NON_BEARING_WORDS.test(normalizedQuery);
+    const partNumberText = this.attributeParser
+      ? this.attributeParser.extract(normalizedQuery).remainder
+      : normalizedQuery;
+    const partNumberMatch = partNumberText.match(/\b([a-z]*[-\s]*\d{3,8}[a-z]*[-\s]*[a-z\d]*)\b/);
+    if (partNumberMatch && !otherContext) {
       const partNumber = partNumberMatch[1].replace(/\s+/g, '');
       enhancedQuery = `${partNumber} bearing`;
       confidence = 0.9;
@@ -132,6 +174,20 @@ class LLMSearchEnhancer {
     };
   }
 
+  // A query naming one of the site's assets still searches for what was
+  // typed; the parts linked to those assets come back as
+  // `equipmentSuggestions` for the user to pick from
+  equipmentEnhancement(equipment = []) {
+    const withParts = equipment.filter(asset => asset.parts.length > 0);
+    if (withParts.length === 0) return {};
+
+    console.log(`🔗 Equipment suggestions from: ${withParts.map(asset => asset.name).join(', ')}`);
+    return {
+      equipment: withParts.map(asset => asset.name),
+      equipmentSuggestions: [...new Set(withParts.flatMap(asset => asset.parts))]
+    };
+  }
+
   async llmBasedEnhancement(query) {
     const prompt = this.buildLLMPrompt(query);
     
@@ -244,12 +300,14 @@ Format your response as JSON:
     return suggestions.slice(0, 3);
   }
 
-  // Enhanced search with multiple attempts
-  async smartSearch(originalQuery, searchFunction) {
+  // Enhanced search with multiple attempts. `onEnhancement` is called with the
+  // enhancement decision before the first search runs (used for streaming).
+  async smartSearch(originalQuery, searchFunction, { onEnhancement = () => {}, allowLLMCall, equipment } = {}) {
     console.log(`🔍 Starting smart search for: "${originalQuery}"`);
     
     // Step 1: Enhance the query
-    const enhancement = await this.enhanceSearchQuery(originalQuery);
+    const enhancement = await this.enhanceSearchQuery(originalQuery, { allowLLMCall, equipment });
+    onEnhancement(enhancement);
     
     // Step 2: Try enhanced query first
     console.log(`🎯 Trying enhanced query: "${enhancement.enhancedQuery}"`);
@@ -262,7 +320,9 @@ Format your response as JSON:
         query: enhancement.enhancedQuery,
         originalQuery,
         method: enhancement.method,
-        confidence: enhancement.confidence
+        confidence: enhancement.confidence,
+        crossReference: enhancement.crossReference,
+        attributes: enhancement.attributes
       };
     }
     
@@ -279,7 +339,9 @@ Format your response as JSON:
             query: suggestion,
             originalQuery,
             method: 'suggestion',
-            confidence: 0.7
+            confidence: 0.7,
+            crossReference: enhancement.crossReference,
+            attributes: enhancement.attributes
           };
         }
       }
@@ -295,7 +357,9 @@ Format your response as JSON:
       originalQuery,
       method: 'original',
       confidence: 0.3,
-      suggestions: enhancement.suggestions || this.generateSuggestions(originalQuery)
+      suggestions: enhancement.suggestions || this.generateSuggestions(originalQuery),
+      crossReference: enhancement.crossReference,
+      attributes: enhancement.attributes
     };
   }
 
@@ -0,0 +1,170 @@
+// Price text -> amount, currency and unit of measure.
+//
+// Suppliers quote the same part per each, per pack of 100, per box, per foot
+// or per pound, so the scraped dollar figure alone can't be compared across
+// suppliers. parsePriceText() works out what the price buys and the price of
+// one base unit (one piece, one foot, one pound):
+//
+//   "$12.40 / pack of 100" -> unit pack, packSize 100, unitPrice 0.124 per each
+//   "$3.15/ft"             -> unit foot, unitPrice 3.15 per foot
+//   "$8.99"                -> unit unknown, unitPrice 8.99 assumed each
+//
+// The unit is looked for in the price text first, then the separate unit of
+// measure text some suppliers show next to the price, then the product name
+// ("Hex Nut, Pack of 50"). When none of them say, `unitDetermined` is false.
+
+const CURRENCIES = [
+  { pattern: /C\$|\bCAD\b/i, code: 'CAD' },
+  { pattern: /€|\bEUR\b/i, code: 'EUR' },
+  { pattern: /£|\bGBP\b/i, code: 'GBP' },
+  { pattern: /\$|\bUSD\b|dollars?/i, code: 'USD' }
+];
+
+const AMOUNT_PATTERNS = [
+  /(?:C\$|\$|€|£)\s*(\d+(?:,\d{3})*(?:\.\d+)?)/, // $123.45, C$1,234.56
+  /(\d+(?:,\d{3})*(?:\.\d+)?)\s*(?:USD|CAD|EUR|GBP|dollars?)/i, // 123.45 USD
+  /Price:\s*(\d+(?:,\d{3})*(?:\.\d+)?)/i // Price: 123.45
+];
+
+const CONTAINERS = 'packs?|pks?|pkgs?|packages?|boxe?s?|bx|bags?|cases?|cs|cartons?|ctns?';
+const EACH_WORDS = 'ea|each|pc|pcs|piece|unit';
+const FOOT_WORDS = 'ft|foot|feet|lin\\.?\\s*ft|lf';
+const POUND_WORDS = 'lb|lbs|pound';
+
+const count = (text) => parseInt(text.replace(/,/g, ''), 10);
+const containerUnit = (word) => /^(?:boxe?s?|bx|cases?|cs|cartons?|ctns?)$/i.test(word) ? 'box' : 'pack';
+
+// Each rule returns { unit, packSize } or null. Order matters: the specific
+// "pack of 100" forms are tried before bare "per pack" or "each".
+const UNIT_RULES = [
+  // pack of 100, box of 50, pkg/100
+  text => {
+    const match = text.match(new RegExp(`\\b(${CONTAINERS})\\.?\\s*(?:of|\\/)\\s*(\\d[\\d,]*)`, 'i'));
+    return match && { unit: containerUnit(match[1]), packSize: count(match[2]) };
+  },
+  // 100/pk, 100 per box, 100-pack, 100 pk
+  text => {
+    const match = text.match(new RegExp(`(\\d[\\d,]*)\\s*(?:\\/|per|-)?\\s*(${CONTAINERS})\\b`, 'i'));
+    return match && { unit: containerUnit(match[2]), packSize: count(match[1]) };
+  },
+  // per 100, /100
+  text => {
+    const match = text.match(/(?:\bper|\/)\s*(100|1,?000)\b/i);
+    return match && { unit: 'pack', packSize: count(match[1]) };
+  },
+  text => /(?:\bper|\/)\s*(?:pr|pair)\b/i.test(text) && { unit: 'pack', packSize: 2 },
+  text => /(?:\bper|\/)\s*(?:dz|doz|dozen)\b/i.test(text) && { unit: 'pack', packSize: 12 },
+  // 25 pcs, qty 25
+  text => {
+    const match = text.match(/(\d[\d,]*)\s*(?:pcs|pieces)\b|\bqty\.?:?\s*(\d[\d,]*)/i);
+    return match && { unit: 'pack', packSize: count(match[1] || match[2]) };
+  },
+  text => new RegExp(`(?:\\bper|\\/)\\s*(?:${FOOT_WORDS})\\b|^\\s*(?:${FOOT_WORDS})\\.?\\s*$`, 'i').test(text) && { unit: 'foot', packSize: 1 },
+  text => new RegExp(`(?:\\bper|\\/)\\s*(?:${POUND_WORDS})\\b|^\\s*(?:${POUND_WORDS})\\.?\\s*$`, 'i').test(text) && { unit: 'pound', packSize: 1 },
+  text => new RegExp(`(?:\\bper|\\/)\\s*(?:${EACH_WORDS})\\b|^\\s*(?:${EACH_WORDS})\\.?\\s*$`, 'i').test(text) && { unit: 'each', packSize: 1 },
+  // "per box" with no count: we know the unit but not what one piece costs
+  text => {
+    const match = text.match(new RegExp(`(?:\\bper|\\/)\\s*(${CONTAINERS})\\b|^\\s*(${CONTAINERS})\\.?\\s*$`, 'i'));
+    return match && { unit: containerUnit(match[1] || match[2]), packSize: null };
+  }
+];
+
+// Product names carry lengths and weights ("3 ft Cable", "50 lb Bag"), so only
+// the pack-count rules are applied to them
+const NAME_RULES = UNIT_RULES.slice(0, 6);
+
+function parseAmount(priceText) {
+  if (!priceText) return { amount: null, currency: null };
+
+  for (const pattern of AMOUNT_PATTERNS) {
+    const match = String(priceText).match(pattern);
+    if (match) {
+      const currency = CURRENCIES.find(candidate => candidate.pattern.test(priceText));
+      return {
+        amount: parseFloat(match[1].replace(/,/g, '')),
+        currency: currency ? currency.code : 'USD'
+      };
+    }
+  }
+
+  return { amount: null, currency: null };
+}
+
+function detectUnit(text, rules) {
+  if (!text) return null;
+  for (const rule of rules) {
+    const unit = rule(String(text));
+    if (unit && (unit.packSize === null || unit.packSize > 0)) return unit;
+  }
+  return null;
+}
+
+function parsePriceText(priceText, { uomText = '', name = '' } = {}) {
+  const { amount, currency } = parseAmount(priceText);
+
+  // The amount itself must not be read as a pack count ("$100 / box")
+  const unitText = String(priceText || '').replace(/(?:C\$|\$|€|£)\s*\d[\d,]*(?:\.\d+)?/g, ' ');
+
+  const sources = [
+    ['price_text', unitText, UNIT_RULES],
+    ['uom', uomText, UNIT_RULES],
+    ['name', name, NAME_RULES]
+  ];
+
+  let detected = null;
+  let unitSource = null;
+  for (const [source, text, rules] of sources) {
+    const found = detectUnit(text, rules);
+    if (!found) continue;
+
+    if (!detected) {
+      detected = found;
+      unitSource = source;
+    } else if (found.packSize !== null && found.unit !== 'foot' && found.unit !== 'pound') {
+      // "$40 per box" + "Box of 100" in the name
+      detected = { ...detected, packSize: found.packSize };
+    }
+    if (detected.packSize !== null) break;
+  }
+
+  const unit = detected ? detected.unit : null;
+  const packSize = detected ? detected.packSize : null;
+  const baseUnit = unit === 'foot' || unit === 'pound' ? unit : 'each';
+  const unitDetermined = !!detected && packSize !== null;
+
+  let unitPrice = null;
+  if (amount !== null) {
+    // An unstated unit is compared as "each", but flagged as an assumption
+    unitPrice = unitDetermined ? Math.round((amount / packSize) * 10000) / 10000 : amount;
+  }
+
+  let note = null;
+  if (!detected) note = 'Unit of measure not stated; price assumed to be per each';
+  else if (packSize === null) note = `Price is per ${unit} but the ${unit} quantity is not stated`;
+
+  return {
+    amount,
+    currency,
+    unit,
+    packSize,
+    baseUnit,
+    unitPrice,
+    pricePerEach: baseUnit === 'each' && unitDetermined ? unitPrice : null,
+    unitDetermined,
+    unitSource,
+    note
+  };
+}
+
+// Price used to compare and sort offers: the per-unit price when known,
+// otherwise the raw amount
+function comparablePrice(result) {
+  if (result.pricing && result.pricing.unitPrice != null) return result.pricing.unitPrice;
+  return result.price ?? null;
+}
+
+module.exports = {
+  parseAmount,
+  parsePriceText,
+  comparablePrice
+};
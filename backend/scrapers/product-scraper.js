@@ -0,0 +1,363 @@
+const axios = require('axios');
+const cheerio = require('cheerio');
+const FixtureStore = require('./fixture-store');
+const ScraperHealthMonitor = require('./scraper-health');
+const BrowserPool = require('./browser-pool');
+const { withRetry } = require('./resilience');
+const { parseAmount, parsePriceText } = require('./price-parser');
+
+// Enhanced scraping configurations
+const SCRAPING_CONFIG = {
+  timeout: 30000,
+  maxRetries: 2,
+  retryDelay: 3000,
+  userAgents: [
+    'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+    'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+    'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:121.0) Gecko/20100101 Firefox/121.0',
+    'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
+  ]
+};
+
+// Generic selector-driven scraper shared by every supplier that is described
+// by a { id, baseUrl, searchPath, selectors } config (McMaster, MSC, ...)
+class ProductScraper {
+  constructor({
+    fixtures = new FixtureStore(),
+    health = new ScraperHealthMonitor(),
+    browserPool = new BrowserPool()
+  } = {}) {
+    this.fixtures = fixtures;
+    this.health = health;
+    this.browserPool = browserPool;
+  }
+
+  getRandomUserAgent() {
+    return SCRAPING_CONFIG.userAgents[Math.floor(Math.random() * SCRAPING_CONFIG.userAgents.length)];
+  }
+
+  buildSearchUrl(config, query, page = 1) {
+    const queryParam = config.queryParam || 'searchQuery';
+    const url = `${config.baseUrl}${config.searchPath}?${queryParam}=${encodeURIComponent(query)}`;
+    return page > 1 ? `${url}&${config.pageParam}=${page}` : url;
+  }
+
+  async scrapeWithAxios(config, query, maxResults = 10, page = 1) {
+    const supplier = config.id;
+    const searchUrl = this.buildSearchUrl(config, query, page);
+    const fixtureKey = FixtureStore.pageKey(query, page);
+
+    try {
+      if (this.fixtures.isReplaying) {
+        const html = await this.fixtures.read(supplier, 'http', fixtureKey);
+        return html ? this.parseHTML(html, config, maxResults, 'axios') : [];
+      }
+
+      console.log(`🌐 Axios scraping ${supplier}: ${query}`);
+
+      const response = await withRetry(() => axios.get(searchUrl, {
+        headers: {
+          'User-Agent': this.getRandomUserAgent(),
+          'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,*/*;q=0.8',
+          'Accept-Language': 'en-US,en;q=0.5',
+          'Accept-Encoding': 'gzip, deflate, br',
+          'Cache-Control': 'no-cache',
+          'Pragma': 'no-cache'
+        },
+        timeout: SCRAPING_CONFIG.timeout
+      }), {
+        retries: SCRAPING_CONFIG.maxRetries,
+        baseDelayMs: SCRAPING_CONFIG.retryDelay,
+        deadlineMs: SCRAPING_CONFIG.timeout,
+        onRetry: (error, attempt, delay) => {
+          console.warn(`🔁 Retrying ${supplier} (attempt ${attempt}) in ${delay}ms: ${error.message}`);
+        }
+      });
+
+      if (this.fixtures.isRecording) {
+        await this.fixtures.write(supplier, 'http', fixtureKey, response.data);
+      }
+
+      return this.parseHTML(response.data, config, maxResults, 'axios');
+    } catch (error) {
+      console.error(`❌ Axios scraping failed for ${supplier}:`, error.message);
+      this.health.recordFailure(supplier, 'axios', error);
+      throw error;
+    }
+  }
+
+  async scrapeWithPuppeteer(config, query, maxResults = 10, page = 1) {
+    const fixtureKey = FixtureStore.pageKey(query, page);
+    if (this.fixtures.isReplaying) {
+      const html = await this.fixtures.read(config.id, 'dom', fixtureKey);
+      return html ? this.parseHTML(html, config, maxResults, 'puppeteer') : [];
+    }
+
+    const supplier = config.id;
+    const searchUrl = this.buildSearchUrl(config, query, page);
+
+    try {
+      return await this.browserPool.withPage(async (page) => {
+        console.log(`🤖 Puppeteer scraping ${supplier}: ${query}`);
+
+        await page.setUserAgent(this.getRandomUserAgent());
+        await page.setViewport({
+          width: 1366 + Math.floor(Math.random() * 200),
+          height: 768 + Math.floor(Math.random() * 200)
+        });
+
+        // Navigate with random delay
+        await new Promise(resolve => setTimeout(resolve, Math.random() * 2000 + 1000));
+        await page.goto(searchUrl, {
+          waitUntil: 'domcontentloaded',
+          timeout: SCRAPING_CONFIG.timeout
+        });
+
+        // Wait for product containers
+        let foundSelector = null;
+        let foundSelectorIndex = -1;
+        for (const [selectorIndex, selector] of config.selectors.productContainer.entries()) {
+          try {
+            await page.waitForSelector(selector, { timeout: 8000 });
+            foundSelector = selector;
+            foundSelectorIndex = selectorIndex;
+            break;
+          } catch (e) {
+            continue;
+          }
+        }
+
+        if (!foundSelector) {
+          console.error(`❌ Puppeteer scraping failed for ${supplier}: No product containers found`);
+          this.health.record(supplier, {
+            method: 'puppeteer',
+            selectors: config.selectors,
+            containersFound: 0,
+            productsParsed: 0
+          });
+          return [];
+        }
+
+        if (this.fixtures.isRecording) {
+          await this.fixtures.write(supplier, 'dom', fixtureKey, await page.content());
+        }
+
+        // Extract data
+        const extracted = await page.evaluate((selectors, containerSelector, supplier, maxResults) => {
+          const products = [];
+          const fieldMatches = {};
+          const containers = document.querySelectorAll(containerSelector);
+
+          containers.forEach((container, index) => {
+            if (index >= maxResults) return; // Limit results
+
+            // Also records which selector in the fallback list matched (-1 for none)
+            const getTextBySelectors = (field, selectors) => {
+              if (selectors.length === 0) return '';
+              const matches = fieldMatches[field] || (fieldMatches[field] = []);
+
+              for (const [selectorIndex, selector] of selectors.entries()) {
+                const element = container.querySelector(selector);
+                if (element && element.textContent.trim()) {
+                  matches.push(selectorIndex);
+                  return element.textContent.trim();
+                }
+              }
+              matches.push(-1);
+              return '';
+            };
+
+            const partNumber = getTextBySelectors('partNumber', selectors.partNumber);
+            const manufacturerPartNumber = getTextBySelectors('manufacturerPartNumber', selectors.manufacturerPartNumber || []);
+            const productName = getTextBySelectors('productName', selectors.productName);
+            const priceText = getTextBySelectors('price', selectors.price);
+            const availability = getTextBySelectors('availability', selectors.availability || []);
+            const uomText = getTextBySelectors('uom', selectors.uom || []);
+            const linkSelector = (selectors.productLink || []).find(selector => container.querySelector(selector));
+            const productHref = linkSelector ? container.querySelector(linkSelector).getAttribute('href') : '';
+
+            if (partNumber && productName) {
+              products.push({
+                partNumber,
+                manufacturerPartNumber,
+                productName,
+                priceText,
+                uomText,
+                availability,
+                productHref,
+                supplier
+              });
+            }
+          });
+
+          return { products, fieldMatches, containersFound: containers.length };
+        }, config.selectors, foundSelector, supplier, maxResults);
+
+        this.health.record(supplier, {
+          method: 'puppeteer',
+          selectors: config.selectors,
+          containerSelector: foundSelector,
+          containerSelectorIndex: foundSelectorIndex,
+          containersFound: extracted.containersFound,
+          productsParsed: extracted.products.length,
+          fieldMatches: extracted.fieldMatches
+        });
+
+        return this.normalizeResults(extracted.products, config);
+      });
+    } catch (error) {
+      console.error(`❌ Puppeteer scraping failed for ${supplier}:`, error.message);
+      this.health.recordFailure(supplier, 'puppeteer', error);
+      throw error;
+    }
+  }
+
+  parseHTML(html, config, maxResults = 10, method = 'axios') {
+    const $ = cheerio.load(html);
+    const results = [];
+    const observation = {
+      method,
+      selectors: config.selectors,
+      containerSelector: null,
+      containerSelectorIndex: -1,
+      containersFound: 0,
+      fieldMatches: {}
+    };
+
+    for (const [selectorIndex, containerSelector] of config.selectors.productContainer.entries()) {
+      const containers = $(containerSelector);
+
+      if (containers.length > 0) {
+        console.log(`📋 Found ${containers.length} products with selector: ${containerSelector}`);
+        observation.containerSelector = containerSelector;
+        observation.containerSelectorIndex = selectorIndex;
+        observation.containersFound = containers.length;
+
+        containers.each((index, element) => {
+          if (index >= maxResults) return false; // Limit results
+
+          const $container = $(element);
+
+          // Also records which selector in the fallback list matched (-1 for none)
+          const getTextBySelectors = (field, selectors) => {
+            if (selectors.length === 0) return '';
+            const matches = observation.fieldMatches[field] || (observation.fieldMatches[field] = []);
+
+            for (const [fieldSelectorIndex, selector] of selectors.entries()) {
+              const text = $container.find(selector).first().text().trim();
+              if (text) {
+                matches.push(fieldSelectorIndex);
+                return text;
+              }
+            }
+            matches.push(-1);
+            return '';
+          };
+
+          const partNumber = getTextBySelectors('partNumber', config.selectors.partNumber);
+          const manufacturerPartNumber = getTextBySelectors('manufacturerPartNumber', config.selectors.manufacturerPartNumber || []);
+          const productName = getTextBySelectors('productName', config.selectors.productName);
+          const priceText = getTextBySelectors('price', config.selectors.price);
+          const availability = getTextBySelectors('availability', config.selectors.availability || []);
+          const uomText = getTextBySelectors('uom', config.selectors.uom || []);
+          const linkSelector = (config.selectors.productLink || []).find(selector => $container.find(selector).length > 0);
+          const productHref = linkSelector ? $container.find(linkSelector).first().attr('href') : '';
+
+          if (partNumber && productName) {
+            results.push({
+              partNumber,
+              manufacturerPartNumber,
+              productName,
+              priceText,
+              uomText,
+              availability,
+              productHref,
+              supplier: config.id
+            });
+          }
+        });
+        break;
+      }
+    }
+
+    this.health.record(config.id, { ...observation, productsParsed: results.length });
+
+    return this.normalizeResults(results, config);
+  }
+
+  normalizeResults(results, config) {
+    return results.map(item => ({
+      partNumber: item.partNumber,
+      manufacturerPartNumber: this.cleanManufacturerPartNumber(item.manufacturerPartNumber),
+      name: item.productName,
+      price: this.parsePrice(item.priceText),
+      priceText: item.priceText,
+      pricing: parsePriceText(item.priceText, { uomText: item.uomText, name: item.productName }),
+      availability: item.availability || 'Contact supplier',
+      inStock: this.parseAvailability(item.availability),
+      supplier: config.id,
+      productUrl: this.resolveProductUrl(item.productHref, config.baseUrl),
+      lastUpdated: new Date().toISOString(),
+      source: 'live_scraping'
+    }));
+  }
+
+  // "Mfr #: 6203-2Z" and "6203-2Z" are the same manufacturer part number
+  cleanManufacturerPartNumber(text) {
+    const value = String(text || '')
+      .replace(/^\s*(?:mfr|manufacturer)\b\.?\s*(?:part\s*)?(?:#|no\.?|number)?\s*:?\s*/i, '')
+      .trim();
+    return value || null;
+  }
+
+  // Relative product links resolve against the supplier site; without one
+  // the result links to the supplier's home page
+  resolveProductUrl(href, baseUrl) {
+    if (!href) return baseUrl;
+    try {
+      return new URL(href, baseUrl).href;
+    } catch (error) {
+      return baseUrl;
+    }
+  }
+
+  parsePrice(priceText) {
+    return parseAmount(priceText).amount;
+  }
+
+  parseAvailability(availabilityText) {
+    if (!availabilityText) return true;
+    const text = availabilityText.toLowerCase();
+    return !text.includes('out of stock') &&
+           !text.includes('discontinued') &&
+           !text.includes('unavailable');
+  }
+
+  // Axios first, Puppeteer when the static HTML had no products or the request
+  // failed. Throws only when both methods failed, so callers can tell "no
+  // results" apart from "supplier unreachable".
+  async search(config, query, maxResults = 10, page = 1) {
+    // Suppliers without result pages have nothing past page one
+    if (page > 1 && !config.pageParam) return [];
+
+    let axiosError = null;
+
+    try {
+      const results = await this.scrapeWithAxios(config, query, maxResults, page);
+      if (results.length > 0) return results;
+    } catch (error) {
+      axiosError = error;
+    }
+
+    try {
+      return await this.scrapeWithPuppeteer(config, query, maxResults, page);
+    } catch (error) {
+      if (!axiosError) throw error;
+      throw new Error(`${config.id} unreachable (axios: ${axiosError.message}; puppeteer: ${error.message})`);
+    }
+  }
+}
+
+ProductScraper.SCRAPING_CONFIG = SCRAPING_CONFIG;
+
+module.exports = ProductScraper;
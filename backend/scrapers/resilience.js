@@ -0,0 +1,161 @@
+// Retry and circuit-breaker helpers for supplier calls
+
+const RETRYABLE_ERROR_CODES = ['ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'ECONNREFUSED'];
+const RETRYABLE_STATUS_CODES = [408, 429, 500, 502, 503, 504];
+
+class CircuitOpenError extends Error {
+  constructor(supplier, retryAt) {
+    super(`${supplier} is temporarily skipped after repeated failures`);
+    this.name = 'CircuitOpenError';
+    this.supplier = supplier;
+    this.retryAt = retryAt;
+  }
+}
+
+// Timeouts, dropped connections, throttling and 5xx are worth another try.
+// A 403/404 or a parsing problem will fail the same way again.
+function isRetryableError(error) {
+  if (!error) return false;
+  if (error.response) {
+    return RETRYABLE_STATUS_CODES.includes(error.response.status);
+  }
+  if (RETRYABLE_ERROR_CODES.includes(error.code)) return true;
+  return /timeout/i.test(error.message || '');
+}
+
+// Full-jitter exponential backoff: random delay in [0, base * 2^attempt]
+function backoffDelay(attempt, baseDelayMs, maxDelayMs) {
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * Math.pow(2, attempt));
+  return Math.floor(Math.random() * ceiling);
+}
+
+// Retries fn on retryable errors. `deadlineMs` bounds the total time spent, so
+// a call that already burned its whole timeout is not tried again.
+async function withRetry(fn, {
+  retries = 2,
+  baseDelayMs = 1000,
+  maxDelayMs = 10000,
+  deadlineMs = Infinity,
+  isRetryable = isRetryableError,
+  onRetry = () => {}
+} = {}) {
+  const startedAt = Date.now();
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt >= retries || !isRetryable(error)) {
+        throw error;
+      }
+
+      const delay = backoffDelay(attempt, baseDelayMs, maxDelayMs);
+      if (Date.now() - startedAt + delay >= deadlineMs) {
+        throw error;
+      }
+
+      onRetry(error, attempt + 1, delay);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+// closed    -> calls go through; `failureThreshold` consecutive failures open it
+// open      -> calls are skipped until `cooldownMs` has passed
+// half_open -> one trial call; success closes the breaker, failure reopens it
+class CircuitBreaker {
+  constructor(name, { failureThreshold = 3, cooldownMs = 5 * 60 * 1000 } = {}) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.cooldownMs = cooldownMs;
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+    this.lastError = null;
+    this.lastFailureAt = null;
+    this.timesOpened = 0;
+  }
+
+  get retryAt() {
+    return this.openedAt ? this.openedAt + this.cooldownMs : null;
+  }
+
+  canRequest() {
+    if (this.state === 'closed') return true;
+
+    if (this.state === 'open' && Date.now() >= this.retryAt) {
+      this.state = 'half_open';
+      this.trialInFlight = false;
+    }
+
+    if (this.state === 'half_open' && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return true;
+    }
+
+    return false;
+  }
+
+  recordSuccess() {
+    if (this.state !== 'closed') {
+      console.log(`✅ Circuit for ${this.name} closed again`);
+    }
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  recordFailure(error) {
+    this.consecutiveFailures++;
+    this.lastError = error.message;
+    this.lastFailureAt = Date.now();
+    this.trialInFlight = false;
+
+    if (this.state === 'half_open' || this.consecutiveFailures >= this.failureThreshold) {
+      if (this.state !== 'open') {
+        this.timesOpened++;
+        console.warn(`🔌 Circuit for ${this.name} OPEN for ${Math.round(this.cooldownMs / 1000)}s: ${error.message}`);
+      }
+      this.state = 'open';
+      this.openedAt = Date.now();
+    }
+  }
+
+  // Wraps a call: throws CircuitOpenError without calling fn while open
+  async call(fn) {
+    if (!this.canRequest()) {
+      throw new CircuitOpenError(this.name, new Date(this.retryAt).toISOString());
+    }
+
+    try {
+      const result = await fn();
+      this.recordSuccess();
+      return result;
+    } catch (error) {
+      this.recordFailure(error);
+      throw error;
+    }
+  }
+
+  describe() {
+    return {
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      failureThreshold: this.failureThreshold,
+      timesOpened: this.timesOpened,
+      lastError: this.lastError,
+      lastFailureAt: this.lastFailureAt ? new Date(this.lastFailureAt).toISOString() : null,
+      retryAt: this.state === 'closed' ? null : new Date(this.retryAt).toISOString()
+    };
+  }
+}
+
+module.exports = {
+  CircuitBreaker,
+  CircuitOpenError,
+  isRetryableError,
+  backoffDelay,
+  withRetry
+};
@@ -0,0 +1,206 @@
+// Tracks how well each supplier's selectors still fit the live site.
+//
+// Scrapers report one observation per parsed page: which productContainer
+// selector matched, how many containers were found, how many of them produced
+// a valid product, and for every field which selector in its fallback list
+// matched each container (-1 when none did). Failed requests are recorded too.
+//
+// Over the last `windowSize` scrapes a supplier is flagged as degraded when it
+// keeps yielding nothing, or when its primary selectors stop matching and the
+// fallbacks are doing the work.
+class ScraperHealthMonitor {
+  constructor({ windowSize = 20, minSamples = 3, primaryHitThreshold = 0.5 } = {}) {
+    this.windowSize = windowSize;
+    this.minSamples = minSamples;
+    this.primaryHitThreshold = primaryHitThreshold;
+    this.suppliers = new Map();
+  }
+
+  getState(supplier) {
+    if (!this.suppliers.has(supplier)) {
+      this.suppliers.set(supplier, {
+        observations: [],
+        selectors: null,
+        lastScrapeAt: null,
+        lastResultsAt: null,
+        lastError: null,
+        totalScrapes: 0,
+        totalFailures: 0,
+        degraded: false
+      });
+    }
+    return this.suppliers.get(supplier);
+  }
+
+  push(supplier, state, observation) {
+    state.observations.push(observation);
+    if (state.observations.length > this.windowSize) {
+      state.observations.shift();
+    }
+
+    // Log transitions so breakage shows up in the server logs right away
+    const { degraded, reasons } = this.supplierStatus(supplier);
+    if (degraded && !state.degraded) {
+      console.warn(`🚨 Scraper for ${supplier} is DEGRADED: ${reasons.join(', ')}`);
+    } else if (!degraded && state.degraded) {
+      console.log(`✅ Scraper for ${supplier} recovered`);
+    }
+    state.degraded = degraded;
+  }
+
+  record(supplier, observation) {
+    const state = this.getState(supplier);
+    const timestamp = new Date().toISOString();
+
+    if (observation.selectors) {
+      state.selectors = observation.selectors;
+    }
+
+    state.totalScrapes++;
+    state.lastScrapeAt = timestamp;
+    if (observation.productsParsed > 0) {
+      state.lastResultsAt = timestamp;
+    }
+
+    this.push(supplier, state, {
+      method: observation.method,
+      containerSelector: observation.containerSelector || null,
+      containerSelectorIndex: observation.containerSelectorIndex ?? -1,
+      containersFound: observation.containersFound || 0,
+      productsParsed: observation.productsParsed || 0,
+      fieldMatches: observation.fieldMatches || {},
+      failed: false,
+      timestamp
+    });
+  }
+
+  recordFailure(supplier, method, error) {
+    const state = this.getState(supplier);
+    const timestamp = new Date().toISOString();
+
+    state.totalScrapes++;
+    state.totalFailures++;
+    state.lastScrapeAt = timestamp;
+    state.lastError = { method, message: error.message, timestamp };
+
+    this.push(supplier, state, {
+      method,
+      containerSelector: null,
+      containerSelectorIndex: -1,
+      containersFound: 0,
+      productsParsed: 0,
+      fieldMatches: {},
+      failed: true,
+      timestamp
+    });
+  }
+
+  summarizeFields(state, parsed) {
+    const fields = {};
+
+    for (const observation of parsed) {
+      for (const [field, indexes] of Object.entries(observation.fieldMatches)) {
+        const summary = fields[field] || (fields[field] = { primary: 0, fallback: 0, missed: 0, bySelector: {} });
+
+        for (const index of indexes) {
+          if (index === -1) {
+            summary.missed++;
+            continue;
+          }
+
+          if (index === 0) summary.primary++;
+          else summary.fallback++;
+
+          const selectorList = state.selectors && state.selectors[field];
+          const selector = selectorList ? selectorList[index] : String(index);
+          summary.bySelector[selector] = (summary.bySelector[selector] || 0) + 1;
+        }
+      }
+    }
+
+    for (const summary of Object.values(fields)) {
+      const matched = summary.primary + summary.fallback;
+      summary.primaryHitRate = matched > 0 ? summary.primary / matched : null;
+    }
+
+    return fields;
+  }
+
+  supplierStatus(supplier) {
+    const state = this.getState(supplier);
+    const window = state.observations;
+    const parsed = window.filter(observation => !observation.failed);
+    const withContainers = parsed.filter(observation => observation.containerSelectorIndex !== -1);
+
+    const containersFound = parsed.reduce((sum, observation) => sum + observation.containersFound, 0);
+    const productsParsed = parsed.reduce((sum, observation) => sum + observation.productsParsed, 0);
+    const primaryContainerHits = withContainers.filter(observation => observation.containerSelectorIndex === 0).length;
+
+    const containerSelectors = {};
+    for (const observation of withContainers) {
+      containerSelectors[observation.containerSelector] = (containerSelectors[observation.containerSelector] || 0) + 1;
+    }
+
+    const fields = this.summarizeFields(state, parsed);
+    const reasons = [];
+
+    if (window.length >= this.minSamples) {
+      if (window.every(observation => observation.productsParsed === 0)) {
+        reasons.push('zero_yield');
+      }
+
+      const primaryMisses = parsed.filter(observation => observation.containerSelectorIndex !== 0).length;
+      if (parsed.length >= this.minSamples && primaryMisses / parsed.length > 1 - this.primaryHitThreshold) {
+        reasons.push('primary_container_selector_miss');
+      }
+
+      for (const [field, summary] of Object.entries(fields)) {
+        const matched = summary.primary + summary.fallback;
+        if (matched >= this.minSamples && summary.primaryHitRate < this.primaryHitThreshold) {
+          reasons.push(`primary_${field}_selector_miss`);
+        }
+      }
+    }
+
+    let status = 'healthy';
+    if (window.length === 0) status = 'unknown';
+    else if (reasons.length > 0) status = 'degraded';
+
+    return {
+      status,
+      degraded: status === 'degraded',
+      reasons,
+      lastScrapeAt: state.lastScrapeAt,
+      lastResultsAt: state.lastResultsAt,
+      lastError: state.lastError,
+      totalScrapes: state.totalScrapes,
+      totalFailures: state.totalFailures,
+      window: {
+        scrapes: window.length,
+        failures: window.length - parsed.length,
+        containersFound,
+        productsParsed,
+        yieldRate: containersFound > 0 ? productsParsed / containersFound : null,
+        primaryContainerHitRate: withContainers.length > 0 ? primaryContainerHits / withContainers.length : null,
+        containerSelectors,
+        fields
+      }
+    };
+  }
+
+  status(supplierIds = Array.from(this.suppliers.keys())) {
+    const suppliers = {};
+    for (const supplier of supplierIds) {
+      suppliers[supplier] = this.supplierStatus(supplier);
+    }
+    return suppliers;
+  }
+
+  degradedSuppliers(supplierIds) {
+    return Object.entries(this.status(supplierIds))
+      .filter(([, status]) => status.degraded)
+      .map(([supplier]) => supplier);
+  }
+}
+
+module.exports = ScraperHealthMonitor;
@@ -0,0 +1,108 @@
+// Base class for supplier adapters.
+//
+// Every distributor we search lives in its own module under scrapers/suppliers/
+// and exports a subclass of SupplierAdapter. The registry instantiates each one
+// at startup, so adding a supplier never touches server.js.
+//
+// An adapter must implement:
+//   search(query, maxResults, { page }) -> normalized results from one page of
+//                                          the supplier's own search results
+//   parse(html, maxResults)    -> normalized results from a raw search page
+//   normalize(items)           -> map raw scraped items to the shared result shape
+// and may override:
+//   getDetails(partNumber)     -> a single normalized result with extra detail
+//   close()                    -> release browsers or other resources
+//
+// `pageSize` is how many results one supplier search page holds and
+// `pageParam` the query-string parameter that selects a page. Suppliers that
+// show everything on one page leave pageParam null.
+class SupplierAdapter {
+  constructor({ id, name, baseUrl, pageSize = 24, pageParam = null } = {}) {
+    if (!id) {
+      throw new Error('Supplier adapter requires an id');
+    }
+
+    this.id = id;
+    this.name = name || id;
+    this.baseUrl = baseUrl || '';
+    this.pageSize = pageSize;
+    this.pageParam = pageParam;
+  }
+
+  async search(query, maxResults = 10, { page = 1 } = {}) {
+    throw new Error(`${this.id} adapter does not implement search()`);
+  }
+
+  parse(html, maxResults = 10) {
+    throw new Error(`${this.id} adapter does not implement parse()`);
+  }
+
+  normalize(items) {
+    throw new Error(`${this.id} adapter does not implement normalize()`);
+  }
+
+  async getDetails(partNumber) {
+    const results = await this.search(partNumber, 1);
+    return results.length > 0 ? results[0] : null;
+  }
+
+  async close() {}
+
+  describe() {
+    return {
+      id: this.id,
+      name: this.name,
+      baseUrl: this.baseUrl,
+      pageSize: this.pageSize,
+      pageParam: this.pageParam
+    };
+  }
+}
+
+// Adapter for suppliers whose search page can be scraped with a plain selector
+// config. The heavy lifting is done by the shared ProductScraper instance.
+//
+// The search URL is baseUrl + searchPath + ?<queryParam>=<query>. Selector
+// lists are tried in order; productContainer, partNumber, productName and
+// price are required, availability, uom and productLink (an <a> whose href
+// becomes the result's productUrl) are optional.
+class SelectorSupplierAdapter extends SupplierAdapter {
+  constructor(config, { productScraper } = {}) {
+    super(config);
+
+    if (!productScraper) {
+      throw new Error(`${this.id} adapter requires a productScraper`);
+    }
+
+    this.searchPath = config.searchPath;
+    this.queryParam = config.queryParam || 'searchQuery';
+    this.selectors = config.selectors;
+    this.productScraper = productScraper;
+  }
+
+  get config() {
+    return {
+      id: this.id,
+      baseUrl: this.baseUrl,
+      searchPath: this.searchPath,
+      queryParam: this.queryParam,
+      pageParam: this.pageParam,
+      selectors: this.selectors
+    };
+  }
+
+  async search(query, maxResults = 10, { page = 1 } = {}) {
+    return this.productScraper.search(this.config, query, maxResults, page);
+  }
+
+  parse(html, maxResults = 10) {
+    return this.productScraper.parseHTML(html, this.config, maxResults);
+  }
+
+  normalize(items) {
+    return this.productScraper.normalizeResults(items, this.config);
+  }
+}
+
+module.exports = SupplierAdapter;
+module.exports.SelectorSupplierAdapter = SelectorSupplierAdapter;
@@ -0,0 +1,114 @@
+const fs = require('fs');
+const path = require('path');
+const SupplierAdapter = require('./supplier-adapter');
+
+const DEFAULT_SUPPLIERS_DIR = path.join(__dirname, 'suppliers');
+
+// Holds every supplier adapter known to the backend. Adapters are discovered
+// from scrapers/suppliers/ at startup; each module exports an adapter class
+// that is constructed with the shared context (e.g. the ProductScraper).
+//
+// `enabled` limits discovery to the listed supplier ids and `disabled` skips
+// the listed ones, so a deployment can turn suppliers on and off without
+// deleting their modules.
+class SupplierRegistry {
+  constructor(context = {}, { enabled = null, disabled = [] } = {}) {
+    this.context = context;
+    this.enabled = enabled && enabled.length > 0 ? enabled : null;
+    this.disabled = disabled;
+    this.skipped = [];
+    this.adapters = new Map();
+  }
+
+  // Comma-separated SUPPLIERS_ENABLED / SUPPLIERS_DISABLED, e.g. "grainger,zoro"
+  static fromEnvironment(context, env = process.env) {
+    const parseList = (value) => (value || '')
+      .split(',')
+      .map(id => id.trim().toLowerCase())
+      .filter(Boolean);
+
+    return new SupplierRegistry(context, {
+      enabled: parseList(env.SUPPLIERS_ENABLED),
+      disabled: parseList(env.SUPPLIERS_DISABLED)
+    });
+  }
+
+  isEnabled(id) {
+    if (this.enabled && !this.enabled.includes(id)) return false;
+    return !this.disabled.includes(id);
+  }
+
+  register(adapter) {
+    if (!(adapter instanceof SupplierAdapter)) {
+      throw new Error('Only SupplierAdapter instances can be registered');
+    }
+    if (this.adapters.has(adapter.id)) {
+      throw new Error(`Supplier "${adapter.id}" is already registered`);
+    }
+
+    this.adapters.set(adapter.id, adapter);
+    return adapter;
+  }
+
+  discover(directory = DEFAULT_SUPPLIERS_DIR) {
+    const files = fs.readdirSync(directory)
+      .filter(file => file.endsWith('.js'))
+      .sort();
+
+    for (const file of files) {
+      const AdapterClass = require(path.join(directory, file));
+
+      if (typeof AdapterClass !== 'function' || !(AdapterClass.prototype instanceof SupplierAdapter)) {
+        console.warn(`⚠️ Skipping ${file}: does not export a SupplierAdapter subclass`);
+        continue;
+      }
+
+      const adapter = new AdapterClass(this.context);
+      if (!this.isEnabled(adapter.id)) {
+        this.skipped.push(adapter.id);
+        console.log(`⏭️ Supplier adapter disabled by config: ${adapter.id}`);
+        continue;
+      }
+
+      this.register(adapter);
+      console.log(`🏪 Registered supplier adapter: ${adapter.id}`);
+    }
+
+    return this;
+  }
+
+  get(id) {
+    return this.adapters.get(id);
+  }
+
+  has(id) {
+    return this.adapters.has(id);
+  }
+
+  list() {
+    return Array.from(this.adapters.values());
+  }
+
+  ids() {
+    return Array.from(this.adapters.keys());
+  }
+
+  describe() {
+    return this.list().map(adapter => adapter.describe());
+  }
+
+  // Adapters that exist but were left out by SUPPLIERS_ENABLED / SUPPLIERS_DISABLED
+  disabledIds() {
+    return [...this.skipped];
+  }
+
+  async closeAll() {
+    await Promise.all(this.list().map(adapter =>
+      adapter.close().catch(error => {
+        console.error(`Failed to close ${adapter.id}:`, error.message);
+      })
+    ));
+  }
+}
+
+module.exports = SupplierRegistry;
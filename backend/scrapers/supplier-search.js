@@ -0,0 +1,345 @@
+const { CircuitBreaker, CircuitOpenError } = require('./resilience');
+
+// Supplier pages one request may read per supplier before handing back a cursor
+const MAX_PAGES_PER_REQUEST = 3;
+
+// Fans a query out to every registered supplier adapter and merges the results
+class SupplierSearch {
+  constructor(registry, llmEnhancer, {
+    cache = null,
+    breakerOptions = {},
+    partNormalizer = null,
+    priceHistory = null,
+    attributeParser = null,
+    ranker = null,
+    facets = null
+  } = {}) {
+    this.registry = registry;
+    this.llmEnhancer = llmEnhancer;
+    this.cache = cache;
+    this.partNormalizer = partNormalizer;
+    this.attributeParser = attributeParser;
+    this.ranker = ranker;
+    this.facets = facets;
+    this.priceHistory = priceHistory;
+    this.breakerOptions = breakerOptions;
+    this.breakers = new Map();
+  }
+
+  getBreaker(supplierId) {
+    if (!this.breakers.has(supplierId)) {
+      this.breakers.set(supplierId, new CircuitBreaker(supplierId, this.breakerOptions));
+    }
+    return this.breakers.get(supplierId);
+  }
+
+  breakerStatus() {
+    const status = {};
+    for (const supplierId of this.registry.ids()) {
+      status[supplierId] = this.getBreaker(supplierId).describe();
+    }
+    return status;
+  }
+
+  async searchSupplier(adapter, query, maxResults, { page = 1 } = {}) {
+    // Cached results are still served while a supplier's circuit is open
+    const breaker = this.getBreaker(adapter.id);
+    const loader = async () => {
+      const results = await breaker.call(() => adapter.search(query, maxResults, { page }));
+      this.recordPrices(results);
+      return results;
+    };
+
+    if (!this.cache) {
+      const results = await loader();
+      return { results, cache: { fromCache: false, stale: false, ageSeconds: 0 } };
+    }
+
+    const { results, cache } = await this.cache.fetch(adapter.id, query, maxResults, loader, { page });
+    return {
+      results: results.map(item => ({ ...item, fromCache: cache.fromCache })),
+      cache
+    };
+  }
+
+  // Only live scrapes reach here, so cached results never add duplicate points.
+  // Recording runs in the background and never fails a search.
+  recordPrices(results) {
+    if (!this.priceHistory || results.length === 0) return;
+
+    const tagged = this.partNormalizer ? this.partNormalizer.tagResults(results) : results;
+    this.priceHistory.record(tagged).catch(error => {
+      console.error('❌ Failed to record price history:', error.message);
+    });
+  }
+
+  // A lane walks one supplier's own result pages: `page` is the supplier page
+  // currently loaded and `offset` how many of its items were already returned
+  createLane(adapter, position) {
+    return {
+      adapter,
+      page: position.page || 1,
+      offset: position.offset || 0,
+      done: !!position.done,
+      items: null,
+      lastPage: false,
+      pagesLoaded: 0,
+      failed: false,
+      contributed: 0,
+      filteredOut: 0,
+      facetItems: [],
+      status: position.done ? { resultCount: 0, fromCache: false, exhausted: true } : null
+    };
+  }
+
+  // Loads the lane's current supplier page, drops results that contradict the
+  // query's attributes or fail the user's filters and orders the rest by
+  // relevance (or the requested sort). All of that depends only on the page
+  // and the search, so a cursor offset always points at the same item.
+  async loadLanePage(lane, query, view = {}) {
+    const { adapter } = lane;
+    lane.pagesLoaded++;
+
+    try {
+      const { results, cache } = await this.searchSupplier(adapter, query, adapter.pageSize, { page: lane.page });
+      // Tag after the cache so edits to the cross-reference tables apply to cached results too
+      const tagged = this.partNormalizer ? this.partNormalizer.tagResults(results) : results;
+      let kept = tagged.map(item => this.applyAttributes(item, view.attributes)).filter(Boolean);
+      lane.filteredOut += tagged.length - kept.length;
+
+      if (this.facets) {
+        kept = kept.map(item => this.facets.annotate(item));
+        lane.facetItems.push(...kept);
+        kept = kept.filter(item => this.facets.matches(item, view.filters));
+      }
+
+      const ranked = this.ranker && view.prepared ? this.ranker.rank(kept, view.prepared) : kept;
+      lane.items = this.facets && view.sort && view.sort !== 'relevance'
+        ? [...ranked].sort((a, b) => this.facets.compare(a, b, view.sort))
+        : ranked;
+      lane.lastPage = !adapter.pageParam || results.length < adapter.pageSize;
+      lane.status = { resultCount: 0, page: lane.page, ...cache };
+    } catch (error) {
+      lane.items = [];
+      lane.failed = true;
+
+      if (error instanceof CircuitOpenError) {
+        console.warn(`⏭️ Skipping ${adapter.id}: circuit open until ${error.retryAt}`);
+        lane.status = { resultCount: 0, fromCache: false, skipped: true, reason: 'circuit_open', retryAt: error.retryAt };
+      } else {
+        console.error(`Failed to scrape ${adapter.id}:`, error.message);
+        lane.status = { resultCount: 0, fromCache: false, skipped: true, reason: 'error', error: error.message };
+      }
+    }
+  }
+
+  // Next unseen item from a lane without taking it, moving on to the
+  // supplier's next page when the current one runs out. Returns null when the
+  // lane has nothing more for this request.
+  async peekLane(lane, query, view) {
+    while (!lane.done && !lane.failed) {
+      if (lane.offset < lane.items.length) {
+        return lane.items[lane.offset];
+      }
+      if (lane.lastPage) {
+        lane.done = true;
+        break;
+      }
+      if (lane.pagesLoaded >= MAX_PAGES_PER_REQUEST) {
+        lane.paused = true;
+        break;
+      }
+
+      lane.page++;
+      lane.offset = 0;
+      await this.loadLanePage(lane, query, view);
+    }
+    return null;
+  }
+
+  // Whether `item` from `lane` should be merged before `other` from `otherLane`
+  ranksAbove(item, lane, other, otherLane, sort = 'relevance') {
+    const order = this.facets
+      ? this.facets.compare(item, other, sort)
+      : (other.relevance ? other.relevance.score : 0) - (item.relevance ? item.relevance.score : 0);
+    if (order !== 0) return order < 0;
+    return lane.contributed < otherLane.contributed;
+  }
+
+  // The result annotated with how well it fits the query's spec attributes,
+  // or null when its name states a conflicting value (an M10 bolt for "M8")
+  applyAttributes(item, attributes) {
+    if (!this.attributeParser || !attributes || Object.keys(attributes).length === 0) return item;
+
+    const attributeMatch = this.attributeParser.match(attributes, item);
+    return attributeMatch.conflicts.length > 0 ? null : { ...item, attributeMatch };
+  }
+
+  // Where the next request should pick this supplier up
+  lanePosition(lane) {
+    if (lane.done) return { done: true };
+    if (!lane.failed && lane.items && lane.offset >= lane.items.length) {
+      return lane.lastPage ? { done: true } : { page: lane.page + 1, offset: 0 };
+    }
+    return { page: lane.page, offset: lane.offset };
+  }
+
+  // Searches every supplier and returns one page of merged results.
+  //
+  // Each supplier is paged through with its own result pages, each page
+  // ranked by relevance. The merged page repeatedly takes the best-scoring
+  // next item across suppliers (ties go to the supplier that has contributed
+  // least, then registry order), so the same cursor always yields the same
+  // page. `next` holds every supplier's position for the following page, or
+  // null once all of them are exhausted.
+  //
+  // `originalQuery` is what the user typed; with a ranker every result gets a
+  // `confidence` and a `relevance` breakdown scored against both queries.
+  //
+  // Per supplier it reports how many results it contributed, whether they were
+  // served from the cache, and why it was skipped. `onSupplier(supplierId,
+  // results, status)` fires as each supplier's first page arrives.
+  //
+  // With `attributes` (from QueryAttributeParser) results whose names
+  // contradict them are dropped; `filteredOut` counts the drops per supplier.
+  //
+  // `filters` and `sort` (see ResultFacets) narrow and order the results.
+  // Sorting orders the supplier pages read for this request; it can't pull a
+  // cheaper item forward from a supplier page that hasn't been read yet.
+  // `facets` counts every result read, before the filters.
+  async searchSuppliers(query, maxResults = 10, {
+    cursor = null,
+    onSupplier = () => {},
+    attributes = null,
+    originalQuery = query,
+    filters = {},
+    sort = 'relevance'
+  } = {}) {
+    const adapters = this.registry.list();
+    const view = {
+      attributes,
+      filters,
+      sort,
+      prepared: this.ranker ? this.ranker.prepare({ query, originalQuery, attributes }) : null
+    };
+
+    // Suppliers added after a cursor was issued would restart at page one
+    // mid-pagination, so they sit the rest of that pagination out
+    const lanes = adapters.map(adapter => this.createLane(
+      adapter,
+      cursor ? cursor.suppliers[adapter.id] || { done: true } : {}
+    ));
+
+    try {
+      await Promise.all(lanes.filter(lane => !lane.done).map(async (lane) => {
+        await this.loadLanePage(lane, query, view);
+        onSupplier(lane.adapter.id, lane.items.slice(lane.offset, lane.offset + maxResults), lane.status);
+      }));
+
+      const results = [];
+      const seen = new Set();
+      let active = lanes.filter(lane => !lane.done && !lane.failed);
+
+      while (results.length < maxResults && active.length > 0) {
+        let best = null;
+        let bestItem = null;
+
+        for (const lane of active) {
+          const item = await this.peekLane(lane, query, view);
+          if (!item) continue;
+          if (!best || this.ranksAbove(item, lane, bestItem, best, sort)) {
+            best = lane;
+            bestItem = item;
+          }
+        }
+        active = active.filter(lane => !lane.done && !lane.failed && !lane.paused);
+        if (!best) break;
+
+        best.offset++;
+        const key = this.duplicateKey(bestItem);
+        if (seen.has(key)) continue;
+        seen.add(key);
+
+        results.push(bestItem);
+        best.contributed++;
+      }
+
+      const suppliers = {};
+      const positions = {};
+      for (const lane of lanes) {
+        suppliers[lane.adapter.id] = {
+          ...lane.status,
+          resultCount: lane.contributed,
+          ...(lane.filteredOut > 0 && { filteredOut: lane.filteredOut })
+        };
+        positions[lane.adapter.id] = this.lanePosition(lane);
+      }
+
+      // Failed suppliers keep their position and are retried on the next page,
+      // but they alone don't keep the pagination going
+      const hasMore = lanes.some(lane => !lane.failed && !positions[lane.adapter.id].done);
+
+      return {
+        results,
+        suppliers,
+        skipped: this.listSkipped(suppliers),
+        facets: this.countFacets(lanes),
+        next: hasMore ? positions : null
+      };
+
+    } catch (error) {
+      console.error('Error in searchSuppliers:', error);
+      const suppliers = {};
+      for (const lane of lanes) {
+        suppliers[lane.adapter.id] = { ...lane.status, resultCount: lane.contributed };
+      }
+      return { results: [], suppliers, skipped: this.listSkipped(suppliers), facets: this.countFacets(lanes), next: null };
+    }
+  }
+
+  // Facet counts over every result read for this request, each listing once
+  countFacets(lanes) {
+    if (!this.facets) return null;
+
+    const unique = new Map();
+    for (const item of lanes.flatMap(lane => lane.facetItems)) {
+      unique.set(this.duplicateKey(item), item);
+    }
+    return this.facets.count(Array.from(unique.values()));
+  }
+
+  listSkipped(suppliers) {
+    return Object.entries(suppliers)
+      .filter(([, status]) => status.skipped)
+      .map(([supplier, status]) => ({
+        supplier,
+        reason: status.reason,
+        ...(status.error && { error: status.error }),
+        ...(status.retryAt && { retryAt: status.retryAt })
+      }));
+  }
+
+  // Updated method to work with a single query (used by LLM enhancer)
+  async searchSingleQuery(query, maxResults = 10) {
+    const { results } = await this.searchSuppliers(query, maxResults);
+    return results;
+  }
+
+  // Enhanced search using LLM
+  async searchAllSuppliers(query, maxResults = 10) {
+    console.log(`🧠 Starting LLM-enhanced search for: "${query}"`);
+
+    // Use LLM enhancer for smart search
+    const searchResult = await this.llmEnhancer.smartSearch(query, async (enhancedQuery) => {
+      return await this.searchSingleQuery(enhancedQuery, maxResults);
+    });
+
+    return searchResult.results;
+  }
+
+  duplicateKey(item) {
+    return `${item.partNumber}-${item.name}`.toLowerCase().replace(/\s+/g, '');
+  }
+}
+
+module.exports = SupplierSearch;
@@ -0,0 +1,55 @@
+const { SelectorSupplierAdapter } = require('../supplier-adapter');
+
+class AppliedAdapter extends SelectorSupplierAdapter {
+  constructor(context) {
+    super({
+      id: 'applied',
+      name: 'Applied Industrial Technologies',
+      baseUrl: 'https://www.applied.com',
+      searchPath: '/search',
+      queryParam: 'q',
+      pageSize: 24,
+      pageParam: 'page',
+      selectors: {
+        productContainer: [
+          '.product-listing-item',
+          '.product-item',
+          '.search-result'
+        ],
+        partNumber: [
+          '.applied-item-number',
+          '.item-number',
+          '.product-number'
+        ],
+        manufacturerPartNumber: [
+          '.mfr-part-number',
+          '.manufacturer-number'
+        ],
+        productName: [
+          '.product-listing-name',
+          '.product-name',
+          '.product-title'
+        ],
+        price: [
+          '.product-listing-price',
+          '.product-price',
+          '.price'
+        ],
+        availability: [
+          '.product-listing-stock',
+          '.availability'
+        ],
+        uom: [
+          '.product-listing-uom',
+          '.unit-of-measure'
+        ],
+        productLink: [
+          'a.product-listing-link',
+          'a[href*="/c-"]'
+        ]
+      }
+    }, context);
+  }
+}
+
+module.exports = AppliedAdapter;
@@ -0,0 +1,55 @@
+const { SelectorSupplierAdapter } = require('../supplier-adapter');
+
+class FastenalAdapter extends SelectorSupplierAdapter {
+  constructor(context) {
+    super({
+      id: 'fastenal',
+      name: 'Fastenal',
+      baseUrl: 'https://www.fastenal.com',
+      searchPath: '/product',
+      queryParam: 'query',
+      pageSize: 24,
+      pageParam: 'page',
+      selectors: {
+        productContainer: [
+          '.product-list-item',
+          '.product-tile',
+          '.search-result-item'
+        ],
+        partNumber: [
+          '.sku-number',
+          '.product-sku',
+          '.part-number'
+        ],
+        manufacturerPartNumber: [
+          '.mfr-part-number',
+          '.manufacturer-part-number'
+        ],
+        productName: [
+          '.product-description',
+          '.product-name',
+          '.product-title'
+        ],
+        price: [
+          '.online-price',
+          '.product-price',
+          '.price'
+        ],
+        availability: [
+          '.availability-message',
+          '.stock-status'
+        ],
+        uom: [
+          '.price-uom',
+          '.unit-of-measure'
+        ],
+        productLink: [
+          'a.product-link',
+          'a[href*="/product/details/"]'
+        ]
+      }
+    }, context);
+  }
+}
+
+module.exports = FastenalAdapter;
@@ -0,0 +1,36 @@
+const SupplierAdapter = require('../supplier-adapter');
+const GraingerPriceScraper = require('../grainger-scraper');
+
+// Grainger has its own specialized scraper (price tiles, product URLs,
+// confidence scoring), so the adapter simply delegates to it.
+class GraingerAdapter extends SupplierAdapter {
+  constructor({ fixtures, health, browserPool } = {}) {
+    super({
+      id: 'grainger',
+      name: 'Grainger',
+      baseUrl: 'https://www.grainger.com',
+      pageSize: 24,
+      pageParam: 'page'
+    });
+
+    this.scraper = new GraingerPriceScraper({ fixtures, health, browserPool });
+  }
+
+  async search(query, maxResults = 10, { page = 1 } = {}) {
+    return this.scraper.getLivePrices(query, maxResults, page);
+  }
+
+  parse(html, maxResults = 10) {
+    return this.scraper.parseHTMLForPrices(html, maxResults);
+  }
+
+  normalize(items) {
+    return this.scraper.normalizeResults(items);
+  }
+
+  async getDetails(partNumber) {
+    return this.scraper.getDetailedPricing(partNumber);
+  }
+}
+
+module.exports = GraingerAdapter;
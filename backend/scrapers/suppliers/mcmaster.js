@@ -0,0 +1,41 @@
+const { SelectorSupplierAdapter } = require('../supplier-adapter');
+
+class McMasterAdapter extends SelectorSupplierAdapter {
+  constructor(context) {
+    super({
+      id: 'mcmaster',
+      name: 'McMaster-Carr',
+      baseUrl: 'https://www.mcmaster.com',
+      searchPath: '/search',
+      // One long product table, no result pages
+      pageSize: 100,
+      pageParam: null,
+      // McMaster lists only its own part numbers, so there is no
+      // manufacturerPartNumber selector
+      selectors: {
+        productContainer: [
+          '.ProductTableRow',
+          'tr[data-testid="product-row"]',
+          '.product-row'
+        ],
+        partNumber: [
+          '.PartNumber',
+          '.part-number',
+          'td:first-child'
+        ],
+        productName: [
+          '.ProductDescription',
+          '.description',
+          'td:nth-child(2)'
+        ],
+        price: [
+          '.Price',
+          '.price',
+          '.cost'
+        ]
+      }
+    }, context);
+  }
+}
+
+module.exports = McMasterAdapter;
@@ -0,0 +1,55 @@
+const { SelectorSupplierAdapter } = require('../supplier-adapter');
+
+class MotionAdapter extends SelectorSupplierAdapter {
+  constructor(context) {
+    super({
+      id: 'motion',
+      name: 'Motion Industries',
+      baseUrl: 'https://www.motion.com',
+      searchPath: '/products/search',
+      queryParam: 'q',
+      pageSize: 20,
+      pageParam: 'page',
+      selectors: {
+        productContainer: [
+          '.search-result-product',
+          '.product-result',
+          '.product-card'
+        ],
+        partNumber: [
+          '.mi-item-number',
+          '.item-number',
+          '.part-number'
+        ],
+        manufacturerPartNumber: [
+          '.mfr-number',
+          '.manufacturer-part-number'
+        ],
+        productName: [
+          '.product-result-title',
+          '.product-name',
+          '.product-title'
+        ],
+        price: [
+          '.product-result-price',
+          '.product-price',
+          '.price'
+        ],
+        availability: [
+          '.product-result-availability',
+          '.availability'
+        ],
+        uom: [
+          '.product-result-uom',
+          '.unit-of-measure'
+        ],
+        productLink: [
+          'a.product-result-link',
+          'a[href*="/products/sku/"]'
+        ]
+      }
+    }, context);
+  }
+}
+
+module.exports = MotionAdapter;
@@ -0,0 +1,42 @@
+const { SelectorSupplierAdapter } = require('../supplier-adapter');
+
+class MSCDirectAdapter extends SelectorSupplierAdapter {
+  constructor(context) {
+    super({
+      id: 'mscdirect',
+      name: 'MSC Industrial Supply',
+      baseUrl: 'https://www.mscdirect.com',
+      searchPath: '/browse/search',
+      pageSize: 24,
+      pageParam: 'page',
+      selectors: {
+        productContainer: [
+          '.product-tile',
+          '.search-result'
+        ],
+        partNumber: [
+          '.product-number',
+          '.item-number'
+        ],
+        manufacturerPartNumber: [
+          '.mfr-part-number',
+          '.manufacturer-part-number'
+        ],
+        productName: [
+          '.product-title',
+          '.product-name'
+        ],
+        price: [
+          '.price',
+          '.product-price'
+        ],
+        uom: [
+          '.price-uom',
+          '.unit-of-measure'
+        ]
+      }
+    }, context);
+  }
+}
+
+module.exports = MSCDirectAdapter;
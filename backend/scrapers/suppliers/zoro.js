@@ -0,0 +1,57 @@
+const { SelectorSupplierAdapter } = require('../supplier-adapter');
+
+class ZoroAdapter extends SelectorSupplierAdapter {
+  constructor(context) {
+    super({
+      id: 'zoro',
+      name: 'Zoro',
+      baseUrl: 'https://www.zoro.com',
+      searchPath: '/search',
+      queryParam: 'q',
+      pageSize: 24,
+      pageParam: 'page',
+      selectors: {
+        productContainer: [
+          '[data-za="product-card"]',
+          '.search-results__result',
+          '.product-card'
+        ],
+        partNumber: [
+          '[data-za="product-card-zoro-no"]',
+          '.product-card__zoro-no',
+          '.zoro-number'
+        ],
+        manufacturerPartNumber: [
+          '[data-za="product-card-mfr-no"]',
+          '.product-card__mfr-no',
+          '.mfr-number'
+        ],
+        productName: [
+          '[data-za="product-card-title"]',
+          '.product-card__title',
+          '.product-title'
+        ],
+        price: [
+          '[data-za="product-card-price"]',
+          '.product-card__price',
+          '.price'
+        ],
+        availability: [
+          '[data-za="product-card-availability"]',
+          '.product-card__availability'
+        ],
+        uom: [
+          '[data-za="product-card-uom"]',
+          '.product-card__uom'
+        ],
+        productLink: [
+          'a[data-za="product-card-link"]',
+          'a.product-card__link',
+          'a[href*="/i/"]'
+        ]
+      }
+    }, context);
+  }
+}
+
+module.exports = ZoroAdapter;
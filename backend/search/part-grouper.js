@@ -0,0 +1,183 @@
+// Clusters search results that are the same physical part sold by different
+// suppliers, so each part is returned once with one offer per supplier.
+//
+// Two results from different suppliers are linked when:
+//   - their manufacturer part numbers match, or
+//   - they share a part designation (e.g. "6203-2Z") and their names overlap, or
+//   - their names are near-identical.
+// A group never holds two offers from the same supplier.
+
+const { comparablePrice } = require('../scrapers/price-parser');
+
+const STOPWORDS = new Set(['a', 'an', 'and', 'the', 'for', 'with', 'of', 'in', 'to', 'x', 'pk', 'pack', 'each']);
+
+class PartGrouper {
+  constructor({ designationNameSimilarity = 0.3, nameSimilarity = 0.8 } = {}) {
+    this.designationNameSimilarity = designationNameSimilarity;
+    this.nameSimilarity = nameSimilarity;
+  }
+
+  normalizeDesignation(value) {
+    return String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  }
+
+  nameTokens(name) {
+    return new Set(
+      String(name || '')
+        .toLowerCase()
+        .split(/[^a-z0-9.\/-]+/)
+        .map(token => token.replace(/^[-.\/]+|[-.\/]+$/g, ''))
+        .filter(token => token.length > 1 && !STOPWORDS.has(token))
+    );
+  }
+
+  // Tokens that look like catalog designations: letters/digits with at least
+  // three digits, e.g. "6203-2Z", "UCP205-16", "5/16-18"
+  designations(result) {
+    const candidates = [result.manufacturerPartNumber, result.canonicalPart, ...String(result.name || '').split(/\s+/)];
+    const designations = new Set();
+
+    for (const candidate of candidates) {
+      if (!candidate) continue;
+      const normalized = this.normalizeDesignation(candidate);
+      if (normalized.length >= 4 && (normalized.match(/\d/g) || []).length >= 3) {
+        designations.add(normalized);
+      }
+    }
+
+    return designations;
+  }
+
+  similarity(tokensA, tokensB) {
+    if (tokensA.size === 0 || tokensB.size === 0) return 0;
+    let shared = 0;
+    for (const token of tokensA) {
+      if (tokensB.has(token)) shared++;
+    }
+    return shared / (tokensA.size + tokensB.size - shared);
+  }
+
+  // Returns the reason two results are the same part, or null
+  matchReason(a, b) {
+    const mfrA = this.normalizeDesignation(a.result.manufacturerPartNumber);
+    const mfrB = this.normalizeDesignation(b.result.manufacturerPartNumber);
+    if (mfrA && mfrB) {
+      return mfrA === mfrB ? 'manufacturer_part_number' : null;
+    }
+
+    const nameSimilarity = this.similarity(a.tokens, b.tokens);
+    const sharesDesignation = [...a.designations].some(designation => b.designations.has(designation));
+
+    if (sharesDesignation && nameSimilarity >= this.designationNameSimilarity) {
+      return 'designation';
+    }
+    if (nameSimilarity >= this.nameSimilarity) {
+      return 'name_similarity';
+    }
+    return null;
+  }
+
+  group(results) {
+    const entries = results.map((result, index) => ({
+      index,
+      result,
+      tokens: this.nameTokens(result.name),
+      designations: this.designations(result)
+    }));
+
+    // Union-find over entries, refusing merges that would put two offers
+    // from one supplier in the same group
+    const parent = entries.map((entry, index) => index);
+    const suppliers = entries.map(entry => new Set([entry.result.supplier]));
+    const reasons = entries.map(() => new Set());
+    const find = (index) => (parent[index] === index ? index : (parent[index] = find(parent[index])));
+
+    for (let i = 0; i < entries.length; i++) {
+      for (let j = i + 1; j < entries.length; j++) {
+        const rootI = find(i);
+        const rootJ = find(j);
+        if (rootI === rootJ) continue;
+        if ([...suppliers[rootJ]].some(supplier => suppliers[rootI].has(supplier))) continue;
+
+        const reason = this.matchReason(entries[i], entries[j]);
+        if (!reason) continue;
+
+        parent[rootJ] = rootI;
+        suppliers[rootJ].forEach(supplier => suppliers[rootI].add(supplier));
+        reasons[rootJ].forEach(existing => reasons[rootI].add(existing));
+        reasons[rootI].add(reason);
+      }
+    }
+
+    // Keep groups in the order their first result appeared
+    const groups = new Map();
+    for (const entry of entries) {
+      const root = find(entry.index);
+      if (!groups.has(root)) groups.set(root, []);
+      groups.get(root).push(entry.result);
+    }
+
+    return Array.from(groups.entries()).map(([root, offers], index) =>
+      this.buildPart(offers, Array.from(reasons[root]), index + 1)
+    );
+  }
+
+  baseUnit(offer) {
+    return offer.pricing && offer.pricing.baseUnit ? offer.pricing.baseUnit : 'each';
+  }
+
+  // A price per foot or per pound can't be compared with a price per each, so
+  // a group is priced in the base unit most of its priced offers use (each on
+  // a tie)
+  comparisonUnit(offers) {
+    const counts = new Map();
+    for (const offer of offers) {
+      if (comparablePrice(offer) == null) continue;
+      const unit = this.baseUnit(offer);
+      counts.set(unit, (counts.get(unit) || 0) + 1);
+    }
+
+    let chosen = 'each';
+    for (const [unit, count] of counts) {
+      if (count > (counts.get(chosen) || 0)) chosen = unit;
+    }
+    return chosen;
+  }
+
+  // Offers are ranked by unit price, so a pack of 100 and a single piece
+  // compare per each rather than by sticker price. Offers in another base
+  // unit follow those in the group's unit, and the best price is only taken
+  // from the group's unit.
+  buildPart(offers, matchReasons, groupId) {
+    const unit = this.comparisonUnit(offers);
+    const rank = (offer) => {
+      if (comparablePrice(offer) == null) return 2;
+      return this.baseUnit(offer) === unit ? 0 : 1;
+    };
+    const sortedOffers = [...offers].sort((a, b) => {
+      if (rank(a) !== rank(b)) return rank(a) - rank(b);
+      if (rank(a) === 2) return 0;
+      if (this.baseUnit(a) !== this.baseUnit(b)) return this.baseUnit(a).localeCompare(this.baseUnit(b));
+      return comparablePrice(a) - comparablePrice(b);
+    });
+    const primary = offers.find(offer => offer.manufacturerPartNumber) || offers[0];
+    const best = sortedOffers.find(offer => rank(offer) === 0);
+
+    return {
+      groupId,
+      partNumber: primary.manufacturerPartNumber || primary.partNumber,
+      name: primary.name,
+      manufacturerPartNumber: primary.manufacturerPartNumber || null,
+      offers: sortedOffers,
+      supplierCount: new Set(offers.map(offer => offer.supplier)).size,
+      bestPrice: best ? comparablePrice(best) : null,
+      bestPriceUnit: best ? unit : null,
+      mixedPriceUnits: sortedOffers.some(offer => rank(offer) === 1),
+      bestPriceUnitDetermined: best && best.pricing ? best.pricing.unitDetermined : false,
+      bestPriceSupplier: best ? best.supplier : null,
+      matchReasons
+    };
+  }
+}
+
+module.exports = PartGrouper;
@@ -0,0 +1,251 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_DATA_DIR = path.join(__dirname, 'cross-reference');
+
+// Deep-groove ball bearing series: 604-639 miniatures, 6000-6399, 16000s, 60000s
+const DEEP_GROOVE_SERIES = /^(60[4-9]|6[1-3]\d|6[0-4]\d{2}|16\d{3}|6[0-4]\d{3})$/;
+
+// A bare series number ("6203") is read as a bearing unless the text is
+// about something else that uses the same numbers: aluminum alloys (6061,
+// 6063), lumen ratings, stock shapes. "bearing" or a bearing brand always
+// wins over these.
+const BEARING_WORDS = /\bBEARINGS?\b/;
+const NON_BEARING_WORDS = /\b(ALUMIN(?:UM|IUM)|ALLOY|T6|T651|STEEL|BRASS|COPPER|BAR|ROD|SHEET|PLATE|TUBE|TUBING|PIPE|ANGLE|CHANNEL|EXTRUSION|LUMENS?|LED|LIGHTS?|LAMPS?|BULBS?)\b/i;
+
+// Numbers followed by one of these are measurements, not part numbers
+const UNIT_WORDS = ['PSI', 'RPM', 'V', 'VAC', 'VDC', 'W', 'HP', 'MM', 'CM', 'IN', 'INCH', 'LB', 'LBS', 'FT', 'GPM', 'CFM', 'DEG', 'F', 'C'];
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+
+// Parses part designations into a brand-independent canonical form and maps
+// them to each manufacturer's equivalent part number.
+//
+//   "6203ZZ", "6203-2Z", "SKF 6203-2Z/C3", "NSK 6203ZZC3" -> series 6203, closure 2Z
+//   "6205", "6205 bearing", "Koyo 6205"                    -> series 6205, open
+//   "6061 aluminum bar", "6000 lumen led light"            -> not a bearing
+//
+// A bare number in a bearing series counts unless the text is clearly about
+// something else (NON_BEARING_WORDS); a closure or clearance suffix, the word
+// "bearing" or a bearing brand make it a bearing either way.
+//
+// Canonical parts are written SKF-style: <series>[-<closure>][/<clearance>].
+// Closure codes, brand aliases and explicit equivalents come from the JSON
+// files in search/cross-reference/ plus any extra directories passed in (see
+// PART_XREF_DIR), so the tables can be extended without code changes.
+class PartNormalizer {
+  constructor({ dataDirs = [DEFAULT_DATA_DIR] } = {}) {
+    this.closureNames = {};
+    this.closureAliases = new Map(); // code -> generic closure ("DDU" -> "2RS")
+    this.brands = {};
+    this.brandAliases = new Map(); // alias -> brand ("FAFNIR" -> "Timken")
+    this.equivalents = [];
+
+    for (const directory of dataDirs) {
+      this.loadDirectory(directory);
+    }
+
+    this.buildPatterns();
+  }
+
+  loadDirectory(directory) {
+    let files;
+    try {
+      files = fs.readdirSync(directory).filter(file => file.endsWith('.json')).sort();
+    } catch (error) {
+      console.error(`❌ Cannot read cross-reference directory ${directory}:`, error.message);
+      return;
+    }
+
+    for (const file of files) {
+      try {
+        this.loadTable(JSON.parse(fs.readFileSync(path.join(directory, file), 'utf8')));
+      } catch (error) {
+        console.error(`❌ Failed to load cross-reference table ${file}:`, error.message);
+      }
+    }
+  }
+
+  // Later tables extend earlier ones: new brands are added, closure codes for
+  // an existing brand are appended, equivalents are concatenated
+  loadTable(table) {
+    Object.assign(this.closureNames, table.closureNames || {});
+
+    for (const [closure, codes] of Object.entries(table.genericClosures || {})) {
+      codes.forEach(code => this.closureAliases.set(code.toUpperCase(), closure));
+    }
+
+    for (const [brand, definition] of Object.entries(table.brands || {})) {
+      const existing = this.brands[brand] || { aliases: [], closures: {}, separator: '-', clearanceFormat: '/{clearance}' };
+      const merged = { ...existing, ...definition, aliases: [...existing.aliases], closures: { ...existing.closures } };
+
+      for (const alias of definition.aliases || []) {
+        if (!merged.aliases.includes(alias)) merged.aliases.push(alias);
+        this.brandAliases.set(alias.toUpperCase(), brand);
+      }
+      this.brandAliases.set(brand.toUpperCase(), brand);
+
+      for (const [closure, codes] of Object.entries(definition.closures || {})) {
+        merged.closures[closure] = [...(existing.closures[closure] || []), ...codes.filter(code => !(existing.closures[closure] || []).includes(code))];
+        codes.forEach(code => this.closureAliases.set(code.toUpperCase(), closure));
+      }
+
+      this.brands[brand] = merged;
+    }
+
+    this.equivalents.push(...(table.equivalents || []));
+  }
+
+  buildPatterns() {
+    const closureCodes = Array.from(this.closureAliases.keys())
+      .sort((a, b) => b.length - a.length)
+      .map(escapeRegExp)
+      .join('|');
+    const brandNames = Array.from(this.brandAliases.keys())
+      .sort((a, b) => b.length - a.length)
+      .map(escapeRegExp)
+      .join('|');
+
+    this.designationPattern = new RegExp(
+      `(?:^|[^A-Z0-9])(\\d{3,5})(?:[-\\s]?(${closureCodes}))?(?:[\\s\\/.-]?(C[2-5]|CN))?` +
+      `(?![A-Z0-9])(?!\\s*(?:${UNIT_WORDS.join('|')})\\b)`,
+      'g'
+    );
+    this.brandPattern = brandNames ? new RegExp(`(?:^|[^A-Z])(${brandNames})(?![A-Z])`) : null;
+  }
+
+  normalizeToken(value) {
+    return String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  }
+
+  detectBrand(text) {
+    if (!this.brandPattern) return null;
+    const match = text.match(this.brandPattern);
+    return match ? this.brandAliases.get(match[1]) : null;
+  }
+
+  canonicalFor(series, closure, clearance) {
+    return `${series}${closure ? `-${closure}` : ''}${clearance ? `/${clearance}` : ''}`;
+  }
+
+  // Returns { canonical, series, closure, closureName, clearance, brand, type, input } or null
+  parse(text) {
+    if (!text) return null;
+    const upper = String(text).toUpperCase();
+    const brand = this.detectBrand(upper);
+    const otherContext = !brand && !BEARING_WORDS.test(upper) && NON_BEARING_WORDS.test(upper);
+
+    this.designationPattern.lastIndex = 0;
+    let match;
+    while ((match = this.designationPattern.exec(upper)) !== null) {
+      const [, series, closureCode, clearance] = match;
+      if (!DEEP_GROOVE_SERIES.test(series)) continue;
+      if (!closureCode && !clearance && otherContext) continue;
+
+      const closure = closureCode ? this.closureAliases.get(closureCode) : null;
+      const normalizedClearance = clearance && clearance !== 'CN' ? clearance : null;
+
+      return {
+        canonical: this.canonicalFor(series, closure, normalizedClearance),
+        series,
+        closure,
+        closureName: closure ? this.closureNames[closure] || closure : 'open or unspecified',
+        clearance: normalizedClearance,
+        brand,
+        type: 'deep_groove_ball_bearing',
+        input: String(text)
+      };
+    }
+
+    return this.matchExplicitEquivalent(String(text), brand);
+  }
+
+  // Parts outside the bearing grammar can still be cross-referenced through
+  // the "equivalents" lists in the data files
+  matchExplicitEquivalent(text, brand) {
+    const tokens = new Set(text.split(/[\s,;]+/).map(token => this.normalizeToken(token)).filter(Boolean));
+
+    for (const equivalent of this.equivalents) {
+      const candidates = [equivalent.canonical, ...Object.values(equivalent.parts || {})];
+      const hit = candidates.some(candidate => tokens.has(this.normalizeToken(candidate)));
+      if (hit) {
+        return {
+          canonical: equivalent.canonical,
+          brand,
+          type: equivalent.type || 'cross_reference',
+          input: text
+        };
+      }
+    }
+
+    return null;
+  }
+
+  formatForBrand(brand, parsed) {
+    const definition = this.brands[brand];
+    if (!definition) return null;
+
+    let partNumber = parsed.series;
+    if (parsed.closure) {
+      const codes = definition.closures[parsed.closure];
+      if (!codes || codes.length === 0) return null;
+      partNumber += `${definition.separator}${codes[0]}`;
+    }
+    if (parsed.clearance) {
+      partNumber += definition.clearanceFormat.replace('{clearance}', parsed.clearance);
+    }
+    return partNumber;
+  }
+
+  // Every manufacturer's part number for the same canonical part
+  equivalentsFor(textOrParsed) {
+    const parsed = typeof textOrParsed === 'string' ? this.parse(textOrParsed) : textOrParsed;
+    if (!parsed) return [];
+
+    const explicit = this.equivalents.find(equivalent => equivalent.canonical === parsed.canonical);
+    if (explicit) {
+      return Object.entries(explicit.parts || {}).map(([brand, partNumber]) => ({ brand, partNumber }));
+    }
+    if (parsed.type !== 'deep_groove_ball_bearing') return [];
+
+    return Object.keys(this.brands)
+      .map(brand => ({ brand, partNumber: this.formatForBrand(brand, parsed) }))
+      .filter(equivalent => equivalent.partNumber);
+  }
+
+  // Query expansion: the canonical part plus brand-specific search strings,
+  // with the brand the user typed (if any) first
+  expandQuery(query) {
+    const parsed = this.parse(query);
+    if (!parsed) return null;
+
+    const equivalents = this.equivalentsFor(parsed)
+      .sort((a, b) => (b.brand === parsed.brand) - (a.brand === parsed.brand));
+
+    return {
+      canonical: parsed.canonical,
+      parsed,
+      equivalents,
+      queries: equivalents.map(equivalent => `${equivalent.brand} ${equivalent.partNumber}`)
+    };
+  }
+
+  // Tags a scraped result with the canonical part it refers to, if any
+  tagResult(result) {
+    const parsed = this.parse(result.manufacturerPartNumber) || this.parse(result.name) || this.parse(result.partNumber);
+    if (!parsed) return result;
+
+    return {
+      ...result,
+      canonicalPart: parsed.canonical,
+      ...(parsed.brand && !result.brand && { brand: parsed.brand })
+    };
+  }
+
+  tagResults(results) {
+    return results.map(result => this.tagResult(result));
+  }
+}
+
+module.exports = PartNormalizer;
+module.exports.NON_BEARING_WORDS = NON_BEARING_WORDS;
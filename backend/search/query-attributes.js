@@ -0,0 +1,274 @@
+// Typed spec attributes in a search query or a product name.
+//
+//   "M8x1.25x30 316 SS socket head"  -> thread M8 pitch 1.25, length 30 mm,
+//                                       material stainless steel grade 316
+//   "1/4-20 x 1 in zinc plated bolt" -> thread 1/4-20, length 1 in, finish zinc plated
+//   "bearing 17mm bore 40mm OD"      -> bore 17 mm, outerDiameter 40 mm
+//   "1/2 hp 115/230v 1725 rpm motor" -> horsepower 0.5, voltage 115/230, rpm 1725
+//   "3000 psi hydraulic hose"        -> pressure 3000 psi
+//
+// The same parser reads scraped product names, so a query's attributes can
+// be checked against each result with match().
+
+const NUMBER = '\\d+(?:\\.\\d+)?';
+const FRACTION = '\\d+\\/\\d+';
+const MIXED = '\\d+-\\d+\\/\\d+';
+const SIZE = `(?:${MIXED}|${FRACTION}|${NUMBER})`;
+const LENGTH_UNIT = 'mm|cm|inches|inch|in|"|ft|feet';
+
+const MM_PER_UNIT = { mm: 1, cm: 10, in: 25.4, ft: 304.8 };
+const PSI_PER_UNIT = { psi: 1, bar: 14.5038, kpa: 0.145038, mpa: 145.038 };
+
+const MATERIALS = [
+  { pattern: /\b(303|304l?|316l?|410|18-8)\s*(?:ss|s\/s|stainless(?:\s*steel)?)\b/, name: 'stainless steel', grade: match => match[1] },
+  { pattern: /\b(?:ss|s\/s|stainless(?:\s*steel)?)\s*(303|304l?|316l?|410|18-8)\b/, name: 'stainless steel', grade: match => match[1] },
+  { pattern: /\bstainless(?:\s*steel)?\b|\bs\/s\b|\bss\b/, name: 'stainless steel' },
+  { pattern: /\bgrade\s*(2|5|8)\b/, name: 'steel', grade: match => `grade ${match[1]}` },
+  { pattern: /\bcarbon\s*steel\b/, name: 'carbon steel' },
+  { pattern: /\balloy\s*steel\b/, name: 'alloy steel' },
+  { pattern: /\bbrass\b/, name: 'brass' },
+  { pattern: /\bbronze\b/, name: 'bronze' },
+  { pattern: /\balumin(?:um|ium)\b/, name: 'aluminum' },
+  { pattern: /\bnylon\b/, name: 'nylon' },
+  { pattern: /\bpvc\b/, name: 'pvc' },
+  { pattern: /\btitanium\b/, name: 'titanium' },
+  { pattern: /\bsteel\b/, name: 'steel' }
+];
+
+// Plain "steel" in a query is satisfied by any of these
+const STEELS = ['steel', 'carbon steel', 'alloy steel'];
+
+const FINISHES = [
+  { pattern: /\bzinc[\s-]*plated\b|\bzinc\b/, name: 'zinc plated' },
+  { pattern: /\bblack[\s-]*oxide\b/, name: 'black oxide' },
+  { pattern: /\b(?:hot[\s-]*dip(?:ped)?\s*)?galvanized\b/, name: 'galvanized' },
+  { pattern: /\bchrome[\s-]*plated\b/, name: 'chrome plated' },
+  { pattern: /\bcadmium[\s-]*plated\b/, name: 'cadmium plated' }
+];
+
+const DIMENSION_LABELS = [
+  ['bore', 'bore|id|inside\\s*diameter'],
+  ['outerDiameter', 'od|outside\\s*diameter|outer\\s*diameter'],
+  ['width', 'width|wide|thick(?:ness)?']
+];
+
+// Relative tolerances used when comparing numbers from a query and a name
+const TOLERANCE = { length: 0.02, rpm: 0.05, horsepower: 0.01 };
+
+function toNumber(text) {
+  const mixed = text.match(/^(\d+)-(\d+)\/(\d+)$/);
+  if (mixed) return parseInt(mixed[1], 10) + parseInt(mixed[2], 10) / parseInt(mixed[3], 10);
+  const fraction = text.match(/^(\d+)\/(\d+)$/);
+  if (fraction) return parseInt(fraction[1], 10) / parseInt(fraction[2], 10);
+  return parseFloat(text.replace(/,/g, ''));
+}
+
+function normalizeLengthUnit(unit) {
+  if (!unit) return null;
+  if (unit === '"' || unit.startsWith('in')) return 'in';
+  if (unit === 'feet') return 'ft';
+  return unit;
+}
+
+function lengthValue(text, unit, defaultUnit = 'mm') {
+  const normalized = normalizeLengthUnit(unit) || defaultUnit;
+  const value = toNumber(text);
+  return { value, unit: normalized, mm: Math.round(value * MM_PER_UNIT[normalized] * 1000) / 1000 };
+}
+
+function close(a, b, tolerance) {
+  return Math.abs(a - b) <= Math.max(Math.abs(a), Math.abs(b)) * tolerance;
+}
+
+class QueryAttributeParser {
+  // { attributes, spans, remainder }: `spans` are the pieces of text each
+  // attribute came from and `remainder` the text with them removed
+  extract(text) {
+    let working = ` ${String(text || '').toLowerCase().replace(/[×]/g, 'x').replace(/[”″]/g, '"')} `;
+    const attributes = {};
+    const spans = [];
+
+    // Replaces a match with spaces so later patterns can't read it again
+    const consume = (match, attribute) => {
+      spans.push({ attribute, text: match[0].trim() });
+      working = working.slice(0, match.index) + ' '.repeat(match[0].length) + working.slice(match.index + match[0].length);
+    };
+
+    // Metric threads: M8, M8x1.25, M8-1.25 x 20mm, M8x1.25x30, M8 x 30mm
+    let match = working.match(new RegExp(`\\bm(${NUMBER})(?:\\s*[x-]\\s*(${NUMBER}))?(?:\\s*x\\s*(${NUMBER})\\s*(${LENGTH_UNIT})?)?(?![\\w.])`));
+    if (match) {
+      const second = match[2] ? parseFloat(match[2]) : null;
+      // "M8x30": a second number too big to be a pitch is the length
+      const pitch = second !== null && second < 6 ? second : null;
+      const lengthText = match[3] || (second !== null && pitch === null ? match[2] : null);
+
+      attributes.thread = { system: 'metric', size: `M${match[1]}`, diameter: parseFloat(match[1]), pitch };
+      if (lengthText) attributes.length = lengthValue(lengthText, match[4], 'mm');
+      consume(match, 'thread');
+    }
+
+    // Unified threads: 1/4-20, #10-32, 1/2"-13 UNC, 1/4-20 x 1"
+    match = !attributes.thread && working.match(new RegExp(`(?:^|[\\s(])(#\\d{1,2}|${FRACTION}|${MIXED})\\s*"?\\s*-\\s*(\\d{1,2})(?![\\d/])(?:\\s*(unc|unf|unef))?(?:\\s*x\\s*(${SIZE})\\s*(${LENGTH_UNIT})?)?`));
+    if (match && parseInt(match[2], 10) >= 4) {
+      const size = match[1];
+      attributes.thread = {
+        system: 'unified',
+        size,
+        diameter: size.startsWith('#') ? Math.round((0.06 + 0.013 * parseInt(size.slice(1), 10)) * 1000) / 1000 : toNumber(size),
+        threadsPerInch: parseInt(match[2], 10),
+        series: match[3] ? match[3].toUpperCase() : null
+      };
+      if (match[4]) attributes.length = lengthValue(match[4], match[5], 'in');
+      consume(match, 'thread');
+    }
+
+    // Bearing and seal envelopes: 17x40x12, 25 x 40 x 7 mm
+    match = working.match(new RegExp(`\\b(${NUMBER})\\s*(mm|in|")?\\s*x\\s*(${NUMBER})\\s*(mm|in|")?\\s*x\\s*(${NUMBER})\\s*(mm|in|")?`));
+    if (match) {
+      const unit = match[6] || match[4] || match[2] || 'mm';
+      attributes.bore = lengthValue(match[1], match[2] || unit);
+      attributes.outerDiameter = lengthValue(match[3], match[4] || unit);
+      attributes.width = lengthValue(match[5], match[6] || unit);
+      consume(match, 'dimensions');
+    }
+
+    // Labelled dimensions: "17mm bore", "bore 17mm", "40 mm OD"
+    for (const [attribute, labels] of DIMENSION_LABELS) {
+      if (attributes[attribute]) continue;
+      match = working.match(new RegExp(`(${SIZE})\\s*(${LENGTH_UNIT})\\s*(?:${labels})\\b`)) ||
+        working.match(new RegExp(`\\b(?:${labels})\\s*:?\\s*(${SIZE})\\s*(${LENGTH_UNIT})`));
+      if (match) {
+        attributes[attribute] = lengthValue(match[1], match[2]);
+        consume(match, attribute);
+      }
+    }
+
+    // Lengths: "30mm long", "length 2 in", "x 1-1/2 in lg"
+    if (!attributes.length) {
+      match = working.match(new RegExp(`(${SIZE})\\s*(${LENGTH_UNIT})\\s*(?:long|length|lg)\\b`)) ||
+        working.match(new RegExp(`\\b(?:length|lg)\\s*:?\\s*(${SIZE})\\s*(${LENGTH_UNIT})`));
+      if (match) {
+        attributes.length = lengthValue(match[1], match[2]);
+        consume(match, 'length');
+      }
+    }
+
+    // Voltage: 230V, 115/230 VAC, 12VDC, 24 volts
+    match = working.match(/\b(\d{1,4}(?:\/\d{1,4})*)\s*(?:v|volts?)(ac|dc)?\b|\b(\d{1,4}(?:\/\d{1,4})*)\s*(vac|vdc)\b/);
+    if (match) {
+      const values = (match[1] || match[3]).split('/').map(value => parseInt(value, 10));
+      const current = match[2] || (match[4] && match[4].slice(1));
+      attributes.voltage = { values, current: current ? current.toUpperCase() : null };
+      consume(match, 'voltage');
+    }
+
+    // Horsepower: 1/2 hp, 1-1/2HP, 0.75 hp
+    match = working.match(new RegExp(`(${SIZE})\\s*hp\\b`));
+    if (match) {
+      attributes.horsepower = Math.round(toNumber(match[1]) * 1000) / 1000;
+      consume(match, 'horsepower');
+    }
+
+    match = working.match(/\b(\d{3,5})\s*rpm\b/);
+    if (match) {
+      attributes.rpm = parseInt(match[1], 10);
+      consume(match, 'rpm');
+    }
+
+    // Pressure ratings: 3000 psi, 200 bar, 1.5 MPa
+    match = working.match(/\b(\d[\d,]*(?:\.\d+)?)\s*(psig?|bar|kpa|mpa)\b/);
+    if (match) {
+      const unit = match[2].replace(/^psig$/, 'psi');
+      const value = toNumber(match[1]);
+      attributes.pressure = { value, unit, psi: Math.round(value * PSI_PER_UNIT[unit]) };
+      consume(match, 'pressure');
+    }
+
+    for (const material of MATERIALS) {
+      match = working.match(material.pattern);
+      if (match) {
+        attributes.material = { name: material.name, grade: material.grade ? material.grade(match) : null };
+        consume(match, 'material');
+        break;
+      }
+    }
+
+    for (const finish of FINISHES) {
+      match = working.match(finish.pattern);
+      if (match) {
+        attributes.finish = finish.name;
+        consume(match, 'finish');
+        break;
+      }
+    }
+
+    return {
+      attributes,
+      spans,
+      remainder: working.replace(/\s+/g, ' ').trim()
+    };
+  }
+
+  parse(text) {
+    return this.extract(text).attributes;
+  }
+
+  // How well a result fits the query's attributes. Each attribute is
+  // `matched`, in `conflicts` (the result states a different value) or
+  // `unknown` (the result doesn't say). `score` is the matched share, 0-1.
+  match(wanted, result) {
+    const names = Object.keys(wanted || {});
+    const offered = this.parse(result.name);
+    const outcome = { score: 1, matched: [], conflicts: [], unknown: [] };
+    if (names.length === 0) return outcome;
+
+    for (const name of names) {
+      const verdict = offered[name] === undefined ? null : this.compare(name, wanted[name], offered[name]);
+      if (verdict === null) outcome.unknown.push(name);
+      else if (verdict) outcome.matched.push(name);
+      else outcome.conflicts.push(name);
+    }
+
+    outcome.score = Math.round((outcome.matched.length / names.length) * 100) / 100;
+    return outcome;
+  }
+
+  // true / false, or null when the two can't be compared
+  compare(name, wanted, offered) {
+    switch (name) {
+      case 'bore':
+      case 'outerDiameter':
+      case 'width':
+      case 'length':
+        return close(wanted.mm, offered.mm, TOLERANCE.length);
+      case 'thread':
+        if (wanted.system !== offered.system) return false;
+        if (!close(wanted.diameter, offered.diameter, TOLERANCE.length)) return false;
+        if (wanted.system === 'metric') {
+          // A bare "M8" means coarse pitch, so only two stated pitches can disagree
+          return wanted.pitch === null || offered.pitch === null || wanted.pitch === offered.pitch;
+        }
+        return wanted.threadsPerInch === offered.threadsPerInch;
+      case 'material':
+        if (wanted.name === 'steel' && !wanted.grade) return STEELS.includes(offered.name);
+        if (wanted.name !== offered.name) return false;
+        return !wanted.grade || !offered.grade || wanted.grade.replace(/l$/, '') === offered.grade.replace(/l$/, '');
+      case 'finish':
+        return wanted === offered;
+      case 'voltage':
+        return wanted.values.some(value => offered.values.includes(value)) &&
+          (!wanted.current || !offered.current || wanted.current === offered.current);
+      case 'horsepower':
+        return close(wanted, offered, TOLERANCE.horsepower);
+      case 'rpm':
+        return close(wanted, offered, TOLERANCE.rpm);
+      case 'pressure':
+        // A part rated for more pressure than asked for still does the job
+        return offered.psi >= wanted.psi;
+      default:
+        return null;
+    }
+  }
+}
+
+module.exports = QueryAttributeParser;
@@ -0,0 +1,142 @@
+const { comparablePrice } = require('../scrapers/price-parser');
+
+// Filters, sort orders and facet counts for search results.
+//
+// Every result is labelled with a `category` (from words in its name) and a
+// `manufacturer` (scraped, or a known brand named in the title). Facet counts
+// are taken before the user's filters are applied, so the UI can show how many
+// results each option would give:
+//
+//   { suppliers: [{ value: 'grainger', label: 'Grainger', count: 4 }, ...],
+//     manufacturers: [...], categories: [...],
+//     inStock: { count: 5 }, price: { min: 8.77, max: 198.75 } }
+
+const SORTS = ['relevance', 'price_asc', 'price_desc', 'name'];
+
+// First match wins, so the more specific categories come first
+const CATEGORIES = [
+  { label: 'Bearings', words: ['bearing', 'bearings', 'pillow block'] },
+  { label: 'Seals & Gaskets', words: ['seal', 'seals', 'o-ring', 'o-rings', 'gasket', 'gaskets'] },
+  { label: 'Pneumatics', words: ['pneumatic', 'air cylinder', 'air valve', 'air filter', 'regulator', 'lubricator'] },
+  { label: 'Hydraulics', words: ['hydraulic', 'hose', 'fitting', 'fittings', 'cylinder'] },
+  { label: 'Motors & Electrical', words: ['motor', 'motors', 'switch', 'relay', 'contactor', 'fuse', 'breaker'] },
+  { label: 'Power Transmission', words: ['belt', 'belts', 'chain', 'sprocket', 'coupling', 'pulley', 'sheave', 'gearbox'] },
+  { label: 'Pumps & Valves', words: ['pump', 'pumps', 'valve', 'valves', 'impeller'] },
+  { label: 'Filters', words: ['filter', 'filters', 'strainer'] },
+  { label: 'Fasteners', words: ['bolt', 'bolts', 'screw', 'screws', 'nut', 'nuts', 'washer', 'washers', 'stud', 'anchor', 'rivet'] }
+];
+
+class ResultFacets {
+  constructor({ registry = null, partNormalizer = null } = {}) {
+    this.registry = registry;
+    this.partNormalizer = partNormalizer;
+    this.categoryPatterns = CATEGORIES.map(category => ({
+      label: category.label,
+      pattern: new RegExp(`\\b(?:${category.words.join('|')})\\b`, 'i')
+    }));
+  }
+
+  categorize(result) {
+    const category = this.categoryPatterns.find(({ pattern }) => pattern.test(result.name || ''));
+    return category ? category.label : null;
+  }
+
+  manufacturerOf(result) {
+    if (result.manufacturer) return result.manufacturer;
+    if (result.brand) return result.brand;
+    return this.partNormalizer ? this.partNormalizer.detectBrand(String(result.name || '').toUpperCase()) : null;
+  }
+
+  annotate(result) {
+    return {
+      ...result,
+      category: result.category || this.categorize(result),
+      manufacturer: this.manufacturerOf(result)
+    };
+  }
+
+  // Filters from query-string values; lists are comma-separated
+  static parseFilters({ supplier, manufacturer, category, inStock, minPrice, maxPrice } = {}) {
+    const list = (value) => String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+    const price = (value) => (value === undefined || value === '' || isNaN(parseFloat(value)) ? null : parseFloat(value));
+
+    const filters = {};
+    if (list(supplier).length > 0) filters.suppliers = list(supplier).map(id => id.toLowerCase());
+    if (list(manufacturer).length > 0) filters.manufacturers = list(manufacturer);
+    if (list(category).length > 0) filters.categories = list(category);
+    if (inStock === 'true' || inStock === '1' || inStock === true) filters.inStock = true;
+    if (price(minPrice) !== null) filters.minPrice = price(minPrice);
+    if (price(maxPrice) !== null) filters.maxPrice = price(maxPrice);
+    return filters;
+  }
+
+  static hasFilters(filters) {
+    return !!filters && Object.keys(filters).length > 0;
+  }
+
+  // Price filters use the per-unit price, the same one offers are compared by
+  matches(result, filters = {}) {
+    const lower = (value) => String(value || '').toLowerCase();
+
+    if (filters.suppliers && !filters.suppliers.includes(result.supplier)) return false;
+    if (filters.manufacturers && !filters.manufacturers.some(name => lower(name) === lower(result.manufacturer))) return false;
+    if (filters.categories && !filters.categories.some(name => lower(name) === lower(result.category))) return false;
+    if (filters.inStock && result.inStock !== true) return false;
+
+    if (filters.minPrice != null || filters.maxPrice != null) {
+      const price = comparablePrice(result);
+      if (price == null) return false;
+      if (filters.minPrice != null && price < filters.minPrice) return false;
+      if (filters.maxPrice != null && price > filters.maxPrice) return false;
+    }
+    return true;
+  }
+
+  // Negative when `a` comes first. Unpriced results sort last by price.
+  compare(a, b, sort = 'relevance') {
+    switch (sort) {
+      case 'price_asc':
+      case 'price_desc': {
+        const priceA = comparablePrice(a);
+        const priceB = comparablePrice(b);
+        if (priceA == null || priceB == null) return (priceA == null) - (priceB == null);
+        return sort === 'price_asc' ? priceA - priceB : priceB - priceA;
+      }
+      case 'name':
+        return String(a.name || '').localeCompare(String(b.name || ''));
+      default:
+        return (b.relevance ? b.relevance.score : 0) - (a.relevance ? a.relevance.score : 0);
+    }
+  }
+
+  count(results) {
+    const tally = (values) => {
+      const counts = new Map();
+      for (const value of values) {
+        if (value) counts.set(value, (counts.get(value) || 0) + 1);
+      }
+      return Array.from(counts.entries())
+        .map(([value, count]) => ({ value, count }))
+        .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+    };
+
+    const supplierName = (id) => {
+      const adapter = this.registry && this.registry.get(id);
+      return adapter ? adapter.name : id;
+    };
+    const prices = results.map(result => comparablePrice(result)).filter(price => price != null);
+
+    return {
+      suppliers: tally(results.map(result => result.supplier)).map(entry => ({ ...entry, label: supplierName(entry.value) })),
+      manufacturers: tally(results.map(result => result.manufacturer)),
+      categories: tally(results.map(result => result.category)),
+      inStock: { count: results.filter(result => result.inStock === true).length },
+      price: prices.length > 0 ? { min: Math.min(...prices), max: Math.max(...prices) } : null,
+      total: results.length
+    };
+  }
+}
+
+ResultFacets.SORTS = SORTS;
+
+module.exports = ResultFacets;
@@ -0,0 +1,149 @@
+// Scores every search result against the query the user typed and the query
+// that was sent to suppliers, so results from different suppliers can be
+// ordered on one scale.
+//
+// Signals (each 0-1, combined by weight):
+//   partNumber - a part number in the query is the result's item, manufacturer
+//                or canonical part number (or at least appears in its name)
+//   tokens     - share of the query's words found in the result name
+//   attributes - share of the query's spec attributes the name confirms
+//   price      - the result has a price we could read
+//   stock      - the supplier shows it in stock
+//
+// Signals that don't apply (no part number or no attributes in the query) are
+// left out and the rest re-weighted, so scores stay comparable across queries.
+// `confidence` on each result is the final score; `relevance.breakdown` shows
+// how it was reached.
+
+const DEFAULT_WEIGHTS = {
+  partNumber: 0.35,
+  tokens: 0.25,
+  attributes: 0.2,
+  price: 0.1,
+  stock: 0.1
+};
+
+const STOPWORDS = new Set(['a', 'an', 'and', 'the', 'for', 'with', 'of', 'in', 'to', 'x', 'replacement']);
+
+class ResultRanker {
+  constructor({ weights = {}, partNormalizer = null, attributeParser = null } = {}) {
+    this.weights = { ...DEFAULT_WEIGHTS, ...weights };
+    this.partNormalizer = partNormalizer;
+    this.attributeParser = attributeParser;
+  }
+
+  normalizePart(value) {
+    return String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  }
+
+  tokenize(text) {
+    return String(text || '')
+      .toLowerCase()
+      .split(/[^a-z0-9.\/-]+/)
+      .map(token => token.replace(/^[-.\/]+|[-.\/]+$/g, ''))
+      .filter(token => token.length > 1 && !STOPWORDS.has(token));
+  }
+
+  // Query words that look like part numbers ("6203-2Z", "1ZGB9"), plus the
+  // canonical designation when the normalizer recognizes one. Spec values
+  // ("1725 rpm", "M8x1.25") are attributes, not part numbers.
+  partNumbers(query) {
+    const candidates = new Set();
+    const text = this.attributeParser ? this.attributeParser.extract(query).remainder : query;
+
+    for (const token of String(text || '').split(/\s+/)) {
+      const normalized = this.normalizePart(token);
+      if (normalized.length >= 4 && /\d/.test(normalized)) {
+        candidates.add(normalized);
+      }
+    }
+
+    const parsed = this.partNormalizer && this.partNormalizer.parse(query);
+    if (parsed) candidates.add(this.normalizePart(parsed.canonical));
+
+    return [...candidates];
+  }
+
+  // What the ranker needs from a query, worked out once per search
+  prepare({ query = '', originalQuery = '', attributes = {} } = {}) {
+    return {
+      partNumbers: [...new Set([...this.partNumbers(originalQuery), ...this.partNumbers(query)])],
+      queryTokens: [originalQuery, query].filter(Boolean).map(text => [...new Set(this.tokenize(text))]),
+      hasAttributes: Object.keys(attributes || {}).length > 0
+    };
+  }
+
+  partNumberSignal(result, partNumbers) {
+    const identifiers = [result.partNumber, result.manufacturerPartNumber].map(value => this.normalizePart(value));
+    const canonical = this.normalizePart(result.canonicalPart);
+    const name = this.normalizePart(result.name);
+
+    let best = 0;
+    for (const wanted of partNumbers) {
+      if (identifiers.includes(wanted)) return 1;
+      if (canonical && canonical === wanted) best = Math.max(best, 0.9);
+      else if (name.includes(wanted)) best = Math.max(best, 0.6);
+    }
+    return best;
+  }
+
+  // Best overlap of either query with the name, so an enhanced query that
+  // added words ("bearing") doesn't drag down results matching what was typed.
+  // A query word also counts when a name word extends it ("6203" in "6203-2z").
+  tokenSignal(result, queryTokens) {
+    const nameTokens = this.tokenize(result.name);
+    const inName = (token) => nameTokens.some(nameToken =>
+      nameToken === token || (nameToken.startsWith(token) && /^[-\/]/.test(nameToken.slice(token.length)))
+    );
+    let best = 0;
+
+    for (const tokens of queryTokens) {
+      if (tokens.length === 0) continue;
+      const found = tokens.filter(inName).length;
+      best = Math.max(best, found / tokens.length);
+    }
+    return Math.round(best * 100) / 100;
+  }
+
+  score(result, prepared) {
+    const signals = {
+      partNumber: prepared.partNumbers.length > 0 ? this.partNumberSignal(result, prepared.partNumbers) : null,
+      tokens: this.tokenSignal(result, prepared.queryTokens),
+      attributes: prepared.hasAttributes && result.attributeMatch ? result.attributeMatch.score : null,
+      price: result.price != null ? 1 : 0,
+      stock: result.inStock === true ? 1 : 0
+    };
+
+    const breakdown = {};
+    let total = 0;
+    let weightUsed = 0;
+
+    for (const [signal, value] of Object.entries(signals)) {
+      const weight = this.weights[signal] || 0;
+      breakdown[signal] = { value, weight: value === null ? 0 : weight };
+      if (value === null) continue;
+      total += value * weight;
+      weightUsed += weight;
+    }
+
+    const score = weightUsed > 0 ? Math.round((total / weightUsed) * 1000) / 1000 : 0;
+    return { score, breakdown };
+  }
+
+  // Results annotated with `confidence` and `relevance`, best first. The sort
+  // is stable so equal scores keep the suppliers' own order.
+  rank(results, context) {
+    const prepared = context.partNumbers ? context : this.prepare(context);
+
+    return results
+      .map(result => {
+        const relevance = this.score(result, prepared);
+        return { ...result, confidence: relevance.score, relevance };
+      })
+      .sort((a, b) => b.relevance.score - a.relevance.score);
+  }
+}
+
+ResultRanker.DEFAULT_WEIGHTS = DEFAULT_WEIGHTS;
+
+module.exports = ResultRanker;
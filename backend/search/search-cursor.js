@@ -0,0 +1,137 @@
+const crypto = require('crypto');
+const ResultFacets = require('./result-facets');
+
+// Opaque pagination cursors for /api/search.
+//
+// A cursor records the query that produced page one (so later pages skip query
+// enhancement) and, for every supplier, which of its own result pages to read
+// next and how many items of that page were already returned:
+//
+//   { query, originalQuery, suppliers: { grainger: { page: 2, offset: 3 }, mcmaster: { done: true } } }
+//
+// The filters and sort of the search travel with it, since supplier offsets
+// only mean something for the same filtered, sorted pages.
+//
+// It is base64url-encoded JSON plus an HMAC-SHA256 of it and the account it
+// was issued to: base64url(payload) + "." + base64url(signature). Later pages
+// of a paid search are free, so a cursor only works for the account whose
+// search issued it and can't be written by hand. Decoding still checks every
+// field: positions past MAX_PAGE / MAX_OFFSET are clamped rather than sent to
+// the scrapers.
+const CURSOR_VERSION = 2;
+const MAX_PAGE = 50;
+// The largest supplier result page (McMaster's 100)
+const MAX_OFFSET = 100;
+
+class InvalidCursorError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidCursorError';
+  }
+}
+
+function signature(body, { secret, accountId }) {
+  if (!secret || !accountId) {
+    throw new Error('Search cursors need a secret and the account they belong to');
+  }
+  return crypto.createHmac('sha256', secret).update(`${accountId}.${body}`).digest('base64url');
+}
+
+// `signer` is { secret, accountId }
+function encodeCursor({ query, originalQuery, suppliers, filters = {}, sort = 'relevance' }, signer) {
+  const payload = { v: CURSOR_VERSION, query, originalQuery, suppliers, filters, sort };
+  const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${body}.${signature(body, signer)}`;
+}
+
+function isStringList(value) {
+  return Array.isArray(value) && value.every(item => typeof item === 'string');
+}
+
+function isPrice(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+// Filters as ResultFacets.parseFilters builds them
+function validFilters(filters) {
+  if (!filters || typeof filters !== 'object' || Array.isArray(filters)) return false;
+  const { suppliers, manufacturers, categories, inStock, minPrice, maxPrice, ...unknown } = filters;
+  return Object.keys(unknown).length === 0 &&
+    [suppliers, manufacturers, categories].every(list => list === undefined || isStringList(list)) &&
+    (inStock === undefined || inStock === true) &&
+    [minPrice, maxPrice].every(price => price === undefined || isPrice(price));
+}
+
+function clamp(value, min, max) {
+  return Math.min(Math.max(value, min), max);
+}
+
+// `expected` is the signer ({ secret, accountId }) plus what the request
+// itself asks for ({ query, sort }); a cursor from a different search is
+// rejected rather than silently continued
+function decodeCursor(token, { secret, accountId, ...expected } = {}) {
+  const [body, signed] = String(token).split('.');
+  const wanted = Buffer.from(signature(body || '', { secret, accountId }));
+  const actual = Buffer.from(signed || '');
+  if (!body || wanted.length !== actual.length || !crypto.timingSafeEqual(wanted, actual)) {
+    throw new InvalidCursorError('Cursor is not valid for this account');
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new InvalidCursorError('Cursor is not valid');
+  }
+
+  if (!payload || payload.v !== CURSOR_VERSION) {
+    throw new InvalidCursorError('Cursor is from an unsupported version');
+  }
+  if (typeof payload.query !== 'string' || !payload.query.trim() || !payload.suppliers || typeof payload.suppliers !== 'object' || Array.isArray(payload.suppliers)) {
+    throw new InvalidCursorError('Cursor is missing its query or supplier positions');
+  }
+  if (payload.originalQuery !== undefined && typeof payload.originalQuery !== 'string') {
+    throw new InvalidCursorError('Cursor has an invalid original query');
+  }
+
+  const sort = payload.sort === undefined ? 'relevance' : payload.sort;
+  if (!ResultFacets.SORTS.includes(sort)) {
+    throw new InvalidCursorError('Cursor has an unknown sort');
+  }
+  const filters = payload.filters === undefined ? {} : payload.filters;
+  if (!validFilters(filters)) {
+    throw new InvalidCursorError('Cursor has invalid filters');
+  }
+
+  const suppliers = {};
+  for (const [supplier, position] of Object.entries(payload.suppliers)) {
+    if (position && position.done === true) {
+      suppliers[supplier] = { done: true };
+      continue;
+    }
+    if (!position || !Number.isInteger(position.page) || !Number.isInteger(position.offset)) {
+      throw new InvalidCursorError(`Cursor has an invalid position for ${supplier}`);
+    }
+    suppliers[supplier] = {
+      page: clamp(position.page, 1, MAX_PAGE),
+      offset: clamp(position.offset, 0, MAX_OFFSET)
+    };
+  }
+
+  const originalQuery = payload.originalQuery || payload.query;
+  const sameText = (a, b) => a.trim().toLowerCase().replace(/\s+/g, ' ') === String(b).trim().toLowerCase().replace(/\s+/g, ' ');
+  if (expected.query && !sameText(originalQuery, expected.query) && !sameText(payload.query, expected.query)) {
+    throw new InvalidCursorError('Cursor belongs to a different query');
+  }
+  if (expected.sort && expected.sort !== sort) {
+    throw new InvalidCursorError('Cursor belongs to a different sort order');
+  }
+
+  return { query: payload.query, originalQuery, suppliers, filters, sort };
+}
+
+module.exports = {
+  InvalidCursorError,
+  encodeCursor,
+  decodeCursor
+};
@@ -1,13 +1,51 @@
+const path = require('path');
 const express = require('express');
 const cors = require('cors');
-const axios = require('axios');
-const cheerio = require('cheerio');
 const rateLimit = require('express-rate-limit');
-const puppeteer = require('puppeteer');
+const multer = require('multer');
 
-// Import specialized scrapers
-const GraingerPriceScraper = require('./scrapers/grainger-scraper');
+// Import scrapers and supplier adapters
+const ProductScraper = require('./scrapers/product-scraper');
+const FixtureStore = require('./scrapers/fixture-store');
+const ScraperHealthMonitor = require('./scrapers/scraper-health');
+const BrowserPool = require('./scrapers/browser-pool');
+const SupplierRegistry = require('./scrapers/supplier-registry');
+const SupplierSearch = require('./scrapers/supplier-search');
 const LLMSearchEnhancer = require('./scrapers/llm-search-enhancer');
+const SearchCache = require('./cache/search-cache');
+const MemoryStore = require('./cache/memory-store');
+const FileStore = require('./cache/file-store');
+const PartGrouper = require('./search/part-grouper');
+const PartNormalizer = require('./search/part-normalizer');
+const QueryAttributeParser = require('./search/query-attributes');
+const ResultRanker = require('./search/result-ranker');
+const ResultFacets = require('./search/result-facets');
+const { encodeCursor, decodeCursor } = require('./search/search-cursor');
+const PriceHistory = require('./history/price-history');
+const WatchStore = require('./watches/watch-store');
+const { WatchValidationError } = require('./watches/watch-store');
+const WatchScheduler = require('./watches/watch-scheduler');
+const NotificationChannels = require('./watches/notification-channels');
+const { WebhookChannel, LogChannel, FileChannel } = require('./watches/notification-channels');
+const BomSearch = require('./bom/bom-search');
+const { BomValidationError } = require('./bom/bom-search');
+const BomSpreadsheet = require('./bom/bom-spreadsheet');
+const QuoteStore = require('./quotes/quote-store');
+const { QuoteValidationError } = require('./quotes/quote-store');
+const QuoteDocument = require('./quotes/quote-document');
+const ListStore = require('./lists/list-store');
+const { ListValidationError } = require('./lists/list-store');
+const EquipmentRegistry = require('./equipment/equipment-registry');
+const { EquipmentValidationError } = require('./equipment/equipment-registry');
+const AccountStore = require('./accounts/account-store');
+const { AccountValidationError, AuthError } = require('./accounts/account-store');
+const CreditLedger = require('./accounts/credit-ledger');
+const { InsufficientCreditsError } = require('./accounts/credit-ledger');
+const SessionTokens = require('./accounts/session-tokens');
+const requireAuth = require('./accounts/require-auth');
+const { PLANS, planFor } = require('./accounts/plans');
+const UsageMeter = require('./usage/usage-meter');
+const { QuotaExceededError } = require('./usage/usage-meter');
 
 const app = express();
 app.set('trust proxy', true);
@@ -28,544 +66,1746 @@ app.use(cors({
       : ['http://localhost:3000', 'http://localhost:3001']
   ].flat(),
   credentials: true,
-  methods: ['GET', 'POST', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'Accept']
+  methods: ['GET', 'POST', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'Accept', 'X-API-Key']
 }));
-app.use(express.json());
+// Priced BOMs sent back for export can be a few hundred KB
+app.use(express.json({ limit: '1mb' }));
 
-// Rate limiting - production ready
-const limiter = rateLimit({
+// Sign-in and sign-up are the only routes without an account to meter, so
+// they keep a per-IP limit against password guessing
+const authLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 30, // 30 requests per window
   message: { error: 'Too many requests, please try again later' },
   standardHeaders: true,
   legacyHeaders: false
 });
-app.use('/api', limiter);
-
-// Enhanced scraping configurations
-const SCRAPING_CONFIG = {
-  timeout: 30000,
-  maxRetries: 2,
-  retryDelay: 3000,
-  userAgents: [
-    'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-    'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-    'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:121.0) Gecko/20100101 Firefox/121.0',
-    'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
+app.use(['/api/auth/login', '/api/auth/register'], authLimiter);
+
+// Accounts, sessions and the credit ledger. Every /api route except these
+// needs a signed-in account.
+const accountStore = new AccountStore({
+  filePath: process.env.ACCOUNTS_FILE || path.join(__dirname, 'data', 'accounts.json')
+});
+const creditLedger = new CreditLedger({
+  filePath: process.env.CREDIT_LEDGER_FILE || path.join(__dirname, 'data', 'credit-ledger.json'),
+  accounts: accountStore,
+  dedupeWindowMs: (parseInt(process.env.SEARCH_CREDIT_WINDOW_MINUTES) || 10) * 60 * 1000
+});
+const sessionTokens = new SessionTokens({
+  secret: process.env.AUTH_TOKEN_SECRET || null,
+  ttlSeconds: (parseInt(process.env.AUTH_SESSION_DAYS) || 7) * 24 * 60 * 60
+});
+app.use('/api', requireAuth({
+  tokens: sessionTokens,
+  accounts: accountStore,
+  publicPaths: ['/health', '/auth/register', '/auth/login']
+}));
+
+// Usage quotas per account and plan (see accounts/plans.js). Every API call
+// draws on the per-minute `requests` quota; searches, BOM lines and LLM calls
+// draw on their own meters in the routes that make them.
+const usageMeter = new UsageMeter({
+  filePath: process.env.USAGE_FILE || path.join(__dirname, 'data', 'usage.json')
+});
+const USAGE_COSTS = UsageMeter.ENDPOINT_COSTS;
+
+function usageContext(req, endpoint) {
+  return { endpoint, apiKeyId: req.apiKey ? req.apiKey.id : null };
+}
+
+// Draw on the signed-in account's quotas, or answer 429 and return null when
+// one is used up
+async function meterUsage(req, res, costs, endpoint) {
+  try {
+    return await usageMeter.consume(req.account, costs, usageContext(req, endpoint));
+  } catch (error) {
+    if (!(error instanceof QuotaExceededError)) throw error;
+    sendQuotaExceeded(req, res, error);
+    return null;
+  }
+}
+
+function quotaExceededResponse(error) {
+  return {
+    error: error.message,
+    code: 'quota_exceeded',
+    quota: error.quota,
+    plan: error.plan,
+    timestamp: new Date().toISOString()
+  };
+}
+
+// EventSource can't read error statuses, so streams get the body as an
+// "error" event instead
+function sendQuotaExceeded(req, res, error) {
+  if ((req.get('Accept') || '').includes('text/event-stream')) {
+    res.set('Content-Type', 'text/event-stream');
+    res.write(`event: error\ndata: ${JSON.stringify(quotaExceededResponse(error))}\n\n`);
+    return res.end();
+  }
+
+  const retryAfter = Math.ceil((Date.parse(error.quota.resetsAt) - Date.now()) / 1000);
+  res.set('Retry-After', String(Math.max(1, retryAfter)));
+  res.status(429).json(quotaExceededResponse(error));
+}
+
+// The allowLLMCall hook for LLMSearchEnhancer: each LLM call draws on the
+// llmCalls quota, and once that's used up the search goes on without one
+function llmQuota(req, endpoint) {
+  const quota = { skipped: false };
+  quota.allowLLMCall = async () => {
+    const allowed = await usageMeter.tryConsume(req.account, USAGE_COSTS.llmCall, usageContext(req, endpoint));
+    if (!allowed) quota.skipped = true;
+    return allowed;
+  };
+  return quota;
+}
+
+// A search that no supplier had to be asked for live (all answered from the
+// cache) doesn't count against the searches quota
+function servedFromCache(supplierStatus) {
+  const answered = Object.values(supplierStatus).filter(status => status && !status.skipped && !status.exhausted);
+  return answered.length > 0 && answered.every(status => status.fromCache);
+}
+
+app.use('/api', async (req, res, next) => {
+  if (!req.account) return next();
+  try {
+    if (await meterUsage(req, res, { requests: 1 }, req.path.split('/')[1])) next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Debit the signed-in account, or answer 402 and return null when it can't pay
+async function chargeCredits(req, res, amount, { reason, detail, dedupeKey }) {
+  try {
+    return await creditLedger.debit(req.account.id, amount, { reason, detail, dedupeKey });
+  } catch (error) {
+    if (!(error instanceof InsufficientCreditsError)) throw error;
+    res.status(402).json(insufficientCreditsResponse(error));
+    return null;
+  }
+}
+
+function insufficientCreditsResponse(error) {
+  return {
+    error: error.message,
+    code: 'insufficient_credits',
+    credits: { balance: error.balance, needed: error.needed },
+    timestamp: new Date().toISOString()
+  };
+}
+
+// The same query (ignoring case and spacing) is charged once per window
+function searchDedupeKey(query) {
+  return `search:${String(query).trim().toLowerCase().replace(/\s+/g, ' ')}`;
+}
+
+// Search cache configuration
+// SEARCH_CACHE_SUPPLIER_TTLS overrides the TTL per supplier, e.g. "grainger=600,mcmaster=3600"
+function parseSupplierTtls(value) {
+  return (value || '').split(',').reduce((ttls, pair) => {
+    const [supplier, seconds] = pair.split('=').map(part => part && part.trim());
+    if (supplier && !isNaN(parseInt(seconds))) {
+      ttls[supplier] = parseInt(seconds);
+    }
+    return ttls;
+  }, {});
+}
+
+// "partNumber=0.5,stock=0.05" -> { partNumber: 0.5, stock: 0.05 }, for tuning the ranker
+function parseRankingWeights(value) {
+  return (value || '').split(',').reduce((weights, pair) => {
+    const [signal, weight] = pair.split('=').map(part => part && part.trim());
+    if (signal && !isNaN(parseFloat(weight))) {
+      weights[signal] = parseFloat(weight);
+    }
+    return weights;
+  }, {});
+}
+
+function createSearchCache() {
+  const store = process.env.SEARCH_CACHE_STORE === 'file'
+    ? new FileStore({ filePath: process.env.SEARCH_CACHE_FILE || path.join(__dirname, 'data', 'search-cache.json') })
+    : new MemoryStore({ maxEntries: parseInt(process.env.SEARCH_CACHE_MAX_ENTRIES) || 500 });
+
+  return new SearchCache({
+    store,
+    ttlSeconds: parseInt(process.env.SEARCH_CACHE_TTL_SECONDS) || 900,
+    staleSeconds: parseInt(process.env.SEARCH_CACHE_STALE_SECONDS) || 3600,
+    supplierTtls: parseSupplierTtls(process.env.SEARCH_CACHE_SUPPLIER_TTLS)
+  });
+}
+
+// Initialize scrapers
+// Start with --record / --replay (or SCRAPER_FIXTURES=record|replay) to
+// capture supplier pages or serve them back without network access
+const fixtures = FixtureStore.fromEnvironment();
+const scraperHealth = new ScraperHealthMonitor({
+  windowSize: parseInt(process.env.SCRAPER_HEALTH_WINDOW) || 20
+});
+// Every scraper shares one Chrome; BROWSER_POOL_SIZE caps pages open at once
+const browserPool = new BrowserPool({
+  maxConcurrency: parseInt(process.env.BROWSER_POOL_SIZE) || 3,
+  recycleAfterPages: parseInt(process.env.BROWSER_RECYCLE_PAGES) || 200,
+  recycleAfterMs: (parseInt(process.env.BROWSER_RECYCLE_MINUTES) || 30) * 60 * 1000
+});
+const productScraper = new ProductScraper({ fixtures, health: scraperHealth, browserPool });
+// PART_XREF_DIR adds a directory of cross-reference tables on top of the bundled ones
+const partNormalizer = new PartNormalizer({
+  dataDirs: [
+    path.join(__dirname, 'search', 'cross-reference'),
+    ...(process.env.PART_XREF_DIR ? [path.resolve(process.env.PART_XREF_DIR)] : [])
   ]
-};
-
-// Supplier configurations (excluding Grainger - handled by specialized scraper)
-const SUPPLIERS = {
-  mcmaster: {
-    baseUrl: 'https://www.mcmaster.com',
-    searchPath: '/search',
-    selectors: {
-      productContainer: [
-        '.ProductTableRow',
-        'tr[data-testid="product-row"]',
-        '.product-row'
-      ],
-      partNumber: [
-        '.PartNumber',
-        '.part-number',
-        'td:first-child'
-      ],
-      productName: [
-        '.ProductDescription',
-        '.description',
-        'td:nth-child(2)'
-      ],
-      price: [
-        '.Price',
-        '.price',
-        '.cost'
-      ]
+});
+// Spec attributes in queries (M8x1.25, 17mm bore, 316 SS, 1/2 hp) filter and order results
+const queryAttributes = new QueryAttributeParser();
+const llmEnhancer = new LLMSearchEnhancer({ partNormalizer, attributeParser: queryAttributes });
+// SUPPLIERS_ENABLED / SUPPLIERS_DISABLED (comma-separated ids) pick which
+// supplier adapters are searched
+const suppliers = SupplierRegistry.fromEnvironment({ productScraper, fixtures, health: scraperHealth, browserPool }).discover();
+const searchCache = createSearchCache();
+const partGrouper = new PartGrouper();
+// Every live price we scrape, per supplier + part
+const priceHistory = new PriceHistory({
+  filePath: process.env.PRICE_HISTORY_FILE || path.join(__dirname, 'data', 'price-history.json'),
+  minIntervalMs: (parseInt(process.env.PRICE_HISTORY_INTERVAL_MINUTES) || 60) * 60 * 1000
+});
+const supplierSearch = new SupplierSearch(suppliers, llmEnhancer, {
+  cache: searchCache,
+  partNormalizer,
+  priceHistory,
+  attributeParser: queryAttributes,
+  facets: new ResultFacets({ registry: suppliers, partNormalizer }),
+  ranker: new ResultRanker({ partNormalizer, attributeParser: queryAttributes, weights: parseRankingWeights(process.env.RANKING_WEIGHTS) }),
+  breakerOptions: {
+    failureThreshold: parseInt(process.env.SUPPLIER_FAILURE_THRESHOLD) || 3,
+    cooldownMs: (parseInt(process.env.SUPPLIER_COOLDOWN_SECONDS) || 300) * 1000
+  }
+});
+
+// Price and stock watches. Alerts go to WATCH_NOTIFY_CHANNEL (webhook, log or
+// file) unless a watch names its own channel.
+const watchStore = new WatchStore({
+  filePath: process.env.WATCHES_FILE || path.join(__dirname, 'data', 'watches.json')
+});
+const webhookChannel = new WebhookChannel({
+  url: process.env.WATCH_WEBHOOK_URL || null,
+  allowedHosts: (process.env.WATCH_WEBHOOK_ALLOWED_HOSTS || '').split(',')
+});
+const notificationChannels = new NotificationChannels({ defaultChannel: process.env.WATCH_NOTIFY_CHANNEL || 'webhook' })
+  .register('webhook', webhookChannel)
+  .register('log', new LogChannel())
+  .register('file', new FileChannel({
+    filePath: process.env.WATCH_NOTIFY_FILE || path.join(__dirname, 'data', 'watch-notifications.jsonl')
+  }));
+const watchScheduler = new WatchScheduler({
+  store: watchStore,
+  registry: suppliers,
+  supplierSearch,
+  channels: notificationChannels,
+  // Scheduled checks draw on the owner's searches quota like manual ones
+  allowCheck: async (watch) => {
+    const owner = watch.ownerId && await accountStore.get(watch.ownerId);
+    return !!owner && usageMeter.tryConsume(owner, USAGE_COSTS.search, { endpoint: 'watch-schedule' });
+  },
+  intervalMs: (parseInt(process.env.WATCH_CHECK_INTERVAL_MINUTES) || 60) * 60 * 1000
+});
+
+// Bulk pricing for bills of materials
+const bomSearch = new BomSearch({
+  llmEnhancer,
+  supplierSearch,
+  partGrouper,
+  attributeParser: queryAttributes,
+  registry: suppliers,
+  concurrency: parseInt(process.env.BOM_CONCURRENCY) || 3,
+  maxLines: parseInt(process.env.BOM_MAX_LINES) || 100
+});
+const bomSpreadsheet = new BomSpreadsheet({ registry: suppliers });
+const bomUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: (parseInt(process.env.BOM_UPLOAD_MAX_KB) || 2048) * 1024, files: 1 }
+}).single('file');
+
+// Stored RFQs and their printable per-supplier documents
+const quoteStore = new QuoteStore({
+  filePath: process.env.QUOTES_FILE || path.join(__dirname, 'data', 'quotes.json')
+});
+const quoteDocument = new QuoteDocument();
+
+// Saved part lists / job kits, re-priced through the BOM search
+const listStore = new ListStore({
+  filePath: process.env.LISTS_FILE || path.join(__dirname, 'data', 'lists.json')
+});
+
+// The site's equipment and the parts linked to it, shown on result cards
+const equipmentRegistry = new EquipmentRegistry({
+  filePath: process.env.EQUIPMENT_FILE || path.join(__dirname, 'data', 'equipment.json')
+});
+
+async function closeScrapers() {
+  watchScheduler.stop();
+  await suppliers.closeAll();
+  await browserPool.close();
+}
+
+// Lets queued store writes land before the process exits. Usage is written
+// in batches on a timer, so its pending batch is written out now.
+async function flushStores() {
+  const stores = [accountStore, creditLedger, priceHistory, watchStore, quoteStore, listStore, equipmentRegistry];
+  await Promise.all([
+    usageMeter.flush(),
+    ...stores.map(store => store.file.flush())
+  ]).catch(error => {
+    console.error('❌ Failed to save data on shutdown:', error.message);
+  });
+}
+
+// Cleanup on exit
+process.on('SIGTERM', async () => {
+  console.log('Received SIGTERM, closing browsers and saving data...');
+  await closeScrapers();
+  await flushStores();
+  process.exit(0);
+});
+
+process.on('SIGINT', async () => {
+  console.log('Received SIGINT, closing browsers and saving data...');
+  await closeScrapers();
+  await flushStores();
+  process.exit(0);
+});
+
+// API Routes
+
+const MAX_PAGE_SIZE = 50;
+
+// `pageSize` (or the older `limit`) results per page, capped at MAX_PAGE_SIZE
+function parsePageSize({ pageSize, limit }) {
+  const size = parseInt(pageSize || limit) || 10;
+  return Math.min(Math.max(size, 1), MAX_PAGE_SIZE);
+}
+
+// Filters and sort order from the query string:
+//   supplier, manufacturer, category (comma-separated), inStock=true,
+//   minPrice, maxPrice, sort=relevance|price_asc|price_desc|name
+// Returns null for an unknown sort.
+function parseSearchView(params) {
+  const sort = params.sort || 'relevance';
+  if (!ResultFacets.SORTS.includes(sort)) return null;
+  return { filters: ResultFacets.parseFilters(params), sort };
+}
+
+// Cursors are signed with the session secret for the account whose search
+// issued them (see search/search-cursor.js)
+function cursorSigner(account) {
+  return { secret: sessionTokens.secret, accountId: account.id };
+}
+
+function nextCursorFor(searchResult, next, { filters, sort }, account) {
+  return next
+    ? encodeCursor({ query: searchResult.query, originalQuery: searchResult.originalQuery, suppliers: next, filters, sort }, cursorSigner(account))
+    : null;
+}
+
+// Response bodies shared by /api/search and the final event of /api/search/stream.
+// `view` is { facets, filters, sort } for the page.
+function noResultsResponse(searchResult, supplierStatus, skippedSuppliers, view) {
+  return {
+    message: ResultFacets.hasFilters(view.filters) ? 'No parts match the selected filters' : 'No parts found',
+    query: searchResult.query,
+    originalQuery: searchResult.originalQuery,
+    enhancementMethod: searchResult.method,
+    crossReference: searchResult.crossReference || null,
+    attributes: searchResult.attributes || {},
+    facets: view.facets,
+    filters: view.filters,
+    sort: view.sort,
+    suppliers: supplierStatus,
+    skippedSuppliers,
+    suggestions: searchResult.suggestions || [
+      'Try a more specific part number',
+      'Check spelling',
+      'Use manufacturer part numbers when possible',
+      'Try broader search terms'
+    ],
+    timestamp: new Date().toISOString()
+  };
+}
+
+// The account's assets, and those `query` names. `searchTerms` is what
+// smartSearch takes as `equipment`.
+async function siteEquipment(account, query) {
+  const assets = (await equipmentRegistry.list()).filter(asset => ownedBy(asset, account));
+  const matched = equipmentRegistry.matchQuery(query, assets);
+  return {
+    assets,
+    matched,
+    searchTerms: matched.map(asset => ({ name: asset.name, parts: equipmentRegistry.searchTerms(asset) }))
+  };
+}
+
+// Marks each part with the assets it's linked to, and lists the assets the
+// query itself names along with their linked parts
+function withEquipment(body, equipment) {
+  return {
+    ...body,
+    ...(body.parts && {
+      parts: body.parts.map(part => ({ ...part, equipment: equipmentRegistry.compatibility(part, equipment.assets) }))
+    }),
+    equipmentMatches: equipment.matched.map(({ ownerId, ...asset }) => asset)
+  };
+}
+
+function searchResponse(searchResult, supplierStatus, skippedSuppliers, { pageSize, nextCursor, facets, filters, sort }) {
+  // One entry per physical part, with an offer from each supplier carrying it
+  const parts = partGrouper.group(searchResult.results);
+
+  return {
+    results: searchResult.results,
+    parts,
+    partCount: parts.length,
+    query: searchResult.query,
+    originalQuery: searchResult.originalQuery,
+    enhancementMethod: searchResult.method,
+    confidence: searchResult.confidence,
+    crossReference: searchResult.crossReference || null,
+    attributes: searchResult.attributes || {},
+    facets,
+    filters,
+    sort,
+    resultCount: searchResult.results.length,
+    timestamp: new Date().toISOString(),
+    searchMethod: 'llm_enhanced_scraping',
+    suppliersSearched: suppliers.ids(),
+    suppliers: supplierStatus,
+    skippedSuppliers,
+    pageSize,
+    nextCursor,
+    hasMore: !!nextCursor
+  };
+}
+
+// Enhanced search endpoint with LLM integration.
+// Pass the returned `nextCursor` back as `cursor` to get the next page; later
+// pages reuse the query chosen for page one instead of enhancing again.
+// Filters and sort (see parseSearchView) are fixed by the cursor once paging.
+app.get('/api/search', async (req, res) => {
+  const { q: query, cursor } = req.query;
+  const pageSize = parsePageSize(req.query);
+  
+  if (!cursor && (!query || query.trim().length < 2)) {
+    return res.status(400).json({ 
+      error: 'Query parameter must be at least 2 characters',
+      example: '/api/search?q=6203%20bearing'
+    });
+  }
+
+  let position = null;
+  if (cursor) {
+    try {
+      position = decodeCursor(cursor, { ...cursorSigner(req.account), query, sort: req.query.sort });
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid cursor',
+        message: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  const view = position ? { filters: position.filters, sort: position.sort } : parseSearchView(req.query);
+  if (!view) {
+    return res.status(400).json({
+      error: `sort must be one of: ${ResultFacets.SORTS.join(', ')}`,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  console.log(position
+    ? `🔍 Next page for: "${position.query}"`
+    : `🔍 LLM-enhanced search: "${query}"`);
+
+  // Every page that reaches a supplier counts against the search quota (it's
+  // given back below when the cache served it). Later pages are not charged
+  // credits again: the signed cursor proves page one was paid for.
+  const searchUsage = await meterUsage(req, res, USAGE_COSTS.search, position ? 'search-page' : 'search');
+  if (!searchUsage) return;
+  const charge = position
+    ? { charged: 0, balance: req.account.credits, entry: null }
+    : await chargeCredits(req, res, 1, { reason: 'search', detail: { query }, dedupeKey: searchDedupeKey(query) });
+  if (!charge) {
+    usageMeter.release(searchUsage);
+    return;
+  }
+  const credits = { charged: charge.charged, balance: charge.balance };
+  const llm = llmQuota(req, 'search');
+  
+  try {
+    // Keep the per-supplier cache status and paging positions of whichever
+    // attempt produced the final results
+    let supplierStatus = {};
+    let skippedSuppliers = [];
+    let next = null;
+    let facets = null;
+    let fetchedLive = false;
+    // Attributes come from what the user typed, whichever query is sent to suppliers
+    const originalQuery = position ? position.originalQuery : query;
+    const attributes = queryAttributes.parse(originalQuery);
+    const equipment = await siteEquipment(req.account, originalQuery);
+    const searchPage = async (searchQuery) => {
+      const page = await supplierSearch.searchSuppliers(searchQuery, pageSize, {
+        cursor: position,
+        attributes,
+        originalQuery,
+        ...view
+      });
+      supplierStatus = page.suppliers;
+      skippedSuppliers = page.skipped;
+      facets = page.facets;
+      next = page.next;
+      if (!servedFromCache(page.suppliers)) fetchedLive = true;
+      return page.results;
+    };
+
+    const searchResult = position
+      ? {
+        results: await searchPage(position.query),
+        query: position.query,
+        originalQuery: position.originalQuery,
+        method: 'cursor',
+        confidence: null,
+        attributes
+      }
+      // Use LLM enhancer for intelligent search on the first page
+      : await llmEnhancer.smartSearch(query, searchPage, { allowLLMCall: llm.allowLLMCall, equipment: equipment.searchTerms });
+
+    if (!fetchedLive) usageMeter.release(searchUsage);
+    const usage = { searchCounted: fetchedLive, llmSkipped: llm.skipped };
+    
+    // Running off the end of a cursor is an empty page, not a miss
+    if (searchResult.results.length === 0 && !position) {
+      return res.status(404).json({
+        ...withEquipment(noResultsResponse(searchResult, supplierStatus, skippedSuppliers, { facets, ...view }), equipment),
+        credits,
+        usage
+      });
+    }
+
+    res.json({
+      ...withEquipment(searchResponse(searchResult, supplierStatus, skippedSuppliers, {
+        pageSize,
+        nextCursor: nextCursorFor(searchResult, next, view, req.account),
+        facets,
+        ...view
+      }), equipment),
+      credits,
+      usage
+    });
+    
+  } catch (error) {
+    console.error('❌ Search API error:', error);
+    usageMeter.release(searchUsage);
+    const refund = await creditLedger.refund(charge.entry);
+    res.status(500).json({ 
+      error: 'Search failed', 
+      message: error.message,
+      query,
+      credits: { charged: 0, balance: refund ? refund.balance : charge.balance },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Streaming search (Server-Sent Events). Events, in order:
+//   enhancement - the enhanced query, suggestions (and `equipmentSuggestions`, the
+//                 parts linked to assets the query names) and cross-reference
+//   attempt     - a query about to be sent to every supplier
+//   supplier    - one supplier's results (or skip reason) as soon as it answers
+//   summary     - the same body /api/search returns (including `nextCursor`
+//                 for /api/search); `found` is false when empty
+//   error       - the search failed; the stream ends after it
+app.get('/api/search/stream', async (req, res) => {
+  const { q: query } = req.query;
+  const pageSize = parsePageSize(req.query);
+
+  if (!query || query.trim().length < 2) {
+    return res.status(400).json({
+      error: 'Query parameter must be at least 2 characters',
+      example: '/api/search/stream?q=6203%20bearing'
+    });
+  }
+
+  const view = parseSearchView(req.query);
+  if (!view) {
+    return res.status(400).json({
+      error: `sort must be one of: ${ResultFacets.SORTS.join(', ')}`,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  // EventSource can't read error statuses, so the 402 (or a failure to
+  // charge at all) is sent as a stream "error" event instead
+  let searchUsage;
+  let charge;
+  try {
+    searchUsage = await meterUsage(req, res, USAGE_COSTS.search, 'search');
+    if (!searchUsage) return;
+    charge = await creditLedger.debit(req.account.id, 1, { reason: 'search', detail: { query }, dedupeKey: searchDedupeKey(query) });
+  } catch (error) {
+    if (searchUsage) usageMeter.release(searchUsage);
+    if (!(error instanceof InsufficientCreditsError)) console.error('❌ Streaming search error:', error);
+    const body = error instanceof InsufficientCreditsError
+      ? insufficientCreditsResponse(error)
+      : { error: 'Search failed', message: error.message, query, timestamp: new Date().toISOString() };
+    res.set('Content-Type', 'text/event-stream');
+    res.write(`event: error\ndata: ${JSON.stringify(body)}\n\n`);
+    return res.end();
+  }
+  const credits = { charged: charge.charged, balance: charge.balance };
+  const llm = llmQuota(req, 'search');
+
+  console.log(`📡 Streaming search: "${query}"`);
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Stop nginx-style proxies from buffering the stream
+  });
+  res.flushHeaders();
+
+  // The search keeps running if the client leaves so the cache still fills
+  let clientGone = false;
+  req.on('close', () => {
+    clientGone = true;
+  });
+
+  const sendEvent = (event, data) => {
+    if (clientGone) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // Comment lines keep idle connections open through proxies while suppliers are slow
+  const heartbeat = setInterval(() => {
+    if (!clientGone) res.write(': keep-alive\n\n');
+  }, 15000);
+
+  try {
+    let supplierStatus = {};
+    let skippedSuppliers = [];
+    let next = null;
+    let facets = null;
+    let attempt = 0;
+    let fetchedLive = false;
+    const attributes = queryAttributes.parse(query);
+    const equipment = await siteEquipment(req.account, query);
+
+    const searchResult = await llmEnhancer.smartSearch(query, async (attemptQuery) => {
+      attempt++;
+      sendEvent('attempt', { attempt, query: attemptQuery, suppliers: suppliers.ids() });
+
+      const page = await supplierSearch.searchSuppliers(attemptQuery, pageSize, {
+        attributes,
+        originalQuery: query,
+        ...view,
+        onSupplier: (supplier, supplierResults, supplierState) => {
+          sendEvent('supplier', { attempt, query: attemptQuery, supplier, results: supplierResults, status: supplierState });
+        }
+      });
+      supplierStatus = page.suppliers;
+      skippedSuppliers = page.skipped;
+      facets = page.facets;
+      next = page.next;
+      if (!servedFromCache(page.suppliers)) fetchedLive = true;
+      return page.results;
+    }, {
+      onEnhancement: (enhancement) => sendEvent('enhancement', enhancement),
+      allowLLMCall: llm.allowLLMCall,
+      equipment: equipment.searchTerms
+    });
+
+    if (!fetchedLive) usageMeter.release(searchUsage);
+    const usage = { searchCounted: fetchedLive, llmSkipped: llm.skipped };
+
+    if (searchResult.results.length === 0) {
+      sendEvent('summary', {
+        found: false,
+        ...withEquipment(noResultsResponse(searchResult, supplierStatus, skippedSuppliers, { facets, ...view }), equipment),
+        credits,
+        usage
+      });
+    } else {
+      sendEvent('summary', {
+        found: true,
+        ...withEquipment(searchResponse(searchResult, supplierStatus, skippedSuppliers, {
+          pageSize,
+          nextCursor: nextCursorFor(searchResult, next, view, req.account),
+          facets,
+          ...view
+        }), equipment),
+        credits,
+        usage
+      });
+    }
+
+  } catch (error) {
+    console.error('❌ Streaming search error:', error);
+    usageMeter.release(searchUsage);
+    const refund = await creditLedger.refund(charge.entry);
+    sendEvent('error', {
+      error: 'Search failed',
+      message: error.message,
+      query,
+      credits: { charged: 0, balance: refund ? refund.balance : charge.balance },
+      timestamp: new Date().toISOString()
+    });
+  } finally {
+    clearInterval(heartbeat);
+    res.end();
+  }
+});
+
+// Query enhancement endpoint (for testing LLM)
+app.get('/api/enhance-query', async (req, res) => {
+  const { q: query } = req.query;
+  
+  if (!query) {
+    return res.status(400).json({ 
+      error: 'Query parameter required',
+      example: '/api/enhance-query?q=bearing'
+    });
+  }
+  
+  try {
+    console.log(`🧠 Testing query enhancement: "${query}"`);
+    const llm = llmQuota(req, 'enhance-query');
+    const enhancement = await llmEnhancer.enhanceSearchQuery(query, { allowLLMCall: llm.allowLLMCall });
+    
+    res.json({
+      originalQuery: query,
+      enhancement,
+      usage: { llmSkipped: llm.skipped },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Query enhancement error:', error);
+    res.status(500).json({ 
+      error: 'Query enhancement failed',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Canonical form and manufacturer equivalents for a part designation
+app.get('/api/parts/cross-reference', (req, res) => {
+  const { q: query } = req.query;
+
+  if (!query) {
+    return res.status(400).json({
+      error: 'Query parameter required',
+      example: '/api/parts/cross-reference?q=6203ZZ'
+    });
+  }
+
+  const crossReference = partNormalizer.expandQuery(query);
+  if (!crossReference) {
+    return res.status(404).json({
+      message: 'No known part designation found',
+      query,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  res.json({
+    query,
+    ...crossReference,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// The Grainger-only routes have nothing to call when grainger is switched off
+// in the supplier config
+function graingerDisabled() {
+  return {
+    error: 'Grainger is not enabled',
+    enabledSuppliers: suppliers.ids(),
+    timestamp: new Date().toISOString()
+  };
+}
+
+// Test endpoint for Grainger scraper specifically
+app.get('/api/test-grainger', async (req, res) => {
+  const { q: query, limit = 5 } = req.query;
+  
+  if (!query) {
+    return res.status(400).json({ 
+      error: 'Query parameter required',
+      example: '/api/test-grainger?q=6203%20bearing'
+    });
+  }
+  
+  const grainger = suppliers.get('grainger');
+  if (!grainger) {
+    return res.status(503).json(graingerDisabled());
+  }
+
+  try {
+    console.log(`🔧 Testing Grainger scraper: "${query}"`);
+    const results = await grainger.search(query, parseInt(limit));
+    
+    res.json({ 
+      results,
+      query,
+      resultCount: results.length,
+      method: 'specialized_grainger_scraper',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Grainger test error:', error);
+    res.status(500).json({ 
+      error: 'Grainger scraper test failed',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Price history for "<supplier>:<partNumber>" (one series) or a bare part
+// number / canonical part (one series per supplier). ?since=ISO_DATE trims the points.
+// Declared before the Grainger route so /api/parts/grainger/price-history lands here.
+app.get('/api/parts/:partKey/price-history', async (req, res) => {
+  const { partKey } = req.params;
+  const { since } = req.query;
+
+  if (since && isNaN(Date.parse(since))) {
+    return res.status(400).json({
+      error: 'since must be an ISO date',
+      example: `/api/parts/${encodeURIComponent(partKey)}/price-history?since=2024-01-01`
+    });
+  }
+
+  try {
+    const series = await priceHistory.find(partKey);
+
+    if (series.length === 0) {
+      return res.status(404).json({
+        message: 'No price history recorded for this part',
+        partKey,
+        hint: 'Prices are recorded as parts appear in live searches',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.json({
+      partKey,
+      series: series.map(entry => priceHistory.summarize(entry, { since })),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Price history error:', error);
+    res.status(500).json({
+      error: 'Price history lookup failed',
+      message: error.message,
+      partKey,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Grainger product detail: quantity breaks, specifications, images, UOM
+app.get('/api/parts/grainger/:itemNumber', async (req, res) => {
+  const { itemNumber } = req.params;
+
+  const grainger = suppliers.get('grainger');
+  if (!grainger) {
+    return res.status(503).json({ ...graingerDisabled(), itemNumber });
+  }
+
+  try {
+    console.log(`🔎 Grainger product detail: "${itemNumber}"`);
+    const detail = await grainger.getDetails(itemNumber);
+
+    if (!detail) {
+      return res.status(404).json({
+        error: 'Grainger item not found',
+        itemNumber,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.json({
+      part: detail,
+      itemNumber,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Grainger detail error:', error);
+    res.status(500).json({
+      error: 'Grainger product detail failed',
+      message: error.message,
+      itemNumber,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Watches: alert when a supplier part drops below / rises above a price,
+// comes back in stock, or changes price
+// Watches, quotes, lists and equipment belong to the account that made them.
+// Records from before accounts existed have no owner and are hidden from
+// everyone until an owner is set on them.
+function ownedBy(record, account) {
+  return !!record && !!record.ownerId && record.ownerId === account.id;
+}
+
+function watchContext() {
+  return { supplierIds: suppliers.ids(), channelTypes: notificationChannels.types() };
+}
+
+// A webhook watch needs a URL from somewhere, and its own URL has to be one
+// the server may call (see WebhookChannel.checkTarget)
+function checkWebhookTarget(notify) {
+  const channel = (notify && notify.channel) || notificationChannels.defaultChannel;
+  if (channel !== 'webhook') return;
+  if (!(notify && notify.url)) {
+    if (!process.env.WATCH_WEBHOOK_URL) {
+      throw new WatchValidationError('notify.url is required for webhook alerts when WATCH_WEBHOOK_URL is not set');
+    }
+    return;
+  }
+
+  try {
+    webhookChannel.checkTarget(notify.url);
+  } catch (error) {
+    throw new WatchValidationError(error.message);
+  }
+}
+
+function sendWatchError(res, error, action) {
+  if (error instanceof WatchValidationError) {
+    return res.status(400).json({ error: error.message, timestamp: new Date().toISOString() });
+  }
+  console.error(`❌ Watch ${action} error:`, error);
+  res.status(500).json({
+    error: `Watch ${action} failed`,
+    message: error.message,
+    timestamp: new Date().toISOString()
+  });
+}
+
+app.get('/api/watches', async (req, res) => {
+  try {
+    const watches = (await watchStore.list()).filter(watch => ownedBy(watch, req.account));
+    res.json({
+      watches,
+      count: watches.length,
+      scheduler: watchScheduler.describe(),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    sendWatchError(res, error, 'list');
+  }
+});
+
+app.post('/api/watches', async (req, res) => {
+  try {
+    const plan = planFor(req.account.plan);
+    const owned = (await watchStore.list()).filter(watch => ownedBy(watch, req.account)).length;
+    if (owned >= plan.maxWatches) {
+      return res.status(403).json({
+        error: `The ${plan.name} plan allows ${plan.maxWatches} watches; delete one to add another`,
+        code: 'watch_limit',
+        limit: plan.maxWatches,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    checkWebhookTarget(req.body.notify);
+    const watch = await watchStore.create({ ...req.body, ownerId: req.account.id }, watchContext());
+    console.log(`👀 New watch: ${watch.label}`);
+
+    res.status(201).json({ watch, timestamp: new Date().toISOString() });
+  } catch (error) {
+    sendWatchError(res, error, 'create');
+  }
+});
+
+app.get('/api/watches/:id', async (req, res) => {
+  try {
+    const watch = await watchStore.get(req.params.id);
+    if (!ownedBy(watch, req.account)) {
+      return res.status(404).json({ error: 'Watch not found', id: req.params.id });
+    }
+    res.json({ watch, timestamp: new Date().toISOString() });
+  } catch (error) {
+    sendWatchError(res, error, 'lookup');
+  }
+});
+
+// Pause/resume (`active`) or change the label, condition or notify settings
+app.patch('/api/watches/:id', async (req, res) => {
+  try {
+    const watch = await watchStore.get(req.params.id);
+    if (!ownedBy(watch, req.account)) {
+      return res.status(404).json({ error: 'Watch not found', id: req.params.id });
+    }
+
+    const changes = {};
+    for (const field of ['label', 'active', 'condition', 'notify']) {
+      if (req.body[field] !== undefined) changes[field] = req.body[field];
+    }
+    if (changes.active !== undefined) changes.active = !!changes.active;
+
+    const merged = { ...watch, ...changes };
+    watchStore.validate(merged, watchContext());
+    checkWebhookTarget(merged.notify);
+
+    // A new condition starts fresh so it can alert straight away
+    if (changes.condition) {
+      changes.condition = changes.condition.threshold != null
+        ? { type: changes.condition.type, threshold: Number(changes.condition.threshold) }
+        : { type: changes.condition.type };
+      changes.conditionMet = null;
+    }
+
+    res.json({ watch: await watchStore.update(watch.id, changes), timestamp: new Date().toISOString() });
+  } catch (error) {
+    sendWatchError(res, error, 'update');
+  }
+});
+
+app.delete('/api/watches/:id', async (req, res) => {
+  try {
+    const removed = ownedBy(await watchStore.get(req.params.id), req.account) && await watchStore.remove(req.params.id);
+    if (!removed) {
+      return res.status(404).json({ error: 'Watch not found', id: req.params.id });
+    }
+    res.json({ deleted: true, id: req.params.id, timestamp: new Date().toISOString() });
+  } catch (error) {
+    sendWatchError(res, error, 'delete');
+  }
+});
+
+// Run one watch's check now instead of waiting for the scheduler. It's a
+// live supplier search, so like /api/search it costs a credit and draws on
+// the searches quota; both are given back when the supplier couldn't be asked.
+app.post('/api/watches/:id/check', async (req, res) => {
+  try {
+    const watch = await watchStore.get(req.params.id);
+    if (!ownedBy(watch, req.account)) {
+      return res.status(404).json({ error: 'Watch not found', id: req.params.id });
+    }
+
+    const checkUsage = await meterUsage(req, res, USAGE_COSTS.search, 'watch-check');
+    if (!checkUsage) return;
+    const charge = await chargeCredits(req, res, 1, { reason: 'watch_check', detail: { watchId: watch.id, label: watch.label } });
+    if (!charge) {
+      usageMeter.release(checkUsage);
+      return;
+    }
+
+    let outcome;
+    try {
+      outcome = await watchScheduler.check(watch);
+    } catch (error) {
+      usageMeter.release(checkUsage);
+      await creditLedger.refund(charge.entry);
+      throw error;
+    }
+
+    const failed = !!outcome.observation.error;
+    if (failed) usageMeter.release(checkUsage);
+    const refund = failed ? await creditLedger.refund(charge.entry) : null;
+
+    res.json({
+      ...outcome,
+      credits: { charged: failed ? 0 : charge.charged, balance: refund ? refund.balance : charge.balance },
+      usage: { searchCounted: !failed },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    sendWatchError(res, error, 'check');
+  }
+});
+
+function sendBomError(res, error, action) {
+  if (error instanceof BomValidationError || error instanceof multer.MulterError) {
+    return res.status(400).json({ error: error.message, timestamp: new Date().toISOString() });
+  }
+  console.error(`❌ BOM ${action} error:`, error);
+  res.status(500).json({
+    error: `BOM ${action} failed`,
+    message: error.message,
+    timestamp: new Date().toISOString()
+  });
+}
+
+// Each BOM line is a search: it costs a credit and draws on both the
+// searches and BOM lines quotas. Lines whose search failed are refunded and
+// given back. Answers 429 or 402 and returns null when the account is over
+// quota or can't pay.
+async function priceBom(req, res, rawLines, detail) {
+  const lines = bomSearch.validate(rawLines);
+  const lineCosts = count => Object.fromEntries(
+    Object.entries(USAGE_COSTS.bomLine).map(([meter, amount]) => [meter, amount * count])
+  );
+
+  const bomUsage = await meterUsage(req, res, lineCosts(lines.length), 'bom');
+  if (!bomUsage) return null;
+  const charge = await chargeCredits(req, res, lines.length, { reason: 'bom_search', detail: { ...detail, lines: lines.length } });
+  if (!charge) {
+    usageMeter.release(bomUsage);
+    return null;
+  }
+
+  const llm = llmQuota(req, 'bom');
+  const result = await bomSearch.search(rawLines, { allowLLMCall: llm.allowLLMCall });
+  const failed = result.lines.filter(line => line.reason === 'error').length;
+  const balance = failed > 0
+    ? (await creditLedger.grant(req.account.id, failed, { reason: 'refund', detail: { entryId: charge.entry.id, lines: failed } })).balance
+    : charge.balance;
+  if (failed > 0) usageMeter.release(bomUsage, lineCosts(failed));
+
+  return {
+    ...result,
+    credits: { charged: charge.charged - failed, balance },
+    usage: { bomLinesCounted: lines.length - failed, llmSkipped: llm.skipped }
+  };
+}
+
+// Price every line of a bill of materials: best offer, alternatives and
+// extended cost per line, plus the BOM total split by supplier
+app.post('/api/bom/search', async (req, res) => {
+  try {
+    const startTime = Date.now();
+    const result = await priceBom(req, res, req.body && req.body.lines, { source: 'api' });
+    if (!result) return;
+
+    res.json({
+      success: true,
+      ...result,
+      responseTime: Date.now() - startTime,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    sendBomError(res, error, 'search');
+  }
+});
+
+// Upload a CSV/XLSX BOM (multipart field "file") and price it. An optional
+// "mapping" field maps partNumber/description/quantity/notes/preferredSupplier
+// to header names or column letters when the headers aren't recognized.
+app.post('/api/bom/import', (req, res) => {
+  bomUpload(req, res, async (uploadError) => {
+    try {
+      if (uploadError) throw uploadError;
+      if (!req.file) {
+        throw new BomValidationError('Attach the spreadsheet as the "file" field');
+      }
+
+      const format = BomSpreadsheet.formatOf(req.file.originalname, req.body.format);
+      if (!format) {
+        throw new BomValidationError(`Unsupported file type; upload one of: ${BomSpreadsheet.FORMATS.join(', ')}`);
+      }
+
+      let mapping = {};
+      if (req.body.mapping) {
+        try {
+          mapping = JSON.parse(req.body.mapping);
+        } catch (error) {
+          throw new BomValidationError('mapping must be a JSON object');
+        }
+      }
+
+      const startTime = Date.now();
+      const imported = await bomSpreadsheet.parse(req.file.buffer, { format, mapping });
+      console.log(`📥 Imported ${imported.lines.length} BOM lines from ${req.file.originalname} (${imported.skipped.length} skipped)`);
+      if (imported.lines.length === 0) {
+        throw new BomValidationError('No usable lines found in the file');
+      }
+
+      const result = await priceBom(req, res, imported.lines, { source: 'import', fileName: req.file.originalname });
+      if (!result) return;
+      res.json({
+        success: true,
+        import: { fileName: req.file.originalname, format, columns: imported.columns, skipped: imported.skipped },
+        ...result,
+        responseTime: Date.now() - startTime,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      sendBomError(res, error, 'import');
+    }
+  });
+});
+
+// Download a priced BOM (the body of a /api/bom/search or /api/bom/import
+// response) as a CSV or XLSX quote
+app.post('/api/bom/export', async (req, res) => {
+  try {
+    const format = BomSpreadsheet.formatOf('', req.query.format || 'xlsx');
+    if (!format) {
+      throw new BomValidationError(`format must be one of: ${BomSpreadsheet.FORMATS.join(', ')}`);
+    }
+    if (!req.body || !Array.isArray(req.body.lines)) {
+      throw new BomValidationError('Send the priced BOM (lines and summary) as the request body');
+    }
+
+    const file = await bomSpreadsheet.export(req.body, format);
+    const stamp = new Date().toISOString().slice(0, 10);
+    res.set({
+      'Content-Type': BomSpreadsheet.mimeType(format),
+      'Content-Disposition': `attachment; filename="bom-quote-${stamp}.${format}"`
+    });
+    res.send(file);
+  } catch (error) {
+    sendBomError(res, error, 'export');
+  }
+});
+
+function sendQuoteError(res, error, action) {
+  if (error instanceof QuoteValidationError) {
+    return res.status(400).json({ error: error.message, timestamp: new Date().toISOString() });
+  }
+  console.error(`❌ Quote ${action} error:`, error);
+  res.status(500).json({
+    error: `Quote ${action} failed`,
+    message: error.message,
+    timestamp: new Date().toISOString()
+  });
+}
+
+// Where to fetch each supplier's RFQ document
+function withDocumentLinks(quote) {
+  return {
+    ...quote,
+    rfqs: quote.rfqs.map(rfq => ({
+      ...rfq,
+      documents: Object.fromEntries(QuoteDocument.FORMATS.map(format => [
+        format,
+        `/api/quotes/${quote.id}/rfq/${rfq.supplier}?format=${format}`
+      ]))
+    }))
+  };
+}
+
+app.get('/api/quotes', async (req, res) => {
+  try {
+    const quotes = (await quoteStore.list()).filter(quote => ownedBy(quote, req.account));
+    res.json({
+      quotes: quotes.map(({ rfqs, ...quote }) => ({
+        ...quote,
+        suppliers: rfqs.map(rfq => rfq.supplier),
+        lineCount: rfqs.reduce((count, rfq) => count + rfq.lines.length, 0)
+      })),
+      count: quotes.length,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    sendQuoteError(res, error, 'list');
+  }
+});
+
+// Create a quote from selected offers or priced BOM lines:
+// { requester: { name, company, email, phone }, items: [...], title, shipTo, neededBy, notes }
+app.post('/api/quotes', async (req, res) => {
+  try {
+    const quote = await quoteStore.create({ ...req.body, ownerId: req.account.id }, {
+      supplierIds: suppliers.ids(),
+      supplierName: id => (suppliers.get(id) ? suppliers.get(id).name : id)
+    });
+    console.log(`🧾 New quote ${quote.reference}: ${quote.rfqs.length} supplier RFQs`);
+
+    res.status(201).json({ quote: withDocumentLinks(quote), timestamp: new Date().toISOString() });
+  } catch (error) {
+    sendQuoteError(res, error, 'create');
+  }
+});
+
+app.get('/api/quotes/:id', async (req, res) => {
+  try {
+    const quote = await quoteStore.get(req.params.id);
+    if (!ownedBy(quote, req.account)) {
+      return res.status(404).json({ error: 'Quote not found', id: req.params.id });
     }
-  },
-  mscdirect: {
-    baseUrl: 'https://www.mscdirect.com',
-    searchPath: '/browse/search',
-    selectors: {
-      productContainer: [
-        '.product-tile',
-        '.search-result'
-      ],
-      partNumber: [
-        '.product-number',
-        '.item-number'
-      ],
-      productName: [
-        '.product-title',
-        '.product-name'
-      ],
-      price: [
-        '.price',
-        '.product-price'
-      ]
-    }
-  }
-};
-
-class ProductScraper {
-  constructor() {
-    this.browser = null;
-    this.activeSessions = 0;
-    this.maxConcurrentSessions = 3;
-  }
-
-  async initBrowser() {
-    if (!this.browser) {
-      this.browser = await puppeteer.launch({
-        headless: true,
-        args: [
-          '--no-sandbox',
-          '--disable-setuid-sandbox',
-          '--disable-dev-shm-usage',
-          '--disable-accelerated-2d-canvas',
-          '--no-first-run',
-          '--no-zygote',
-          '--disable-gpu',
-          '--memory-pressure-off',
-          '--disable-background-timer-throttling',
-          '--disable-features=TranslateUI',
-          '--disable-ipc-flooding-protection'
-        ]
-      });
+    res.json({ quote: withDocumentLinks(quote), timestamp: new Date().toISOString() });
+  } catch (error) {
+    sendQuoteError(res, error, 'lookup');
+  }
+});
+
+app.delete('/api/quotes/:id', async (req, res) => {
+  try {
+    const removed = ownedBy(await quoteStore.get(req.params.id), req.account) && await quoteStore.remove(req.params.id);
+    if (!removed) {
+      return res.status(404).json({ error: 'Quote not found', id: req.params.id });
     }
-    return this.browser;
+    res.json({ deleted: true, id: req.params.id, timestamp: new Date().toISOString() });
+  } catch (error) {
+    sendQuoteError(res, error, 'delete');
   }
+});
+
+// One supplier's RFQ as a PDF (default) or printable HTML page
+app.get('/api/quotes/:id/rfq/:supplier', async (req, res) => {
+  try {
+    const format = String(req.query.format || 'pdf').toLowerCase();
+    if (!QuoteDocument.FORMATS.includes(format)) {
+      throw new QuoteValidationError(`format must be one of: ${QuoteDocument.FORMATS.join(', ')}`);
+    }
 
-  async closeBrowser() {
-    if (this.browser) {
-      await this.browser.close();
-      this.browser = null;
+    const quote = await quoteStore.get(req.params.id);
+    const rfq = ownedBy(quote, req.account) && QuoteDocument.rfqFor(quote, req.params.supplier);
+    if (!rfq) {
+      return res.status(404).json({ error: 'Quote or supplier RFQ not found', id: req.params.id, supplier: req.params.supplier });
     }
+
+    const document = await quoteDocument.render(quote, rfq, format);
+    res.set({
+      'Content-Type': format === 'pdf' ? 'application/pdf' : 'text/html; charset=utf-8',
+      'Content-Disposition': `inline; filename="${QuoteDocument.fileName(rfq, format)}"`
+    });
+    res.send(document);
+  } catch (error) {
+    sendQuoteError(res, error, 'document');
   }
+});
 
-  getRandomUserAgent() {
-    return SCRAPING_CONFIG.userAgents[Math.floor(Math.random() * SCRAPING_CONFIG.userAgents.length)];
+function sendListError(res, error, action) {
+  if (error instanceof ListValidationError || error instanceof BomValidationError) {
+    return res.status(400).json({ error: error.message, timestamp: new Date().toISOString() });
   }
+  console.error(`❌ Part list ${action} error:`, error);
+  res.status(500).json({
+    error: `Part list ${action} failed`,
+    message: error.message,
+    timestamp: new Date().toISOString()
+  });
+}
 
-  async scrapeWithAxios(supplier, query) {
-    const config = SUPPLIERS[supplier];
-    const searchUrl = `${config.baseUrl}${config.searchPath}?searchQuery=${encodeURIComponent(query)}`;
-    
-    try {
-      console.log(`🌐 Axios scraping ${supplier}: ${query}`);
-      
-      const response = await axios.get(searchUrl, {
-        headers: {
-          'User-Agent': this.getRandomUserAgent(),
-          'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,*/*;q=0.8',
-          'Accept-Language': 'en-US,en;q=0.5',
-          'Accept-Encoding': 'gzip, deflate, br',
-          'Cache-Control': 'no-cache',
-          'Pragma': 'no-cache'
-        },
-        timeout: SCRAPING_CONFIG.timeout
-      });
+function listNotFound(res, id) {
+  return res.status(404).json({ error: 'List not found', id });
+}
 
-      return this.parseHTML(response.data, config, supplier);
-    } catch (error) {
-      console.error(`❌ Axios scraping failed for ${supplier}:`, error.message);
-      return [];
-    }
+app.get('/api/lists', async (req, res) => {
+  try {
+    const lists = (await listStore.list()).filter(list => ownedBy(list, req.account));
+    res.json({
+      lists: lists.map(({ items, ...list }) => ({ ...list, itemCount: items.length })),
+      count: lists.length,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    sendListError(res, error, 'list');
+  }
+});
+
+// Create a list: { name, description, items: [{ query, supplier, partNumber,
+// name, price, priceText, productUrl, quantity, notes }] } (items optional)
+app.post('/api/lists', async (req, res) => {
+  try {
+    const list = await listStore.create({ ...req.body, ownerId: req.account.id }, { supplierIds: suppliers.ids() });
+    console.log(`📝 New part list "${list.name}" with ${list.items.length} items`);
+    res.status(201).json({ list, timestamp: new Date().toISOString() });
+  } catch (error) {
+    sendListError(res, error, 'create');
+  }
+});
+
+app.get('/api/lists/:id', async (req, res) => {
+  try {
+    const list = await listStore.get(req.params.id);
+    if (!ownedBy(list, req.account)) return listNotFound(res, req.params.id);
+    res.json({ list, timestamp: new Date().toISOString() });
+  } catch (error) {
+    sendListError(res, error, 'lookup');
+  }
+});
+
+// Rename: { name, description }
+app.patch('/api/lists/:id', async (req, res) => {
+  try {
+    if (!ownedBy(await listStore.get(req.params.id), req.account)) return listNotFound(res, req.params.id);
+    const list = await listStore.update(req.params.id, req.body || {});
+    res.json({ list, timestamp: new Date().toISOString() });
+  } catch (error) {
+    sendListError(res, error, 'update');
+  }
+});
+
+app.delete('/api/lists/:id', async (req, res) => {
+  try {
+    const removed = ownedBy(await listStore.get(req.params.id), req.account) && await listStore.remove(req.params.id);
+    if (!removed) return listNotFound(res, req.params.id);
+    res.json({ deleted: true, id: req.params.id, timestamp: new Date().toISOString() });
+  } catch (error) {
+    sendListError(res, error, 'delete');
+  }
+});
+
+// Save a search result into a list
+app.post('/api/lists/:id/items', async (req, res) => {
+  try {
+    if (!ownedBy(await listStore.get(req.params.id), req.account)) return listNotFound(res, req.params.id);
+    const item = await listStore.addItem(req.params.id, req.body, { supplierIds: suppliers.ids() });
+    res.status(201).json({ item, list: await listStore.get(req.params.id), timestamp: new Date().toISOString() });
+  } catch (error) {
+    sendListError(res, error, 'add item');
   }
+});
 
-  async scrapeWithPuppeteer(supplier, query) {
-    if (this.activeSessions >= this.maxConcurrentSessions) {
-      throw new Error('Maximum concurrent sessions reached');
+// Change an item's quantity or notes
+app.patch('/api/lists/:id/items/:itemId', async (req, res) => {
+  try {
+    if (!ownedBy(await listStore.get(req.params.id), req.account)) return listNotFound(res, req.params.id);
+    const item = await listStore.updateItem(req.params.id, req.params.itemId, req.body || {});
+    if (!item) {
+      return res.status(404).json({ error: 'List item not found', id: req.params.itemId });
     }
+    res.json({ item, list: await listStore.get(req.params.id), timestamp: new Date().toISOString() });
+  } catch (error) {
+    sendListError(res, error, 'update item');
+  }
+});
 
-    const config = SUPPLIERS[supplier];
-    const searchUrl = `${config.baseUrl}${config.searchPath}?searchQuery=${encodeURIComponent(query)}`;
-    
-    let page;
-    this.activeSessions++;
+app.delete('/api/lists/:id/items/:itemId', async (req, res) => {
+  try {
+    if (!ownedBy(await listStore.get(req.params.id), req.account)) return listNotFound(res, req.params.id);
+    if (!await listStore.removeItem(req.params.id, req.params.itemId)) {
+      return res.status(404).json({ error: 'List item not found', id: req.params.itemId });
+    }
+    res.json({ deleted: true, list: await listStore.get(req.params.id), timestamp: new Date().toISOString() });
+  } catch (error) {
+    sendListError(res, error, 'remove item');
+  }
+});
 
-    try {
-      console.log(`🤖 Puppeteer scraping ${supplier}: ${query}`);
-      
-      const browser = await this.initBrowser();
-      page = await browser.newPage();
-      
-      await page.setUserAgent(this.getRandomUserAgent());
-      await page.setViewport({ 
-        width: 1366 + Math.floor(Math.random() * 200), 
-        height: 768 + Math.floor(Math.random() * 200) 
-      });
+// Today's cost of the kit: every item is searched again as a BOM line (same
+// credits and quotas as /api/bom/search), preferring the supplier it was
+// saved from. The priced lines come back and the totals are kept on the list.
+app.post('/api/lists/:id/price', async (req, res) => {
+  try {
+    const list = await listStore.get(req.params.id);
+    if (!ownedBy(list, req.account)) return listNotFound(res, req.params.id);
+    if (list.items.length === 0) {
+      throw new ListValidationError('Add items to the list before pricing it');
+    }
 
-      // Block unnecessary resources
-      await page.setRequestInterception(true);
-      page.on('request', (req) => {
-        const resourceType = req.resourceType();
-        if (['image', 'stylesheet', 'font', 'media'].includes(resourceType)) {
-          req.abort();
-        } else {
-          req.continue();
-        }
-      });
+    const startTime = Date.now();
+    const itemIds = list.items.map(item => item.id);
+    const result = await priceBom(req, res, listStore.bomLines(list, { supplierIds: suppliers.ids() }), { source: 'list', listId: list.id });
+    if (!result) return;
 
-      // Navigate with random delay
-      await new Promise(resolve => setTimeout(resolve, Math.random() * 2000 + 1000));
-      await page.goto(searchUrl, { 
-        waitUntil: 'domcontentloaded',
-        timeout: SCRAPING_CONFIG.timeout 
-      });
+    res.json({
+      success: true,
+      list: await listStore.recordPricing(list.id, itemIds, result),
+      ...result,
+      responseTime: Date.now() - startTime,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    sendListError(res, error, 'pricing');
+  }
+});
 
-      // Wait for product containers
-      let foundSelector = null;
-      for (const selector of config.selectors.productContainer) {
-        try {
-          await page.waitForSelector(selector, { timeout: 8000 });
-          foundSelector = selector;
-          break;
-        } catch (e) {
-          continue;
-        }
-      }
+function sendEquipmentError(res, error, action) {
+  if (error instanceof EquipmentValidationError) {
+    return res.status(400).json({ error: error.message, timestamp: new Date().toISOString() });
+  }
+  console.error(`❌ Equipment ${action} error:`, error);
+  res.status(500).json({
+    error: `Equipment ${action} failed`,
+    message: error.message,
+    timestamp: new Date().toISOString()
+  });
+}
 
-      if (!foundSelector) {
-        throw new Error(`No product containers found for ${supplier}`);
-      }
+function assetNotFound(res, id) {
+  return res.status(404).json({ error: 'Asset not found', id });
+}
 
-      // Extract data
-      const results = await page.evaluate((config, supplier) => {
-        const products = [];
-        const containers = document.querySelectorAll(config.selectors.productContainer[0]);
-        
-        containers.forEach((container, index) => {
-          if (index >= 10) return; // Limit results
-          
-          const getTextBySelectors = (selectors) => {
-            for (const selector of selectors) {
-              const element = container.querySelector(selector);
-              if (element && element.textContent.trim()) {
-                return element.textContent.trim();
-              }
-            }
-            return '';
-          };
-
-          const partNumber = getTextBySelectors(config.selectors.partNumber);
-          const productName = getTextBySelectors(config.selectors.productName);
-          const priceText = getTextBySelectors(config.selectors.price);
-          const availability = getTextBySelectors(config.selectors.availability || []);
-
-          if (partNumber && productName) {
-            products.push({
-              partNumber,
-              productName,
-              priceText,
-              availability,
-              supplier
-            });
-          }
-        });
-
-        return products;
-      }, config, supplier);
-
-      return this.normalizeResults(results, supplier);
+// The account's assets; `q` narrows to those it names (by name, model or serial)
+app.get('/api/equipment', async (req, res) => {
+  try {
+    const { assets, matched } = await siteEquipment(req.account, req.query.q);
+    const found = req.query.q ? matched : assets;
+    res.json({ assets: found, count: found.length, timestamp: new Date().toISOString() });
+  } catch (error) {
+    sendEquipmentError(res, error, 'list');
+  }
+});
 
-    } catch (error) {
-      console.error(`❌ Puppeteer scraping failed for ${supplier}:`, error.message);
-      return [];
-    } finally {
-      if (page) {
-        await page.close();
-      }
-      this.activeSessions--;
-    }
-  }
-
-  parseHTML(html, config, supplier) {
-    const $ = cheerio.load(html);
-    const results = [];
-
-    for (const containerSelector of config.selectors.productContainer) {
-      const containers = $(containerSelector);
-      
-      if (containers.length > 0) {
-        console.log(`📋 Found ${containers.length} products with selector: ${containerSelector}`);
-        
-        containers.each((index, element) => {
-          if (index >= 10) return false; // Limit results
-          
-          const $container = $(element);
-          const getTextBySelectors = (selectors) => {
-            for (const selector of selectors) {
-              const text = $container.find(selector).first().text().trim();
-              if (text) return text;
-            }
-            return '';
-          };
-
-          const partNumber = getTextBySelectors(config.selectors.partNumber);
-          const productName = getTextBySelectors(config.selectors.productName);
-          const priceText = getTextBySelectors(config.selectors.price);
-          const availability = getTextBySelectors(config.selectors.availability || []);
-
-          if (partNumber && productName) {
-            results.push({
-              partNumber,
-              productName,
-              priceText,
-              availability,
-              supplier
-            });
-          }
-        });
-        break;
-      }
+// Which of the account's assets use a part: ?partNumber= (supplier or
+// manufacturer part number)
+app.get('/api/equipment/compatibility', async (req, res) => {
+  try {
+    const { partNumber, manufacturerPartNumber } = req.query;
+    if (!partNumber && !manufacturerPartNumber) {
+      throw new EquipmentValidationError('partNumber or manufacturerPartNumber is required');
     }
 
-    return this.normalizeResults(results, supplier);
+    const { assets } = await siteEquipment(req.account, '');
+    res.json({
+      partNumber: partNumber || manufacturerPartNumber,
+      equipment: equipmentRegistry.compatibility({ partNumber, manufacturerPartNumber }, assets),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    sendEquipmentError(res, error, 'compatibility');
   }
+});
 
-  normalizeResults(results, supplier) {
-    return results.map(item => ({
-      partNumber: item.partNumber,
-      name: item.productName,
-      price: this.parsePrice(item.priceText),
-      priceText: item.priceText,
-      availability: item.availability || 'Contact supplier',
-      inStock: this.parseAvailability(item.availability),
-      supplier: supplier,
-      productUrl: SUPPLIERS[supplier].baseUrl,
-      lastUpdated: new Date().toISOString(),
-      source: 'live_scraping'
-    }));
+// Register an asset: { name, make, model, serial, location, type, notes }
+app.post('/api/equipment', async (req, res) => {
+  try {
+    const asset = await equipmentRegistry.create(req.body, { ownerId: req.account.id });
+    console.log(`🏭 New asset "${asset.name}"`);
+    res.status(201).json({ asset, timestamp: new Date().toISOString() });
+  } catch (error) {
+    sendEquipmentError(res, error, 'create');
   }
+});
 
-  parsePrice(priceText) {
-    if (!priceText) return null;
-    const match = priceText.match(/\$?(\d+(?:,\d{3})*(?:\.\d{2})?)/);
-    return match ? parseFloat(match[1].replace(/,/g, '')) : null;
+app.get('/api/equipment/:id', async (req, res) => {
+  try {
+    const asset = await equipmentRegistry.get(req.params.id);
+    if (!ownedBy(asset, req.account)) return assetNotFound(res, req.params.id);
+    res.json({ asset, timestamp: new Date().toISOString() });
+  } catch (error) {
+    sendEquipmentError(res, error, 'lookup');
   }
+});
 
-  parseAvailability(availabilityText) {
-    if (!availabilityText) return true;
-    const text = availabilityText.toLowerCase();
-    return !text.includes('out of stock') && 
-           !text.includes('discontinued') && 
-           !text.includes('unavailable');
+app.patch('/api/equipment/:id', async (req, res) => {
+  try {
+    if (!ownedBy(await equipmentRegistry.get(req.params.id), req.account)) return assetNotFound(res, req.params.id);
+    const asset = await equipmentRegistry.update(req.params.id, req.body);
+    res.json({ asset, timestamp: new Date().toISOString() });
+  } catch (error) {
+    sendEquipmentError(res, error, 'update');
   }
+});
 
-  // Updated method to work with a single query (used by LLM enhancer)
-  async searchSingleQuery(query, maxResults = 10) {
-    const searchPromises = [];
-    const supplierNames = Object.keys(SUPPLIERS);
-    
-    // Add Grainger to the list since it's handled separately
-    const allSuppliers = [...supplierNames, 'grainger'];
-    
-    for (const supplier of allSuppliers) {
-      if (supplier === 'grainger') {
-        // Use specialized Grainger scraper
-        searchPromises.push(
-          graingerScraper.getLivePrices(query, Math.ceil(maxResults / allSuppliers.length))
-            .catch(error => {
-              console.error(`Failed to scrape ${supplier}:`, error.message);
-              return [];
-            })
-        );
-      } else {
-        // Use existing logic for other suppliers
-        searchPromises.push(
-          this.scrapeWithAxios(supplier, query)
-            .then(results => results.length > 0 ? results : this.scrapeWithPuppeteer(supplier, query))
-            .catch(error => {
-              console.error(`Failed to scrape ${supplier}:`, error.message);
-              return [];
-            })
-        );
-      }
-    }
+app.delete('/api/equipment/:id', async (req, res) => {
+  try {
+    const removed = ownedBy(await equipmentRegistry.get(req.params.id), req.account) && await equipmentRegistry.remove(req.params.id);
+    if (!removed) return assetNotFound(res, req.params.id);
+    res.json({ deleted: true, id: req.params.id, timestamp: new Date().toISOString() });
+  } catch (error) {
+    sendEquipmentError(res, error, 'delete');
+  }
+});
 
-    try {
-      const allResults = await Promise.all(searchPromises);
-      const combinedResults = allResults.flat();
-      
-      // Remove duplicates and limit results
-      const uniqueResults = this.removeDuplicates(combinedResults);
-      return uniqueResults.slice(0, maxResults);
-      
-    } catch (error) {
-      console.error('Error in searchSingleQuery:', error);
-      return [];
-    }
+// Link a part to an asset: a search offer or part ({ supplier, partNumber,
+// manufacturerPartNumber, name }) plus { position, quantity, notes }
+app.post('/api/equipment/:id/parts', async (req, res) => {
+  try {
+    if (!ownedBy(await equipmentRegistry.get(req.params.id), req.account)) return assetNotFound(res, req.params.id);
+    const part = await equipmentRegistry.linkPart(req.params.id, req.body, { supplierIds: suppliers.ids() });
+    res.status(201).json({ part, asset: await equipmentRegistry.get(req.params.id), timestamp: new Date().toISOString() });
+  } catch (error) {
+    sendEquipmentError(res, error, 'link part');
   }
+});
 
-  // Enhanced search using LLM
-  async searchAllSuppliers(query, maxResults = 10) {
-    console.log(`🧠 Starting LLM-enhanced search for: "${query}"`);
-    
-    // Use LLM enhancer for smart search
-    const searchResult = await llmEnhancer.smartSearch(query, async (enhancedQuery) => {
-      return await this.searchSingleQuery(enhancedQuery, maxResults);
-    });
-    
-    return searchResult.results;
+app.delete('/api/equipment/:id/parts/:partId', async (req, res) => {
+  try {
+    if (!ownedBy(await equipmentRegistry.get(req.params.id), req.account)) return assetNotFound(res, req.params.id);
+    if (!await equipmentRegistry.unlinkPart(req.params.id, req.params.partId)) {
+      return res.status(404).json({ error: 'Linked part not found', id: req.params.partId });
+    }
+    res.json({ deleted: true, asset: await equipmentRegistry.get(req.params.id), timestamp: new Date().toISOString() });
+  } catch (error) {
+    sendEquipmentError(res, error, 'unlink part');
   }
+});
 
-  removeDuplicates(results) {
-    const seen = new Set();
-    return results.filter(item => {
-      const key = `${item.partNumber}-${item.name}`.toLowerCase().replace(/\s+/g, '');
-      if (seen.has(key)) return false;
-      seen.add(key);
-      return true;
-    });
+function sendAccountError(res, error, action) {
+  if (error instanceof AccountValidationError) {
+    return res.status(400).json({ error: error.message, timestamp: new Date().toISOString() });
+  }
+  if (error instanceof AuthError) {
+    return res.status(401).json({ error: error.message, code: 'unauthorized', timestamp: new Date().toISOString() });
   }
+  console.error(`❌ Account ${action} error:`, error);
+  res.status(500).json({
+    error: `Account ${action} failed`,
+    message: error.message,
+    timestamp: new Date().toISOString()
+  });
 }
 
-// Initialize scrapers
-const scraper = new ProductScraper();
-const graingerScraper = new GraingerPriceScraper();
-const llmEnhancer = new LLMSearchEnhancer();
+function sessionResponse(account) {
+  return {
+    ...sessionTokens.issue(account.id),
+    account: accountStore.describe(account),
+    timestamp: new Date().toISOString()
+  };
+}
 
-// Cleanup on exit
-process.on('SIGTERM', async () => {
-  console.log('Received SIGTERM, closing browsers...');
-  await scraper.closeBrowser();
-  await graingerScraper.closeBrowser();
-  process.exit(0);
+app.post('/api/auth/register', async (req, res) => {
+  try {
+    const account = await accountStore.register(req.body);
+    console.log(`👤 New account: ${account.email}`);
+    res.status(201).json(sessionResponse(account));
+  } catch (error) {
+    sendAccountError(res, error, 'registration');
+  }
 });
 
-process.on('SIGINT', async () => {
-  console.log('Received SIGINT, closing browsers...');
-  await scraper.closeBrowser();
-  await graingerScraper.closeBrowser();
-  process.exit(0);
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    res.json(sessionResponse(await accountStore.authenticate(req.body)));
+  } catch (error) {
+    sendAccountError(res, error, 'login');
+  }
 });
 
-// API Routes
+app.get('/api/account', (req, res) => {
+  res.json({ account: accountStore.describe(req.account), timestamp: new Date().toISOString() });
+});
 
-// Enhanced search endpoint with LLM integration
-app.get('/api/search', async (req, res) => {
-  const { q: query, limit = 10 } = req.query;
-  
-  if (!query || query.trim().length < 2) {
-    return res.status(400).json({ 
-      error: 'Query parameter must be at least 2 characters',
-      example: '/api/search?q=6203%20bearing'
+app.get('/api/account/ledger', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    res.json({
+      balance: req.account.credits,
+      entries: await creditLedger.history(req.account.id, { limit }),
+      timestamp: new Date().toISOString()
     });
+  } catch (error) {
+    sendAccountError(res, error, 'ledger');
   }
+});
 
-  console.log(`🔍 LLM-enhanced search: "${query}"`);
-  
+// Plan changes. There's no billing provider yet, so only administrators
+// (session accounts listed in ADMIN_EMAILS) can move an account between
+// plans; API keys never can. A move to a plan with more credits tops the
+// balance up, at most once per plan per billing month, so switching back
+// and forth doesn't mint credits.
+const adminEmails = new Set(
+  (process.env.ADMIN_EMAILS || '').split(',').map(email => accountStore.normalizeEmail(email)).filter(Boolean)
+);
+
+app.use('/api/admin', (req, res, next) => {
+  if (!req.apiKey && adminEmails.has(accountStore.normalizeEmail(req.account.email))) return next();
+  res.status(403).json({ error: 'Administrator access required', code: 'forbidden', timestamp: new Date().toISOString() });
+});
+
+app.post('/api/admin/accounts/:id/plan', async (req, res) => {
   try {
-    // Use LLM enhancer for intelligent search
-    const searchResult = await llmEnhancer.smartSearch(query, async (enhancedQuery) => {
-      return await scraper.searchSingleQuery(enhancedQuery, parseInt(limit));
+    const plan = PLANS[req.body && req.body.plan];
+    if (!plan) {
+      throw new AccountValidationError(`plan must be one of: ${Object.keys(PLANS).join(', ')}`);
+    }
+
+    const account = await accountStore.get(req.params.id);
+    if (!account) {
+      return res.status(404).json({ error: 'Account not found', id: req.params.id, timestamp: new Date().toISOString() });
+    }
+
+    const previous = PLANS[account.plan] || PLANS.free;
+    const period = new Date().toISOString().slice(0, 7);
+    const topUps = account.planTopUps || {};
+    const toppedUp = plan.credits > previous.credits && topUps[plan.id] !== period;
+    await accountStore.update(account.id, {
+      plan: plan.id,
+      planTopUps: toppedUp ? { ...topUps, [plan.id]: period } : topUps
     });
-    
-    if (searchResult.results.length === 0) {
-      return res.status(404).json({
-        message: 'No parts found',
-        query: searchResult.query,
-        originalQuery: searchResult.originalQuery,
-        enhancementMethod: searchResult.method,
-        suggestions: searchResult.suggestions || [
-          'Try a more specific part number',
-          'Check spelling',
-          'Use manufacturer part numbers when possible',
-          'Try broader search terms'
-        ],
-        timestamp: new Date().toISOString()
+    if (toppedUp) {
+      await creditLedger.grant(account.id, plan.credits - previous.credits, {
+        reason: 'plan_change',
+        detail: { from: previous.id, to: plan.id, by: req.account.id }
       });
     }
-    
-    res.json({ 
-      results: searchResult.results,
-      query: searchResult.query,
-      originalQuery: searchResult.originalQuery,
-      enhancementMethod: searchResult.method,
-      confidence: searchResult.confidence,
-      resultCount: searchResult.results.length,
-      timestamp: new Date().toISOString(),
-      searchMethod: 'llm_enhanced_scraping',
-      suppliersSearched: ['grainger', ...Object.keys(SUPPLIERS)]
-    });
-    
+    console.log(`👤 ${req.account.email} moved ${account.email} from ${previous.id} to ${plan.id}`);
+
+    res.json({ account: accountStore.describe(account), toppedUp, timestamp: new Date().toISOString() });
   } catch (error) {
-    console.error('❌ Search API error:', error);
-    res.status(500).json({ 
-      error: 'Search failed', 
-      message: error.message,
-      query,
-      timestamp: new Date().toISOString()
-    });
+    sendAccountError(res, error, 'plan change');
   }
 });
 
-// Query enhancement endpoint (for testing LLM)
-app.get('/api/enhance-query', async (req, res) => {
-  const { q: query } = req.query;
-  
-  if (!query) {
-    return res.status(400).json({ 
-      error: 'Query parameter required',
-      example: '/api/enhance-query?q=bearing'
-    });
-  }
-  
+// API keys let scripts call the API with an "X-API-Key" header instead of a
+// session; their use is metered against the owning account. Keys can only
+// be managed from a signed-in session, not with another key.
+app.use('/api/account/api-keys', (req, res, next) => {
+  if (!req.apiKey) return next();
+  res.status(403).json({ error: 'API keys are managed from a signed-in session', timestamp: new Date().toISOString() });
+});
+
+app.get('/api/account/api-keys', (req, res) => {
+  res.json({
+    apiKeys: (req.account.apiKeys || []).map(apiKey => accountStore.describeApiKey(apiKey)),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// The key itself is only in this response
+app.post('/api/account/api-keys', async (req, res) => {
   try {
-    console.log(`🧠 Testing query enhancement: "${query}"`);
-    const enhancement = await llmEnhancer.enhanceSearchQuery(query);
-    
-    res.json({
-      originalQuery: query,
-      enhancement,
-      timestamp: new Date().toISOString()
-    });
+    const created = await accountStore.createApiKey(req.account.id, { name: req.body && req.body.name });
+    console.log(`🔑 ${req.account.email} created API key ${created.apiKey.prefix}…`);
+    res.status(201).json({ ...created, timestamp: new Date().toISOString() });
   } catch (error) {
-    console.error('❌ Query enhancement error:', error);
-    res.status(500).json({ 
-      error: 'Query enhancement failed',
-      message: error.message,
-      timestamp: new Date().toISOString()
-    });
+    sendAccountError(res, error, 'API key creation');
   }
 });
 
-// Test endpoint for Grainger scraper specifically
-app.get('/api/test-grainger', async (req, res) => {
-  const { q: query, limit = 5 } = req.query;
-  
-  if (!query) {
-    return res.status(400).json({ 
-      error: 'Query parameter required',
-      example: '/api/test-grainger?q=6203%20bearing'
-    });
+app.delete('/api/account/api-keys/:id', async (req, res) => {
+  try {
+    if (!await accountStore.revokeApiKey(req.account.id, req.params.id)) {
+      return res.status(404).json({ error: 'API key not found', timestamp: new Date().toISOString() });
+    }
+    res.json({ success: true, timestamp: new Date().toISOString() });
+  } catch (error) {
+    sendAccountError(res, error, 'API key revocation');
   }
-  
+});
+
+// Consumption against each plan quota in the current window, split by
+// endpoint and API key, plus the credit balance
+app.get('/api/usage', async (req, res) => {
   try {
-    console.log(`🔧 Testing Grainger scraper: "${query}"`);
-    const results = await graingerScraper.getLivePrices(query, parseInt(limit));
-    
-    res.json({ 
-      results,
-      query,
-      resultCount: results.length,
-      method: 'specialized_grainger_scraper',
+    const report = await usageMeter.report(req.account);
+    res.json({
+      ...report,
+      credits: { balance: req.account.credits },
+      apiKey: req.apiKey ? accountStore.describeApiKey(req.apiKey) : null,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
-    console.error('❌ Grainger test error:', error);
-    res.status(500).json({ 
-      error: 'Grainger scraper test failed',
+    console.error('❌ Usage report error:', error);
+    res.status(500).json({
+      error: 'Usage report failed',
       message: error.message,
       timestamp: new Date().toISOString()
     });
   }
 });
 
+// Scraper health report: selector hit rates, yields and degraded suppliers
+app.get('/api/scrapers/status', (req, res) => {
+  const status = scraperHealth.status(suppliers.ids());
+  const degraded = Object.keys(status).filter(supplier => status[supplier].degraded);
+
+  res.json({
+    status: degraded.length > 0 ? 'degraded' : 'OK',
+    degradedSuppliers: degraded,
+    windowSize: scraperHealth.windowSize,
+    suppliers: status,
+    timestamp: new Date().toISOString()
+  });
+});
+
 // Health check endpoint
-app.get('/api/health', (req, res) => {
+app.get('/api/health', async (req, res) => {
   res.json({ 
     status: 'OK', 
     timestamp: new Date().toISOString(),
@@ -578,11 +1818,34 @@ app.get('/api/health', (req, res) => {
       'Multi-Supplier Support', 
       'Specialized Grainger Scraper',
       'Smart Query Enhancement',
+      'Search Result Caching',
+      'Part Number Cross-Reference',
+      'Spec Attribute Filtering',
+      'Relevance Ranking',
+      'Faceted Filtering & Sorting',
+      'Price History',
+      'Price & Stock Watches',
+      'Bulk BOM Pricing',
+      'CSV/XLSX BOM Import & Quote Export',
+      'RFQ Documents (PDF/HTML)',
+      'User Accounts & Credit Ledger',
+      'Per-Plan Usage Quotas & API Keys',
+      'Saved Part Lists & Job Kits',
+      'Equipment Registry & Part Compatibility',
+      'Streaming Search (SSE)',
       'No Sample Data'
     ],
-    activeSessions: scraper.activeSessions,
-    supportedSuppliers: ['grainger', ...Object.keys(SUPPLIERS)],
+    activeSessions: browserPool.stats().activePages,
+    browserPool: browserPool.stats(),
+    circuitBreakers: supplierSearch.breakerStatus(),
+    degradedSuppliers: scraperHealth.degradedSuppliers(suppliers.ids()),
+    supportedSuppliers: suppliers.ids(),
+    disabledSuppliers: suppliers.disabledIds(),
     llmEnhancerStatus: 'integrated',
+    searchCache: await searchCache.stats(),
+    priceHistory: await priceHistory.stats(),
+    watches: watchScheduler.describe(),
+    scraperFixtures: fixtures.describe(),
     environmentVariables: {
       hasOpenAIKey: !!process.env.OPENAI_API_KEY,
       hasLLMKey: !!process.env.LLM_API_KEY,
@@ -604,16 +1867,41 @@ app.get('/', (req, res) => {
       'Smart search suggestions',
       'Production-ready'
     ],
-    supportedSuppliers: ['grainger', ...Object.keys(SUPPLIERS)],
+    supportedSuppliers: suppliers.ids(),
     endpoints: {
-      search: '/api/search?q=YOUR_QUERY',
+      search: '/api/search?q=YOUR_QUERY&pageSize=20',
+      searchNextPage: '/api/search?cursor=NEXT_CURSOR',
+      searchStream: '/api/search/stream?q=YOUR_QUERY',
       enhanceQuery: '/api/enhance-query?q=YOUR_QUERY',
       health: '/api/health',
+      scraperStatus: '/api/scrapers/status',
+      graingerPart: '/api/parts/grainger/ITEM_NUMBER',
+      priceHistory: '/api/parts/SUPPLIER:PART_NUMBER/price-history',
+      watches: '/api/watches',
+      bomSearch: 'POST /api/bom/search',
+      bomImport: 'POST /api/bom/import (multipart file: .csv or .xlsx)',
+      bomExport: 'POST /api/bom/export?format=xlsx',
+      quotes: '/api/quotes',
+      quoteDocument: '/api/quotes/QUOTE_ID/rfq/SUPPLIER?format=pdf',
+      lists: '/api/lists',
+      priceList: 'POST /api/lists/LIST_ID/price',
+      equipment: '/api/equipment?q=ASSET',
+      equipmentCompatibility: '/api/equipment/compatibility?partNumber=P2B-SC-100',
+      register: 'POST /api/auth/register',
+      login: 'POST /api/auth/login',
+      account: '/api/account',
+      creditLedger: '/api/account/ledger',
+      changePlan: 'POST /api/admin/accounts/ACCOUNT_ID/plan',
+      apiKeys: '/api/account/api-keys',
+      usage: '/api/usage',
+      crossReference: '/api/parts/cross-reference?q=6203ZZ',
       testGrainger: '/api/test-grainger?q=YOUR_QUERY'
     },
     examples: {
       generalSearch: '/api/search?q=bearing',
       enhancedQuery: '/api/enhance-query?q=bearing',
+      specSearch: '/api/search?q=M8x1.25%20316%20SS%20socket%20head',
+      filteredSearch: '/api/search?q=6203%20bearing&inStock=true&supplier=grainger,zoro&sort=price_asc',
       graingerTest: '/api/test-grainger?q=6203%20bearing'
     },
     llmIntegration: {
@@ -642,11 +1930,16 @@ app.listen(port, '0.0.0.0', () => {
   console.log(`🧠 Query enhancement: http://localhost:${port}/api/enhance-query?q=bearing`);
   console.log(`🏪 Grainger test: http://localhost:${port}/api/test-grainger?q=6203%20bearing`);
   console.log(`🎯 LLM-enhanced live scraping with smart query processing`);
-  console.log(`🏪 Supported suppliers: grainger, ${Object.keys(SUPPLIERS).join(', ')}`);
+  console.log(`🏪 Supported suppliers: ${suppliers.ids().join(', ')}`);
   console.log(`🌐 Backend URL: https://blue-collar-buddy-production.up.railway.app`);
   
   // LLM configuration status
   const hasLLM = !!(process.env.OPENAI_API_KEY || process.env.LLM_API_KEY);
+  watchScheduler.start();
+
+  if (fixtures.mode !== 'off') {
+    console.log(`📼 Scraper fixtures: ${fixtures.mode.toUpperCase()} (${fixtures.directory})`);
+  }
   console.log(`🧠 LLM Enhancement: ${hasLLM ? 'ENABLED' : 'RULE-BASED FALLBACK'}`);
   if (hasLLM) {
     console.log(`🤖 LLM Model: ${process.env.LLM_MODEL || 'gpt-4o-mini'}`);
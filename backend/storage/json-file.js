@@ -0,0 +1,84 @@
+const fs = require('fs');
+const path = require('path');
+
+// One JSON file that a store reads once at startup and rewrites whole.
+//
+// load(apply) reads and parses the file the first time it's called and hands
+// the data to `apply`; every later call waits on that same read, so nothing
+// runs against (or persists over) a half-loaded store. A missing file is an
+// empty store; an unreadable one is logged and also starts empty.
+//
+// write(data) snapshots `data` right away and queues the write, so an older
+// snapshot never lands after a newer one. Each write goes to a temp file that
+// is synced and renamed over the real one, so a crash mid-write leaves the
+// previous contents intact. A failed write is logged and rejects for the
+// caller that queued it; later writes still go ahead.
+class JsonFile {
+  constructor(filePath, { label = path.basename(filePath), indent = 2, mode = 0o644 } = {}) {
+    if (!filePath) {
+      throw new Error('JsonFile requires a filePath');
+    }
+
+    this.filePath = filePath;
+    this.label = label;
+    this.indent = indent;
+    this.mode = mode;
+    this.loading = null;
+    this.writeChain = Promise.resolve();
+  }
+
+  load(apply) {
+    if (!this.loading) {
+      this.loading = (async () => {
+        let data;
+        try {
+          data = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+        } catch (error) {
+          if (error.code !== 'ENOENT') {
+            console.error(`❌ Failed to load ${this.label} from ${this.filePath}:`, error.message);
+          }
+          return;
+        }
+        apply(data);
+      })();
+    }
+    return this.loading;
+  }
+
+  write(data) {
+    const snapshot = JSON.stringify(data, null, this.indent || undefined);
+    const written = this.writeChain.then(() => this.replace(snapshot));
+    this.writeChain = written.catch(() => {});
+
+    return written.catch(error => {
+      console.error(`❌ Failed to persist ${this.label}:`, error.message);
+      throw error;
+    });
+  }
+
+  async replace(snapshot) {
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+    try {
+      const handle = await fs.promises.open(tempPath, 'w', this.mode);
+      try {
+        await handle.writeFile(snapshot);
+        await handle.sync();
+      } finally {
+        await handle.close();
+      }
+      await fs.promises.rename(tempPath, this.filePath);
+    } catch (error) {
+      await fs.promises.rm(tempPath, { force: true });
+      throw error;
+    }
+  }
+
+  // Resolves once every queued write has finished (or failed)
+  flush() {
+    return this.writeChain;
+  }
+}
+
+module.exports = JsonFile;
@@ -0,0 +1,214 @@
+const { planFor } = require('../accounts/plans');
+const JsonFile = require('../storage/json-file');
+
+// Usage meters. Each counts within a fixed UTC window and is capped by the
+// account's plan quota (accounts/plans.js).
+const METERS = {
+  requests: { label: 'API requests', period: 'minute' },
+  searches: { label: 'Searches', period: 'day' },
+  bomLines: { label: 'BOM lines', period: 'month' },
+  llmCalls: { label: 'LLM calls', period: 'day' }
+};
+
+// What each kind of call draws from the meters, on top of the one `requests`
+// every API call costs. A search answered entirely from the cache costs no
+// search; a BOM line costs a search and a BOM line.
+const ENDPOINT_COSTS = {
+  search: { searches: 1 },
+  bomLine: { searches: 1, bomLines: 1 },
+  llmCall: { llmCalls: 1 }
+};
+
+class QuotaExceededError extends Error {
+  constructor({ meter, label, limit, used, needed, period, resetsAt, plan }) {
+    super(needed > 1
+      ? `${label} quota exceeded: ${needed} needed but ${Math.max(0, limit - used)} of ${limit} per ${period} left on the ${plan.name} plan`
+      : `${label} quota reached: ${used} of ${limit} per ${period} used on the ${plan.name} plan`);
+    this.name = 'QuotaExceededError';
+    this.quota = { meter, label, limit, used, needed, period, resetsAt };
+    this.plan = { id: plan.id, name: plan.name };
+  }
+}
+
+// Usage per account, persisted to a JSON file:
+//   { [accountId]: { [meter]: { window: '2026-10-19', used, byEndpoint, byKey } } }
+// `byEndpoint` and `byKey` split the current window's use by endpoint name
+// and API key so /api/usage can show where it went.
+//
+// Consuming checks every meter before touching any, and both happen in one
+// tick, so concurrent calls can't overshoot a quota. Writes are batched
+// because every API call consumes a request.
+class UsageMeter {
+  constructor({ filePath, persistDelayMs = 2000 } = {}) {
+    if (!filePath) {
+      throw new Error('UsageMeter requires a filePath');
+    }
+
+    this.filePath = filePath;
+    this.persistDelayMs = persistDelayMs;
+    this.usage = new Map();
+    this.persistTimer = null;
+    this.file = new JsonFile(filePath, { label: 'usage' });
+  }
+
+  load() {
+    return this.file.load(usage => {
+      for (const [accountId, meters] of Object.entries(usage)) {
+        this.usage.set(accountId, meters);
+      }
+      console.log(`📊 Loaded usage for ${this.usage.size} accounts from ${this.filePath}`);
+    });
+  }
+
+  persist() {
+    return this.file.write(Object.fromEntries(this.usage));
+  }
+
+  schedulePersist() {
+    if (this.persistTimer) return;
+    this.persistTimer = setTimeout(() => {
+      this.persistTimer = null;
+      // A failed write is logged by JsonFile; the next one retries the whole snapshot
+      this.persist().catch(() => {});
+    }, this.persistDelayMs);
+    this.persistTimer.unref();
+  }
+
+  // Writes out a batch that is still waiting on its timer (on shutdown)
+  async flush() {
+    if (this.persistTimer) {
+      clearTimeout(this.persistTimer);
+      this.persistTimer = null;
+      await this.persist();
+    }
+    await this.file.flush();
+  }
+
+  windowKey(period, now) {
+    const iso = new Date(now).toISOString();
+    if (period === 'minute') return iso.slice(0, 16);
+    if (period === 'month') return iso.slice(0, 7);
+    return iso.slice(0, 10);
+  }
+
+  resetsAt(period, now) {
+    const date = new Date(now);
+    if (period === 'minute') {
+      date.setUTCSeconds(60, 0);
+    } else if (period === 'month') {
+      date.setUTCMonth(date.getUTCMonth() + 1, 1);
+      date.setUTCHours(0, 0, 0, 0);
+    } else {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCHours(0, 0, 0, 0);
+    }
+    return date.toISOString();
+  }
+
+  // The account's counter for a meter, started fresh when its window has passed
+  counter(accountId, meter, now) {
+    if (!this.usage.has(accountId)) this.usage.set(accountId, {});
+    const meters = this.usage.get(accountId);
+    const window = this.windowKey(METERS[meter].period, now);
+
+    if (!meters[meter] || meters[meter].window !== window) {
+      meters[meter] = { window, used: 0, byEndpoint: {}, byKey: {} };
+    }
+    return meters[meter];
+  }
+
+  // Throws QuotaExceededError, leaving every meter untouched, when any cost
+  // doesn't fit. Returns a receipt that `release` can give back.
+  async consume(account, costs, { endpoint = null, apiKeyId = null } = {}) {
+    await this.load();
+    const plan = planFor(account.plan);
+    const now = Date.now();
+    const entries = Object.entries(costs).filter(([, amount]) => amount > 0);
+
+    for (const [meter, amount] of entries) {
+      const counter = this.counter(account.id, meter, now);
+      const limit = plan.quotas[meter];
+      if (counter.used + amount > limit) {
+        const { label, period } = METERS[meter];
+        throw new QuotaExceededError({
+          meter, label, limit, period, plan,
+          used: counter.used,
+          needed: amount,
+          resetsAt: this.resetsAt(period, now)
+        });
+      }
+    }
+
+    for (const [meter, amount] of entries) {
+      const counter = this.counter(account.id, meter, now);
+      counter.used += amount;
+      if (endpoint) counter.byEndpoint[endpoint] = (counter.byEndpoint[endpoint] || 0) + amount;
+      if (apiKeyId) counter.byKey[apiKeyId] = (counter.byKey[apiKeyId] || 0) + amount;
+    }
+    if (entries.length > 0) this.schedulePersist();
+
+    return { accountId: account.id, costs: Object.fromEntries(entries), endpoint, apiKeyId, at: now };
+  }
+
+  // Like consume, but answers false instead of throwing
+  async tryConsume(account, costs, context) {
+    try {
+      await this.consume(account, costs, context);
+      return true;
+    } catch (error) {
+      if (error instanceof QuotaExceededError) return false;
+      throw error;
+    }
+  }
+
+  // Give back part or all of a receipt (a cached search, failed BOM lines).
+  // Use from a window that has since rolled over is not given back.
+  release(receipt, costs = receipt.costs) {
+    const meters = this.usage.get(receipt.accountId) || {};
+
+    for (const [meter, amount] of Object.entries(costs)) {
+      const counter = meters[meter];
+      if (!counter || amount <= 0 || counter.window !== this.windowKey(METERS[meter].period, receipt.at)) continue;
+
+      counter.used = Math.max(0, counter.used - amount);
+      if (receipt.endpoint && counter.byEndpoint[receipt.endpoint]) {
+        counter.byEndpoint[receipt.endpoint] = Math.max(0, counter.byEndpoint[receipt.endpoint] - amount);
+      }
+      if (receipt.apiKeyId && counter.byKey[receipt.apiKeyId]) {
+        counter.byKey[receipt.apiKeyId] = Math.max(0, counter.byKey[receipt.apiKeyId] - amount);
+      }
+    }
+    this.schedulePersist();
+  }
+
+  async report(account) {
+    await this.load();
+    const plan = planFor(account.plan);
+    const now = Date.now();
+
+    return {
+      plan: { id: plan.id, name: plan.name },
+      meters: Object.entries(METERS).map(([meter, { label, period }]) => {
+        const counter = this.counter(account.id, meter, now);
+        const limit = plan.quotas[meter];
+        return {
+          meter,
+          label,
+          period,
+          used: counter.used,
+          limit,
+          remaining: Math.max(0, limit - counter.used),
+          resetsAt: this.resetsAt(period, now),
+          byEndpoint: counter.byEndpoint,
+          byKey: counter.byKey
+        };
+      })
+    };
+  }
+}
+
+UsageMeter.METERS = METERS;
+UsageMeter.ENDPOINT_COSTS = ENDPOINT_COSTS;
+
+module.exports = UsageMeter;
+module.exports.QuotaExceededError = QuotaExceededError;
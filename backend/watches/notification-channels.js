@@ -0,0 +1,166 @@
+const fs = require('fs');
+const path = require('path');
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+const axios = require('axios');
+const { withRetry } = require('../scrapers/resilience');
+
+// Where watch alerts go. A channel is anything with
+//   send(notification, target) -> Promise
+// where `target` is the watch's own `notify` settings (e.g. a webhook URL).
+// Register more (email, Slack, SMS) with NotificationChannels.register().
+
+// Where a watch's own webhook may not point: loopback, private networks,
+// link-local (cloud metadata at 169.254.169.254), CGNAT, multicast and
+// reserved ranges, and IPv6 forms that tunnel to IPv4
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 127], ['64:ff9b::', 96], ['2002::', 16], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  return family !== 0 && !BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// Resolves like dns.lookup but refuses a host with any non-public address.
+// It runs when the socket connects, so a host can't pass a check and then
+// re-resolve somewhere private.
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    const blocked = addresses.find(entry => !isPublicAddress(entry.address));
+    if (blocked) {
+      return callback(new Error(`Webhook host ${hostname} resolves to a non-public address (${blocked.address})`));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const PUBLIC_AGENTS = {
+  httpAgent: new http.Agent({ lookup: publicLookup }),
+  httpsAgent: new https.Agent({ lookup: publicLookup })
+};
+
+// POSTs the notification as JSON; the watch's notify.url wins over the default URL.
+// Any account can set notify.url, so those only reach public addresses, with
+// no redirects, unless their host is in `allowedHosts` (operator-configured,
+// like the default URL itself).
+class WebhookChannel {
+  constructor({ url = null, timeoutMs = 10000, allowedHosts = [] } = {}) {
+    this.url = url;
+    this.timeoutMs = timeoutMs;
+    this.allowedHosts = new Set(allowedHosts.map(host => host.trim().toLowerCase()).filter(Boolean));
+  }
+
+  // Throws when a watch's notify.url may not be called. IP literals are
+  // checked here; hostnames are checked when they resolve (publicLookup).
+  checkTarget(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      throw new Error('notify.url is not a valid URL');
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      throw new Error('notify.url must be an http(s) URL');
+    }
+
+    const host = parsed.hostname.toLowerCase().replace(/^\[|\]$/g, '');
+    if (this.allowedHosts.has(host)) return { guarded: false };
+    if (host === 'localhost' || host.endsWith('.localhost') || (net.isIP(host) && !isPublicAddress(host))) {
+      throw new Error(`notify.url may not point at ${host}, which is not a public address`);
+    }
+    return { guarded: true };
+  }
+
+  async send(notification, target = {}) {
+    const url = target.url || this.url;
+    if (!url) {
+      throw new Error('No webhook URL configured (set WATCH_WEBHOOK_URL or notify.url)');
+    }
+    const { guarded } = target.url ? this.checkTarget(url) : { guarded: false };
+
+    await withRetry(() => axios.post(url, notification, {
+      headers: { 'Content-Type': 'application/json', 'User-Agent': 'BlueCollarAI-Watches/1.0' },
+      timeout: this.timeoutMs,
+      ...(guarded && { ...PUBLIC_AGENTS, maxRedirects: 0 })
+    }), {
+      retries: 2,
+      baseDelayMs: 1000,
+      deadlineMs: this.timeoutMs * 2
+    });
+  }
+}
+
+// Prints to the server log - handy in development
+class LogChannel {
+  async send(notification) {
+    console.log(`🔔 Watch alert: ${notification.message}`);
+  }
+}
+
+// Appends one JSON line per notification, for testing without a webhook receiver
+class FileChannel {
+  constructor({ filePath }) {
+    this.filePath = filePath;
+  }
+
+  async send(notification) {
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.promises.appendFile(this.filePath, `${JSON.stringify(notification)}\n`);
+  }
+}
+
+class NotificationChannels {
+  constructor({ defaultChannel = 'webhook' } = {}) {
+    this.channels = new Map();
+    this.defaultChannel = defaultChannel;
+  }
+
+  register(type, channel) {
+    this.channels.set(type, channel);
+    return this;
+  }
+
+  types() {
+    return Array.from(this.channels.keys());
+  }
+
+  get(type) {
+    return this.channels.get(type) || null;
+  }
+
+  // Sends through the watch's channel (or the default) and reports the outcome
+  // instead of throwing, so one failed delivery never stops a check run
+  async deliver(notification, notify = null) {
+    const type = (notify && notify.channel) || this.defaultChannel;
+    const channel = this.channels.get(type);
+    const delivery = { channel: type, deliveredAt: new Date().toISOString() };
+
+    if (!channel) {
+      return { ...delivery, delivered: false, error: `Unknown notification channel "${type}"` };
+    }
+
+    try {
+      await channel.send(notification, notify || {});
+      return { ...delivery, delivered: true };
+    } catch (error) {
+      console.error(`❌ Failed to deliver watch alert via ${type}:`, error.message);
+      return { ...delivery, delivered: false, error: error.message };
+    }
+  }
+}
+
+module.exports = NotificationChannels;
+module.exports.WebhookChannel = WebhookChannel;
+module.exports.LogChannel = LogChannel;
+module.exports.FileChannel = FileChannel;
+module.exports.isPublicAddress = isPublicAddress;
@@ -0,0 +1,227 @@
+// Re-checks every active watch on a fixed interval and sends an alert when a
+// watch's condition becomes true.
+//
+// Checks go straight to the supplier adapter (Grainger's getLivePrices or the
+// shared ProductScraper) rather than the search cache, so a watch always sees
+// the live price. They still pass through the supplier's circuit breaker, and
+// the prices they see are added to the price history.
+//
+// `allowCheck(watch)` is asked before each scheduled check (the owner's
+// quota); a watch it turns down waits for the next run.
+//
+// Alerts fire on the transition to "condition met" (price_change fires on
+// every change), so a part that stays below its threshold alerts once, not
+// on every check.
+class WatchScheduler {
+  constructor({ store, registry, supplierSearch, channels, allowCheck = async () => true, intervalMs = 60 * 60 * 1000, maxResults = 10 }) {
+    this.store = store;
+    this.registry = registry;
+    this.supplierSearch = supplierSearch;
+    this.channels = channels;
+    this.allowCheck = allowCheck;
+    this.intervalMs = intervalMs;
+    this.maxResults = maxResults;
+    this.timer = null;
+    this.running = null;
+    this.lastRunAt = null;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.runAll(), this.intervalMs);
+    this.timer.unref();
+    console.log(`⏰ Watch checks every ${Math.round(this.intervalMs / 60000)} minutes`);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Checks watches one at a time so a big watch list never floods a supplier.
+  // A run that is still going is shared instead of starting a second one.
+  runAll() {
+    if (!this.running) {
+      this.running = (async () => {
+        const watches = (await this.store.list()).filter(watch => watch.active);
+        const outcomes = [];
+        let deferred = 0;
+
+        for (const watch of watches) {
+          if (!(await this.allowCheck(watch))) {
+            deferred++;
+            continue;
+          }
+          try {
+            outcomes.push(await this.check(watch));
+          } catch (error) {
+            // Saving the outcome failed; the watch is checked again next run
+            console.error(`❌ Watch check for ${watch.id} failed:`, error.message);
+          }
+        }
+
+        this.lastRunAt = new Date().toISOString();
+        const triggered = outcomes.filter(outcome => outcome.triggered).length;
+        console.log(`👀 Checked ${outcomes.length} watches, ${triggered} triggered${deferred ? `, ${deferred} deferred (quota)` : ''}`);
+        return outcomes;
+      })().finally(() => {
+        this.running = null;
+      });
+    }
+    return this.running;
+  }
+
+  normalizePart(value) {
+    return String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  }
+
+  // The watched part among the search results: the supplier's own item number
+  // first, then the manufacturer or canonical part number (cheapest if several)
+  findMatch(results, partNumber) {
+    const wanted = this.normalizePart(partNumber);
+
+    const exact = results.find(result => {
+      const itemNumber = this.normalizePart(result.partNumber);
+      return itemNumber === wanted || itemNumber.endsWith(wanted);
+    });
+    if (exact) return exact;
+
+    const byDesignation = results.filter(result =>
+      [result.manufacturerPartNumber, result.canonicalPart].some(value => value && this.normalizePart(value) === wanted)
+    );
+    return byDesignation.sort((a, b) => (a.price ?? Infinity) - (b.price ?? Infinity))[0] || null;
+  }
+
+  async observe(watch) {
+    const checkedAt = new Date().toISOString();
+    const adapter = this.registry.get(watch.supplier);
+
+    if (!adapter) {
+      return { found: false, checkedAt, error: `Supplier ${watch.supplier} is not enabled` };
+    }
+
+    try {
+      const breaker = this.supplierSearch.getBreaker(adapter.id);
+      const results = await breaker.call(() => adapter.search(watch.partNumber, this.maxResults));
+      this.supplierSearch.recordPrices(results);
+
+      const partNormalizer = this.supplierSearch.partNormalizer;
+      const match = this.findMatch(partNormalizer ? partNormalizer.tagResults(results) : results, watch.partNumber);
+
+      if (!match) {
+        return { found: false, checkedAt, resultCount: results.length };
+      }
+
+      return {
+        found: true,
+        checkedAt,
+        partNumber: match.partNumber,
+        name: match.name,
+        price: match.price,
+        priceText: match.priceText,
+        unitPrice: match.pricing ? match.pricing.unitPrice : null,
+        inStock: match.inStock,
+        availability: match.availability,
+        productUrl: match.productUrl
+      };
+    } catch (error) {
+      return { found: false, checkedAt, error: error.message };
+    }
+  }
+
+  // true / false, or null when this check can't tell (part not found, error)
+  evaluate(condition, observation, previous) {
+    if (!observation.found) return null;
+
+    switch (condition.type) {
+      case 'price_below':
+        return observation.price != null ? observation.price < condition.threshold : null;
+      case 'price_above':
+        return observation.price != null ? observation.price > condition.threshold : null;
+      case 'back_in_stock':
+        return observation.inStock === true;
+      case 'price_change':
+        if (!previous || !previous.found || previous.price == null || observation.price == null) return null;
+        return observation.price !== previous.price;
+      default:
+        return null;
+    }
+  }
+
+  describeAlert(watch, observation, previous) {
+    const supplier = this.registry.get(watch.supplier);
+    const supplierName = supplier ? supplier.name : watch.supplier;
+    const part = `${supplierName} ${watch.partNumber}`;
+    const price = observation.price != null ? `$${observation.price.toFixed(2)}` : 'an unknown price';
+
+    switch (watch.condition.type) {
+      case 'price_below':
+        return `${part} dropped to ${price} (below $${watch.condition.threshold.toFixed(2)})`;
+      case 'price_above':
+        return `${part} rose to ${price} (above $${watch.condition.threshold.toFixed(2)})`;
+      case 'back_in_stock':
+        return `${part} is back in stock at ${price}`;
+      case 'price_change':
+        return `${part} changed from $${previous.price.toFixed(2)} to ${price}`;
+      default:
+        return `${part} matched its watch`;
+    }
+  }
+
+  async check(watch) {
+    const previous = watch.lastCheck;
+    const observation = await this.observe(watch);
+    const conditionMet = this.evaluate(watch.condition, observation, previous);
+
+    const triggered = conditionMet === true &&
+      (watch.condition.type === 'price_change' || watch.conditionMet !== true);
+
+    const changes = {
+      lastCheck: observation,
+      conditionMet: conditionMet === null ? watch.conditionMet : conditionMet
+    };
+
+    let delivery = null;
+    if (triggered) {
+      const notification = {
+        event: 'watch.triggered',
+        message: this.describeAlert(watch, observation, previous),
+        watch: {
+          id: watch.id,
+          label: watch.label,
+          supplier: watch.supplier,
+          partNumber: watch.partNumber,
+          condition: watch.condition
+        },
+        observation,
+        previous: previous || null,
+        triggeredAt: observation.checkedAt
+      };
+
+      delivery = await this.channels.deliver(notification, watch.notify);
+      changes.triggerCount = (watch.triggerCount || 0) + 1;
+      changes.lastTriggeredAt = observation.checkedAt;
+      await this.store.addNotification(watch.id, {
+        message: notification.message,
+        triggeredAt: notification.triggeredAt,
+        ...delivery
+      });
+    }
+
+    const updated = await this.store.update(watch.id, changes);
+    return { watch: updated || watch, observation, conditionMet, triggered, delivery };
+  }
+
+  describe() {
+    return {
+      running: !!this.timer,
+      intervalMinutes: Math.round(this.intervalMs / 60000),
+      checkInProgress: !!this.running,
+      lastRunAt: this.lastRunAt,
+      channels: this.channels.types(),
+      defaultChannel: this.channels.defaultChannel
+    };
+  }
+}
+
+module.exports = WatchScheduler;
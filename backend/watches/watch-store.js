@@ -0,0 +1,150 @@
+const crypto = require('crypto');
+const JsonFile = require('../storage/json-file');
+
+const CONDITION_TYPES = ['price_below', 'price_above', 'back_in_stock', 'price_change'];
+const MAX_NOTIFICATIONS_KEPT = 20;
+
+class WatchValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'WatchValidationError';
+  }
+}
+
+// Watches on one supplier part, persisted to a JSON file.
+//
+// A watch looks like:
+//   {
+//     id, ownerId, label, supplier: 'grainger', partNumber: '1ZGB9',
+//     condition: { type: 'price_below', threshold: 9 },
+//     notify: { channel: 'webhook', url: 'https://...' } (optional, else the default channel),
+//     active, createdAt, lastCheck, conditionMet, triggerCount, notifications: [...]
+//   }
+//
+// Condition types:
+//   price_below / price_above - price crosses `threshold`
+//   back_in_stock             - the part shows as in stock
+//   price_change              - the price differs from the previous check
+class WatchStore {
+  constructor({ filePath } = {}) {
+    if (!filePath) {
+      throw new Error('WatchStore requires a filePath');
+    }
+
+    this.filePath = filePath;
+    this.watches = new Map();
+    this.file = new JsonFile(filePath, { label: 'watches' });
+  }
+
+  load() {
+    return this.file.load(watches => {
+      for (const watch of watches) {
+        this.watches.set(watch.id, watch);
+      }
+      console.log(`👀 Loaded ${this.watches.size} watches from ${this.filePath}`);
+    });
+  }
+
+  persist() {
+    return this.file.write(Array.from(this.watches.values()));
+  }
+
+  validate({ supplier, partNumber, condition, notify }, { supplierIds, channelTypes }) {
+    if (!supplier || !supplierIds.includes(supplier)) {
+      throw new WatchValidationError(`supplier must be one of: ${supplierIds.join(', ')}`);
+    }
+    if (!partNumber || String(partNumber).trim().length < 2) {
+      throw new WatchValidationError('partNumber is required');
+    }
+    if (!condition || !CONDITION_TYPES.includes(condition.type)) {
+      throw new WatchValidationError(`condition.type must be one of: ${CONDITION_TYPES.join(', ')}`);
+    }
+    if (['price_below', 'price_above'].includes(condition.type)) {
+      const threshold = Number(condition.threshold);
+      if (!Number.isFinite(threshold) || threshold <= 0) {
+        throw new WatchValidationError(`${condition.type} needs a positive numeric condition.threshold`);
+      }
+    }
+    if (notify) {
+      if (!channelTypes.includes(notify.channel)) {
+        throw new WatchValidationError(`notify.channel must be one of: ${channelTypes.join(', ')}`);
+      }
+      if (notify.channel === 'webhook' && notify.url && !/^https?:\/\//i.test(notify.url)) {
+        throw new WatchValidationError('notify.url must be an http(s) URL');
+      }
+    }
+  }
+
+  async create(fields, context) {
+    await this.load();
+    this.validate(fields, context);
+
+    const { supplier, partNumber, condition, notify, label, ownerId } = fields;
+    const watch = {
+      id: crypto.randomUUID(),
+      ownerId: ownerId || null,
+      label: label || `${supplier} ${partNumber} ${condition.type.replace(/_/g, ' ')}`,
+      supplier,
+      partNumber: String(partNumber).trim(),
+      condition: condition.threshold != null
+        ? { type: condition.type, threshold: Number(condition.threshold) }
+        : { type: condition.type },
+      notify: notify || null,
+      active: true,
+      createdAt: new Date().toISOString(),
+      lastCheck: null,
+      conditionMet: null,
+      triggerCount: 0,
+      lastTriggeredAt: null,
+      notifications: []
+    };
+
+    this.watches.set(watch.id, watch);
+    await this.persist();
+    return watch;
+  }
+
+  async list() {
+    await this.load();
+    return Array.from(this.watches.values());
+  }
+
+  async get(id) {
+    await this.load();
+    return this.watches.get(id) || null;
+  }
+
+  async update(id, changes) {
+    await this.load();
+    const watch = this.watches.get(id);
+    if (!watch) return null;
+
+    Object.assign(watch, changes);
+    await this.persist();
+    return watch;
+  }
+
+  async addNotification(id, notification) {
+    await this.load();
+    const watch = this.watches.get(id);
+    if (!watch) return;
+
+    watch.notifications.push(notification);
+    if (watch.notifications.length > MAX_NOTIFICATIONS_KEPT) {
+      watch.notifications.splice(0, watch.notifications.length - MAX_NOTIFICATIONS_KEPT);
+    }
+    await this.persist();
+  }
+
+  async remove(id) {
+    await this.load();
+    const existed = this.watches.delete(id);
+    if (existed) await this.persist();
+    return existed;
+  }
+}
+
+WatchStore.CONDITION_TYPES = CONDITION_TYPES;
+
+module.exports = WatchStore;
+module.exports.WatchValidationError = WatchValidationError;
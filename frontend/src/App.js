@@ -1,94 +1,317 @@
 import React, { useState, useRef } from 'react';
-import { Search, Camera, Mic, MicOff, ExternalLink, DollarSign, Zap, CheckCircle, AlertCircle } from 'lucide-react';
+import { Search, Camera, Mic, MicOff, ExternalLink, DollarSign, Zap, CheckCircle, AlertCircle, FileSpreadsheet, LogOut, ListChecks, Wrench } from 'lucide-react';
+import FilterSidebar, { EMPTY_FILTERS, filterParams, hasActiveFilters } from './FilterSidebar';
+import BomResults from './BomResults';
+import AuthPanel from './AuthPanel';
+import PartLists, { SaveToList } from './PartLists';
+import EquipmentRegistry, { AssetCard, LinkToEquipment, describeAsset } from './EquipmentRegistry';
+import { API_BASE_URL, apiFetch, authedUrl, getToken, quotaMessage, setToken, setUnauthorizedHandler, webUrl } from './api';
 import './App.css';
 
-// Update this with your actual Railway backend URL
-const API_BASE_URL = process.env.REACT_APP_API_URL || 
-  (process.env.NODE_ENV === 'production' 
-    ? 'https://blue-collar-buddy-production.up.railway.app'  // Replace with your actual Railway URL
-    : 'http://localhost:3001');
-
 const App = () => {
   const [searchQuery, setSearchQuery] = useState('');
   const [searchResults, setSearchResults] = useState([]);
   const [isLoading, setIsLoading] = useState(false);
   const [isListening, setIsListening] = useState(false);
-  const [userCredits, setUserCredits] = useState(8);
+  const [account, setAccount] = useState(null);
+  const [isCheckingSession, setIsCheckingSession] = useState(!!getToken());
   const [error, setError] = useState('');
+  const [supplierProgress, setSupplierProgress] = useState({});
+  const [nextCursor, setNextCursor] = useState(null);
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
+  const [activeQuery, setActiveQuery] = useState('');
+  const [facets, setFacets] = useState(null);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [sort, setSort] = useState('relevance');
+  const [bom, setBom] = useState(null);
+  const [isImportingBom, setIsImportingBom] = useState(false);
+  const [view, setView] = useState('search');
+  const [lists, setLists] = useState([]);
+  const [assets, setAssets] = useState([]);
+  const [equipmentMatches, setEquipmentMatches] = useState([]);
   const fileInputRef = useRef(null);
+  const bomInputRef = useRef(null);
+  const searchStreamRef = useRef(null);
+  const userCredits = account ? account.credits : 0;
+
+  // The server owns the balance; every charged response reports it
+  const updateCredits = (credits) => {
+    if (credits && credits.balance !== undefined) {
+      setAccount(prev => (prev ? { ...prev, credits: credits.balance } : prev));
+    }
+  };
+
+  // Transform backend data to match frontend format. The backend groups the
+  // same part across suppliers, so each card can compare every offer.
+  const toDisplayResults = (parts, firstId = 1) => parts.map((part, index) => ({
+    id: firstId + index,
+    partNumber: part.partNumber,
+    manufacturerPartNumber: part.manufacturerPartNumber || null,
+    name: part.name,
+    category: (part.offers.find(offer => offer.category) || {}).category || 'Uncategorized',
+    dimensions: part.dimensions || 'Contact supplier for specifications',
+    specs: {
+      supplier: part.offers.map(offer => offer.supplier).join(', '),
+      availability: part.offers[0].availability || 'Available',
+      lastUpdated: part.offers[0].lastUpdated
+    },
+    suppliers: part.offers.map(offer => ({
+      name: offer.supplier,
+      partNumber: offer.partNumber,
+      price: offer.price || 0,
+      priceUnit: describePriceUnit(offer.pricing),
+      inStock: offer.inStock !== false,
+      shipping: 'Contact Supplier',
+      url: webUrl(offer.productUrl) || '#'
+    })),
+    alternatives: [],
+    // The site's assets this part is linked to
+    equipment: part.equipment || []
+  }));
+
+  // "per pack of 100 · $0.12/ea", or a warning when the supplier didn't say
+  const describePriceUnit = (pricing) => {
+    if (!pricing || pricing.amount == null) return null;
+    if (!pricing.unit) return 'unit not stated';
+
+    const per = pricing.packSize > 1 ? `per ${pricing.unit} of ${pricing.packSize}` : `per ${pricing.unit}`;
+    if (!pricing.unitDetermined) return `${per} · quantity not stated`;
+    if (pricing.packSize > 1) return `${per} · $${pricing.unitPrice.toFixed(4).replace(/0{1,2}$/, '')}/ea`;
+    return per;
+  };
+
+  // Until the final summary arrives, each supplier result is shown as its own card
+  const ungroupedParts = (results) => results.map((result) => ({ ...result, offers: [result] }));
+
+  // Streams results over Server-Sent Events so the first supplier's prices
+  // show up without waiting for the slowest one. A new query starts with no
+  // filters; changing filters re-runs the same query without using a credit.
+  const handleSearch = (query, view = null) => {
+    if (!query.trim() || !account) return;
+
+    if (searchStreamRef.current) {
+      searchStreamRef.current.close();
+    }
+
+    const searchFilters = view ? view.filters : EMPTY_FILTERS;
+    const searchSort = view ? view.sort : 'relevance';
 
-  const handleSearch = async (query) => {
-    if (!query.trim()) return;
-    
     setIsLoading(true);
     setError('');
-    setUserCredits(prev => Math.max(0, prev - 1));
-    
+    setSearchResults([]);
+    setSupplierProgress({});
+    setNextCursor(null);
+    setEquipmentMatches([]);
+    setActiveQuery(query);
+    setFilters(searchFilters);
+    setSort(searchSort);
+    if (!view) {
+      setFacets(null);
+    }
+
+    console.log(`Searching for: ${query}`);
+    console.log(`API URL: ${API_BASE_URL}/api/search/stream`);
+
+    const params = filterParams(searchFilters, searchSort);
+    params.set('q', query);
+    const stream = new EventSource(authedUrl(`/api/search/stream?${params}`));
+    searchStreamRef.current = stream;
+    let streamedResults = [];
+    let currentAttempt = 0;
+
+    const finish = () => {
+      clearTimeout(timeout);
+      stream.close();
+      if (searchStreamRef.current === stream) {
+        searchStreamRef.current = null;
+      }
+      setIsLoading(false);
+    };
+
+    const timeout = setTimeout(() => {
+      setError(streamedResults.length > 0
+        ? 'Some suppliers took too long to respond. Showing the results received so far.'
+        : 'Search timed out. Please try again.');
+      finish();
+    }, 60000);
+
+    stream.addEventListener('enhancement', (event) => {
+      console.log('Query enhancement:', JSON.parse(event.data));
+    });
+
+    // A new attempt (enhanced query, suggestion, original) starts from scratch
+    stream.addEventListener('attempt', (event) => {
+      const { attempt, suppliers } = JSON.parse(event.data);
+      currentAttempt = attempt;
+      streamedResults = [];
+      setSupplierProgress(Object.fromEntries(suppliers.map(supplier => [supplier, { pending: true }])));
+    });
+
+    stream.addEventListener('supplier', (event) => {
+      const { attempt, supplier, results, status } = JSON.parse(event.data);
+      if (attempt !== currentAttempt) return;
+
+      setSupplierProgress(prev => ({ ...prev, [supplier]: status }));
+      if (results.length > 0) {
+        streamedResults = [...streamedResults, ...results];
+        setSearchResults(toDisplayResults(ungroupedParts(streamedResults)));
+      }
+    });
+
+    stream.addEventListener('summary', (event) => {
+      const data = JSON.parse(event.data);
+      console.log('API Response:', data);
+
+      setSupplierProgress(data.suppliers || {});
+      setSearchResults(data.found ? toDisplayResults(data.parts || ungroupedParts(data.results)) : []);
+      setNextCursor(data.nextCursor || null);
+      setFacets(data.facets || null);
+      setEquipmentMatches(data.equipmentMatches || []);
+      updateCredits(data.credits);
+      finish();
+    });
+
+    // Server-sent "error" events carry a body; connection failures do not
+    stream.addEventListener('error', (event) => {
+      if (event.data) {
+        const data = JSON.parse(event.data);
+        updateCredits(data.credits);
+        setError(data.code === 'insufficient_credits'
+          ? `Out of credits: ${data.error}. Ask an administrator about Pro for more searches.`
+          : quotaMessage(data) || `Search failed: ${data.message || data.error}`);
+      } else if (streamedResults.length === 0) {
+        console.error('Search stream failed:', event);
+        setError('Unable to connect to search service. Please check if the backend is running.');
+      } else {
+        setError('Connection lost. Showing the results received so far.');
+      }
+      finish();
+    });
+  };
+
+  const handleFiltersChange = (nextFilters, nextSort) => {
+    handleSearch(activeQuery, { filters: nextFilters, sort: nextSort });
+  };
+
+  // Next page of the same search, appended below the current results
+  const handleLoadMore = async () => {
+    if (!nextCursor) return;
+
+    setIsLoadingMore(true);
+    setError('');
+
     try {
-      console.log(`Searching for: ${query}`);
-      console.log(`API URL: ${API_BASE_URL}/api/search`);
-      
-      const response = await fetch(`${API_BASE_URL}/api/search?q=${encodeURIComponent(query)}`, {
-        method: 'GET',
-        headers: {
-          'Accept': 'application/json',
-          'Content-Type': 'application/json',
-        },
-        // Add timeout
-        signal: AbortSignal.timeout(30000)
+      const response = await apiFetch(`/api/search?cursor=${encodeURIComponent(nextCursor)}`, {
+        signal: AbortSignal.timeout(60000)
       });
-      
       const data = await response.json();
-      
+
       if (!response.ok) {
-        throw new Error(data.error || `HTTP ${response.status}: ${response.statusText}`);
+        throw new Error(quotaMessage(data) || data.message || data.error || `HTTP ${response.status}: ${response.statusText}`);
       }
-      
-      console.log('API Response:', data);
-      
-      // Transform backend data to match frontend format
-      const transformedResults = data.results.map((part, index) => ({
-        id: index + 1,
-        partNumber: part.partNumber,
-        name: part.name,
-        category: 'Industrial Parts',
-        dimensions: part.dimensions || 'Contact supplier for specifications',
-        specs: {
-          supplier: part.supplier,
-          availability: part.availability || 'Available',
-          lastUpdated: part.lastUpdated
-        },
-        suppliers: [{
-          name: part.supplier,
-          price: part.price || 0,
-          inStock: part.inStock !== false,
-          shipping: 'Contact Supplier',
-          url: part.productUrl || '#'
-        }],
-        alternatives: [],
-        equipment: ['Equipment compatibility data coming soon']
-      }));
-      
-      setSearchResults(transformedResults);
-      
+
+      setSearchResults(prev => [...prev, ...toDisplayResults(data.parts || ungroupedParts(data.results), prev.length + 1)]);
+      setNextCursor(data.nextCursor || null);
     } catch (error) {
-      console.error('Search failed:', error);
-      
-      // More specific error handling
-      if (error.name === 'TimeoutError') {
-        setError('Search timed out. Please try again.');
-      } else if (error.message.includes('fetch')) {
-        setError('Unable to connect to search service. Please check if the backend is running.');
-      } else {
-        setError(`Search failed: ${error.message}`);
-      }
-      
-      setSearchResults([]);
+      console.error('Loading more results failed:', error);
+      setError(`Could not load more results: ${error.message}`);
     } finally {
-      setIsLoading(false);
+      setIsLoadingMore(false);
     }
   };
 
+  // The signed-in user's part lists, for the list view and "Save" pickers
+  const loadLists = React.useCallback(async () => {
+    try {
+      const response = await apiFetch('/api/lists', { signal: AbortSignal.timeout(15000) });
+      if (response.ok) {
+        setLists((await response.json()).lists);
+      }
+    } catch (error) {
+      console.warn('⚠️ Could not load part lists:', error.message);
+    }
+  }, []);
+
+  // The site's registered equipment, for the equipment view and linking parts
+  const loadAssets = React.useCallback(async () => {
+    try {
+      const response = await apiFetch('/api/equipment', { signal: AbortSignal.timeout(15000) });
+      if (response.ok) {
+        setAssets((await response.json()).assets);
+      }
+    } catch (error) {
+      console.warn('⚠️ Could not load equipment:', error.message);
+    }
+  }, []);
+
+  const accountId = account ? account.id : null;
+  React.useEffect(() => {
+    if (accountId) {
+      loadLists();
+      loadAssets();
+    } else {
+      setLists([]);
+      setAssets([]);
+    }
+  }, [accountId, loadLists, loadAssets]);
+
+  // Show a newly linked asset on the result card it was linked from
+  const handlePartLinked = (cardId, asset, link) => {
+    loadAssets();
+    setSearchResults(prev => prev.map(card => (card.id !== cardId || card.equipment.some(use => use.assetId === asset.id)
+      ? card
+      : {
+        ...card,
+        equipment: [...card.equipment, {
+          assetId: asset.id,
+          name: asset.name,
+          make: asset.make,
+          model: asset.model,
+          location: asset.location,
+          position: link.position,
+          quantity: link.quantity
+        }]
+      })));
+  };
+
+  const searchFromElsewhere = (query) => {
+    setView('search');
+    setSearchQuery(query);
+    handleSearch(query);
+  };
+
+  // Restore the session from a stored token, and drop back to the sign-in
+  // panel whenever the server rejects it
+  React.useEffect(() => {
+    setUnauthorizedHandler(() => setAccount(null));
+    if (!getToken()) return;
+
+    apiFetch('/api/account', { signal: AbortSignal.timeout(10000) })
+      .then(response => (response.ok ? response.json() : null))
+      .then(data => setAccount(data ? data.account : null))
+      .catch(error => console.warn('⚠️ Could not restore session:', error.message))
+      .finally(() => setIsCheckingSession(false));
+  }, []);
+
+  const handleSignOut = () => {
+    if (searchStreamRef.current) {
+      searchStreamRef.current.close();
+    }
+    setToken(null);
+    setAccount(null);
+    setSearchResults([]);
+    setFacets(null);
+    setBom(null);
+    setView('search');
+  };
+
+  // Close any open stream when the app unmounts
+  React.useEffect(() => () => {
+    if (searchStreamRef.current) {
+      searchStreamRef.current.close();
+    }
+  }, []);
+
   // Test backend connection on component mount
   React.useEffect(() => {
     const testConnection = async () => {
@@ -131,6 +354,39 @@ const App = () => {
     }
   };
 
+  // Price every line of an uploaded CSV/XLSX bill of materials
+  const handleBomUpload = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    setIsImportingBom(true);
+    setError('');
+
+    try {
+      const body = new FormData();
+      body.append('file', file);
+
+      const response = await apiFetch('/api/bom/import', {
+        method: 'POST',
+        body,
+        signal: AbortSignal.timeout(300000)
+      });
+      const data = await response.json();
+
+      updateCredits(data.credits);
+      if (!response.ok) {
+        throw new Error(quotaMessage(data) || data.error || `HTTP ${response.status}: ${response.statusText}`);
+      }
+      setBom(data);
+    } catch (error) {
+      console.error('BOM import failed:', error);
+      setError(`BOM import failed: ${error.message}`);
+    } finally {
+      setIsImportingBom(false);
+    }
+  };
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-slate-900 to-slate-800 text-white">
       {/* Header */}
@@ -142,17 +398,43 @@ const App = () => {
               Blue Collar AI
             </h1>
           </div>
-          <div className="flex items-center space-x-4">
-            <div className="bg-slate-700 px-3 py-1 rounded-full text-sm">
-              <span className="text-gray-300">Credits: </span>
-              <span className={`font-bold ${userCredits <= 2 ? 'text-red-400' : 'text-green-400'}`}>
-                {userCredits}
+          {account && (
+            <div className="flex items-center space-x-4">
+              <nav className="flex items-center space-x-1">
+                {[
+                  { id: 'search', label: 'Search', Icon: Search },
+                  { id: 'lists', label: `My Lists (${lists.length})`, Icon: ListChecks },
+                  { id: 'equipment', label: `Equipment (${assets.length})`, Icon: Wrench }
+                ].map(({ id, label, Icon }) => (
+                  <button
+                    key={id}
+                    onClick={() => setView(id)}
+                    className={`flex items-center space-x-2 px-3 py-2 rounded-lg text-sm transition-colors ${
+                      view === id ? 'bg-blue-600 hover:bg-blue-700' : 'bg-slate-700 hover:bg-slate-600'
+                    }`}
+                  >
+                    <Icon className="h-4 w-4" />
+                    <span>{label}</span>
+                  </button>
+                ))}
+              </nav>
+              <div className="bg-slate-700 px-3 py-1 rounded-full text-sm">
+                <span className="text-gray-300">Credits: </span>
+                <span className={`font-bold ${userCredits <= 2 ? 'text-red-400' : 'text-green-400'}`}>
+                  {userCredits}
+                </span>
+              </div>
+              <span
+                className={`${account.plan === 'pro' ? 'bg-blue-600' : 'bg-slate-700 text-gray-300'} px-3 py-1 rounded-full text-sm font-medium`}
+                title={account.plan === 'pro' ? undefined : 'Ask an administrator to move you to Pro'}
+              >
+                {account.planName}
               </span>
+              <button onClick={handleSignOut} className="text-gray-400 hover:text-white" title={`Sign out ${account.email}`}>
+                <LogOut className="h-5 w-5" />
+              </button>
             </div>
-            <button className="bg-blue-600 hover:bg-blue-700 px-4 py-2 rounded-lg text-sm font-medium transition-colors">
-              Upgrade Pro
-            </button>
-          </div>
+          )}
         </div>
       </header>
 
@@ -175,55 +457,78 @@ const App = () => {
           </div>
         </div>
 
-        {/* Search Interface */}
-        <div className="bg-slate-800 rounded-xl p-6 mb-8 border border-slate-700">
-          <div className="flex gap-4 mb-4">
-            <div className="flex-1 relative">
-              <Search className="absolute left-3 top-3 h-5 w-5 text-gray-400" />
+        {/* Search Interface, once signed in */}
+        {!account ? (
+          !isCheckingSession && <AuthPanel onSignedIn={setAccount} />
+        ) : view === 'lists' ? (
+          <PartLists lists={lists} onListsChanged={loadLists} onCredits={updateCredits} />
+        ) : view === 'equipment' ? (
+          <EquipmentRegistry assets={assets} onAssetsChanged={loadAssets} onSearch={searchFromElsewhere} />
+        ) : (
+          <div className="bg-slate-800 rounded-xl p-6 mb-8 border border-slate-700">
+            <div className="flex gap-4 mb-4">
+              <div className="flex-1 relative">
+                <Search className="absolute left-3 top-3 h-5 w-5 text-gray-400" />
+                <input
+                  type="text"
+                  placeholder="Enter part number, equipment model, or description..."
+                  className="w-full pl-10 pr-4 py-3 bg-slate-700 border border-slate-600 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:border-blue-400"
+                  value={searchQuery}
+                  onChange={(e) => setSearchQuery(e.target.value)}
+                  onKeyPress={(e) => e.key === 'Enter' && handleSearch(searchQuery)}
+                />
+              </div>
+              <button
+                onClick={() => handleSearch(searchQuery)}
+                disabled={isLoading || userCredits === 0}
+                className="bg-blue-600 hover:bg-blue-700 disabled:bg-gray-600 px-6 py-3 rounded-lg font-medium transition-colors"
+              >
+                {isLoading ? 'Searching...' : 'Search'}
+              </button>
+            </div>
+
+            <div className="flex gap-4">
+              <button
+                onClick={() => fileInputRef.current?.click()}
+                className="flex items-center space-x-2 bg-slate-700 hover:bg-slate-600 px-4 py-2 rounded-lg transition-colors"
+              >
+                <Camera className="h-5 w-5" />
+                <span>Photo ID</span>
+              </button>
+              <button
+                onClick={handleVoiceSearch}
+                className={`flex items-center space-x-2 px-4 py-2 rounded-lg transition-colors ${
+                  isListening ? 'bg-red-600 hover:bg-red-700' : 'bg-slate-700 hover:bg-slate-600'
+                }`}
+              >
+                {isListening ? <MicOff className="h-5 w-5" /> : <Mic className="h-5 w-5" />}
+                <span>{isListening ? 'Listening...' : 'Voice Search'}</span>
+              </button>
+              <button
+                onClick={() => bomInputRef.current?.click()}
+                disabled={isImportingBom}
+                className="flex items-center space-x-2 bg-slate-700 hover:bg-slate-600 disabled:opacity-60 px-4 py-2 rounded-lg transition-colors"
+              >
+                <FileSpreadsheet className="h-5 w-5" />
+                <span>{isImportingBom ? 'Pricing BOM...' : 'Upload BOM'}</span>
+              </button>
+              <input
+                ref={fileInputRef}
+                type="file"
+                accept="image/*"
+                onChange={handleImageUpload}
+                className="hidden"
+              />
               <input
-                type="text"
-                placeholder="Enter part number, equipment model, or description..."
-                className="w-full pl-10 pr-4 py-3 bg-slate-700 border border-slate-600 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:border-blue-400"
-                value={searchQuery}
-                onChange={(e) => setSearchQuery(e.target.value)}
-                onKeyPress={(e) => e.key === 'Enter' && handleSearch(searchQuery)}
+                ref={bomInputRef}
+                type="file"
+                accept=".csv,.xlsx,text/csv,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+                onChange={handleBomUpload}
+                className="hidden"
               />
             </div>
-            <button
-              onClick={() => handleSearch(searchQuery)}
-              disabled={isLoading || userCredits === 0}
-              className="bg-blue-600 hover:bg-blue-700 disabled:bg-gray-600 px-6 py-3 rounded-lg font-medium transition-colors"
-            >
-              {isLoading ? 'Searching...' : 'Search'}
-            </button>
           </div>
-
-          <div className="flex gap-4">
-            <button
-              onClick={() => fileInputRef.current?.click()}
-              className="flex items-center space-x-2 bg-slate-700 hover:bg-slate-600 px-4 py-2 rounded-lg transition-colors"
-            >
-              <Camera className="h-5 w-5" />
-              <span>Photo ID</span>
-            </button>
-            <button
-              onClick={handleVoiceSearch}
-              className={`flex items-center space-x-2 px-4 py-2 rounded-lg transition-colors ${
-                isListening ? 'bg-red-600 hover:bg-red-700' : 'bg-slate-700 hover:bg-slate-600'
-              }`}
-            >
-              {isListening ? <MicOff className="h-5 w-5" /> : <Mic className="h-5 w-5" />}
-              <span>{isListening ? 'Listening...' : 'Voice Search'}</span>
-            </button>
-            <input
-              ref={fileInputRef}
-              type="file"
-              accept="image/*"
-              onChange={handleImageUpload}
-              className="hidden"
-            />
-          </div>
-        </div>
+        )}
 
         {/* Error Message */}
         {error && (
@@ -235,98 +540,206 @@ const App = () => {
           </div>
         )}
 
-        {/* Quick Access Buttons */}
-        <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-8">
-          {[
-            { label: 'Bearings', query: '6203 bearing' },
-            { label: 'Gaskets', query: 'hydraulic gasket' },
-            { label: 'Fasteners', query: 'M8 bolt' },
-            { label: 'Seals', query: 'oil seal' }
-          ].map((item) => (
-            <button
-              key={item.label}
-              onClick={() => handleSearch(item.query)}
-              className="bg-slate-700 hover:bg-slate-600 p-4 rounded-lg text-center transition-colors"
-            >
-              {item.label}
-            </button>
-          ))}
-        </div>
+        {view === 'search' && (
+          <>
+            {/* BOM Quote */}
+            {bom && <BomResults bom={bom} onClose={() => setBom(null)} />}
+
+            {/* Registered equipment the query names, with its linked parts */}
+            {equipmentMatches.length > 0 && (
+              <div className="grid gap-4 mb-6">
+                {equipmentMatches.map(asset => (
+                  <AssetCard key={asset.id} asset={asset} onSearch={searchFromElsewhere} />
+                ))}
+              </div>
+            )}
 
-        {/* Search Results */}
-        {searchResults.length > 0 && (
-          <div className="space-y-6">
-            {searchResults.map((part) => (
-              <div key={part.id} className="bg-slate-800 rounded-xl p-6 border border-slate-700">
-                <div className="flex items-start justify-between mb-4">
-                  <div>
-                    <h3 className="text-2xl font-bold text-white mb-2">{part.name}</h3>
-                    <p className="text-gray-300 mb-1">Part #: <span className="font-mono text-blue-400">{part.partNumber}</span></p>
-                    <p className="text-gray-300">Category: {part.category}</p>
+            {/* Supplier Progress */}
+            {Object.keys(supplierProgress).length > 0 && (
+              <div className="flex flex-wrap gap-2 mb-4 text-sm">
+                {Object.entries(supplierProgress).map(([supplier, status]) => (
+                  <div key={supplier} className="flex items-center space-x-2 bg-slate-800 border border-slate-700 px-3 py-1 rounded-full">
+                    {status.pending ? (
+                      <div className="w-2 h-2 bg-blue-400 rounded-full animate-pulse"></div>
+                    ) : status.skipped ? (
+                      <AlertCircle className="h-4 w-4 text-yellow-400" />
+                    ) : (
+                      <CheckCircle className="h-4 w-4 text-green-400" />
+                    )}
+                    <span className="text-gray-300">{supplier}</span>
+                    <span className="text-gray-400">
+                      {status.pending ? 'searching...' : status.skipped ? 'unavailable' : `${status.resultCount} found`}
+                    </span>
                   </div>
-                </div>
-
-                {/* Suppliers */}
-                <div className="mb-6">
-                  <h4 className="text-lg font-semibold mb-3 flex items-center">
-                    <DollarSign className="h-5 w-5 mr-2 text-green-400" />
-                    Supplier Information
-                  </h4>
-                  <div className="grid gap-3">
-                    {part.suppliers.map((supplier, index) => (
-                      <div key={index} className="flex items-center justify-between p-3 bg-slate-700 rounded-lg">
-                        <div className="flex items-center space-x-4">
-                          <div className="font-medium text-white">{supplier.name}</div>
-                          <div className="flex items-center space-x-2 text-sm text-gray-300">
-                            {supplier.inStock ? (
-                              <><CheckCircle className="h-4 w-4 text-green-400" /> Available</>
-                            ) : (
-                              <><AlertCircle className="h-4 w-4 text-red-400" /> Check Availability</>
-                            )}
+                ))}
+              </div>
+            )}
+
+            {/* Quick Access Buttons */}
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-8">
+              {[
+                { label: 'Bearings', query: '6203 bearing' },
+                { label: 'Gaskets', query: 'hydraulic gasket' },
+                { label: 'Fasteners', query: 'M8 bolt' },
+                { label: 'Seals', query: 'oil seal' }
+              ].map((item) => (
+                <button
+                  key={item.label}
+                  onClick={() => handleSearch(item.query)}
+                  className="bg-slate-700 hover:bg-slate-600 p-4 rounded-lg text-center transition-colors"
+                >
+                  {item.label}
+                </button>
+              ))}
+            </div>
+
+            {/* Results, with a filter sidebar once the first search has facets */}
+            <div className="flex flex-col md:flex-row gap-6">
+              {facets && (
+                <FilterSidebar
+                  key={activeQuery}
+                  facets={facets}
+                  filters={filters}
+                  sort={sort}
+                  disabled={isLoading}
+                  onChange={handleFiltersChange}
+                />
+              )}
+
+              <div className="flex-1 min-w-0">
+                {/* Search Results */}
+                {searchResults.length > 0 && (
+                  <div className="space-y-6">
+                    {searchResults.map((part) => (
+                      <div key={part.id} className="bg-slate-800 rounded-xl p-6 border border-slate-700">
+                        <div className="flex items-start justify-between mb-4">
+                          <div>
+                            <h3 className="text-2xl font-bold text-white mb-2">{part.name}</h3>
+                            <p className="text-gray-300 mb-1">Part #: <span className="font-mono text-blue-400">{part.partNumber}</span></p>
+                            <p className="text-gray-300">Category: {part.category}</p>
+                          </div>
+                        </div>
+
+                        {/* Suppliers */}
+                        <div className="mb-6">
+                          <h4 className="text-lg font-semibold mb-3 flex items-center">
+                            <DollarSign className="h-5 w-5 mr-2 text-green-400" />
+                            Supplier Information
+                          </h4>
+                          <div className="grid gap-3">
+                            {part.suppliers.map((supplier, index) => (
+                              <div key={index} className="flex items-center justify-between p-3 bg-slate-700 rounded-lg">
+                                <div className="flex items-center space-x-4">
+                                  <div className="font-medium text-white">{supplier.name}</div>
+                                  {supplier.partNumber !== part.partNumber && (
+                                    <div className="text-sm font-mono text-gray-400">#{supplier.partNumber}</div>
+                                  )}
+                                  <div className="flex items-center space-x-2 text-sm text-gray-300">
+                                    {supplier.inStock ? (
+                                      <><CheckCircle className="h-4 w-4 text-green-400" /> Available</>
+                                    ) : (
+                                      <><AlertCircle className="h-4 w-4 text-red-400" /> Check Availability</>
+                                    )}
+                                  </div>
+                                </div>
+                                <div className="flex items-center space-x-4">
+                                  <SaveToList
+                                    item={{
+                                      query: activeQuery,
+                                      supplier: supplier.name,
+                                      partNumber: supplier.partNumber,
+                                      name: part.name,
+                                      price: supplier.price > 0 ? supplier.price : null,
+                                      productUrl: supplier.url !== '#' ? supplier.url : null
+                                    }}
+                                    lists={lists}
+                                    onSaved={loadLists}
+                                  />
+                                  {supplier.price > 0 && (
+                                    <div className="text-right">
+                                      <div className="text-2xl font-bold text-green-400">${supplier.price}</div>
+                                      {supplier.priceUnit && (
+                                        <div className="text-xs text-gray-400">{supplier.priceUnit}</div>
+                                      )}
+                                    </div>
+                                  )}
+                                  <a
+                                    href={supplier.url}
+                                    target="_blank"
+                                    rel="noopener noreferrer"
+                                    className="bg-blue-600 hover:bg-blue-700 px-4 py-2 rounded-lg text-sm font-medium transition-colors flex items-center space-x-2"
+                                  >
+                                    <ExternalLink className="h-4 w-4" />
+                                    <span>View Details</span>
+                                  </a>
+                                </div>
+                              </div>
+                            ))}
                           </div>
                         </div>
-                        <div className="flex items-center space-x-4">
-                          {supplier.price > 0 && (
-                            <div className="text-2xl font-bold text-green-400">${supplier.price}</div>
-                          )}
-                          <a
-                            href={supplier.url}
-                            target="_blank"
-                            rel="noopener noreferrer"
-                            className="bg-blue-600 hover:bg-blue-700 px-4 py-2 rounded-lg text-sm font-medium transition-colors flex items-center space-x-2"
-                          >
-                            <ExternalLink className="h-4 w-4" />
-                            <span>View Details</span>
-                          </a>
+
+                        {/* Equipment Compatibility */}
+                        <div>
+                          <h4 className="text-lg font-semibold mb-3">Equipment Information</h4>
+                          <div className="grid grid-cols-1 gap-2 mb-3">
+                            {part.equipment.length === 0 && (
+                              <div className="p-2 bg-slate-700 rounded text-sm text-gray-400">Not linked to any of your equipment</div>
+                            )}
+                            {part.equipment.map(use => (
+                              <div key={use.assetId} className="p-2 bg-slate-700 rounded text-sm text-gray-300">
+                                <span className="text-white font-medium">{use.name}</span>
+                                {describeAsset(use) && <span className="text-gray-400"> · {describeAsset(use)}</span>}
+                                {use.position && <span> — {use.position}</span>}
+                                {use.quantity > 1 && <span className="text-gray-400"> (×{use.quantity})</span>}
+                              </div>
+                            ))}
+                          </div>
+                          <LinkToEquipment
+                            part={{
+                              supplier: part.suppliers[0].name,
+                              partNumber: part.suppliers[0].partNumber,
+                              manufacturerPartNumber: part.manufacturerPartNumber,
+                              name: part.name,
+                              query: activeQuery
+                            }}
+                            assets={assets}
+                            onLinked={(asset, link) => handlePartLinked(part.id, asset, link)}
+                          />
                         </div>
                       </div>
                     ))}
+
+                    {nextCursor && !isLoading && (
+                      <button
+                        onClick={handleLoadMore}
+                        disabled={isLoadingMore}
+                        className="w-full bg-slate-700 hover:bg-slate-600 disabled:bg-gray-600 py-3 rounded-lg font-medium transition-colors"
+                      >
+                        {isLoadingMore ? 'Loading more results...' : 'Load more results'}
+                      </button>
+                    )}
                   </div>
-                </div>
-
-                {/* Equipment Compatibility */}
-                <div>
-                  <h4 className="text-lg font-semibold mb-3">Equipment Information</h4>
-                  <div className="grid grid-cols-1 gap-2">
-                    {part.equipment.map((equipment, index) => (
-                      <div key={index} className="p-2 bg-slate-700 rounded text-sm text-gray-300">
-                        {equipment}
-                      </div>
-                    ))}
+                )}
+
+                {/* No Results */}
+                {searchResults.length === 0 && searchQuery && !isLoading && !error && (
+                  <div className="text-center py-12">
+                    <AlertCircle className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+                    <p className="text-gray-300 text-lg">
+                      {hasActiveFilters(filters)
+                        ? `No parts match the selected filters for "${activeQuery}"`
+                        : `No parts found for "${searchQuery}"`}
+                    </p>
+                    <p className="text-gray-400 text-sm mt-2">
+                      {hasActiveFilters(filters)
+                        ? 'Clear some filters to see more results'
+                        : 'Try a different part number or equipment model'}
+                    </p>
                   </div>
-                </div>
+                )}
               </div>
-            ))}
-          </div>
-        )}
-
-        {/* No Results */}
-        {searchResults.length === 0 && searchQuery && !isLoading && !error && (
-          <div className="text-center py-12">
-            <AlertCircle className="h-12 w-12 text-gray-400 mx-auto mb-4" />
-            <p className="text-gray-300 text-lg">No parts found for "{searchQuery}"</p>
-            <p className="text-gray-400 text-sm mt-2">Try a different part number or equipment model</p>
-          </div>
+            </div>
+          </>
         )}
       </div>
     </div>
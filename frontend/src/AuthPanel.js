@@ -0,0 +1,103 @@
+import React, { useState } from 'react';
+import { LogIn, AlertCircle } from 'lucide-react';
+import { API_BASE_URL, setToken } from './api';
+
+// Sign in or create an account; calls onSignedIn with the account on success
+const AuthPanel = ({ onSignedIn }) => {
+  const [mode, setMode] = useState('login');
+  const [form, setForm] = useState({ name: '', email: '', password: '' });
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setIsSubmitting(true);
+    setError('');
+
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/auth/${mode}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+        body: JSON.stringify(mode === 'register' ? form : { email: form.email, password: form.password }),
+        signal: AbortSignal.timeout(15000)
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || `HTTP ${response.status}: ${response.statusText}`);
+      }
+
+      setToken(data.token);
+      onSignedIn(data.account);
+    } catch (error) {
+      console.error(`Auth ${mode} failed:`, error);
+      setError(error.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const fields = [
+    ...(mode === 'register' ? [{ key: 'name', label: 'Name', type: 'text', autoComplete: 'name' }] : []),
+    { key: 'email', label: 'Email', type: 'email', autoComplete: 'email', required: true },
+    {
+      key: 'password',
+      label: 'Password',
+      type: 'password',
+      autoComplete: mode === 'register' ? 'new-password' : 'current-password',
+      required: true,
+      minLength: mode === 'register' ? 8 : undefined
+    }
+  ];
+
+  return (
+    <div className="bg-slate-800 rounded-xl p-6 mb-8 border border-slate-700 max-w-md mx-auto">
+      <h3 className="text-xl font-bold mb-4 flex items-center">
+        <LogIn className="h-5 w-5 mr-2 text-blue-400" />
+        {mode === 'login' ? 'Sign in to search' : 'Create your account'}
+      </h3>
+
+      <form onSubmit={handleSubmit} className="space-y-3">
+        {fields.map(field => (
+          <label key={field.key} className="block text-sm text-gray-300">
+            {field.label}
+            <input
+              type={field.type}
+              required={field.required}
+              minLength={field.minLength}
+              autoComplete={field.autoComplete}
+              value={form[field.key]}
+              onChange={(e) => setForm({ ...form, [field.key]: e.target.value })}
+              className="mt-1 w-full bg-slate-700 border border-slate-600 rounded-lg px-3 py-2 text-white focus:outline-none focus:border-blue-400"
+            />
+          </label>
+        ))}
+
+        {error && (
+          <p className="text-red-400 text-sm flex items-center">
+            <AlertCircle className="h-4 w-4 mr-1" /> {error}
+          </p>
+        )}
+
+        <button
+          type="submit"
+          disabled={isSubmitting}
+          className="w-full bg-blue-600 hover:bg-blue-700 disabled:bg-gray-600 px-4 py-2 rounded-lg font-medium transition-colors"
+        >
+          {isSubmitting ? 'Please wait...' : mode === 'login' ? 'Sign in' : 'Create account'}
+        </button>
+      </form>
+
+      <p className="text-sm text-gray-400 mt-4 text-center">
+        {mode === 'login' ? 'New here? ' : 'Already have an account? '}
+        <button
+          onClick={() => { setMode(mode === 'login' ? 'register' : 'login'); setError(''); }}
+          className="text-blue-400 hover:text-blue-300"
+        >
+          {mode === 'login' ? 'Create an account' : 'Sign in'}
+        </button>
+      </p>
+    </div>
+  );
+};
+
+export default AuthPanel;
@@ -0,0 +1,261 @@
+import React, { useState } from 'react';
+import { Download, ExternalLink, X, AlertCircle, FileText } from 'lucide-react';
+import { apiFetch, quotaMessage, webUrl } from './api';
+
+const formatMoney = (value) => (value == null ? '—' : `$${Number(value).toFixed(2)}`);
+
+// Priced BOM from an uploaded spreadsheet: one row per line, the total split
+// by supplier, CSV/XLSX export, and per-supplier RFQ documents
+const BomResults = ({ bom, onClose }) => {
+  const [exporting, setExporting] = useState(null);
+  const [exportError, setExportError] = useState('');
+  const [showRfqForm, setShowRfqForm] = useState(false);
+  const [requester, setRequester] = useState({ name: '', company: '', email: '' });
+  const [isCreatingQuote, setIsCreatingQuote] = useState(false);
+  const [quote, setQuote] = useState(null);
+  const { summary, lines } = bom;
+  const skipped = (bom.import && bom.import.skipped) || [];
+
+  const handleExport = async (format) => {
+    setExporting(format);
+    setExportError('');
+
+    try {
+      const response = await apiFetch(`/api/bom/export?format=${format}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ lines, summary }),
+        signal: AbortSignal.timeout(30000)
+      });
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(quotaMessage(data) || data.error || `HTTP ${response.status}: ${response.statusText}`);
+      }
+
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `bom-quote.${format}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('BOM export failed:', error);
+      setExportError(`Export failed: ${error.message}`);
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  // Fetched with the session header and saved from a Blob URL, so the session
+  // token never goes into a link (browser history, proxy logs, shared URLs)
+  const handleRfqDocument = async (rfq, format) => {
+    setExportError('');
+
+    try {
+      const response = await apiFetch(rfq.documents[format], { signal: AbortSignal.timeout(30000) });
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || `HTTP ${response.status}: ${response.statusText}`);
+      }
+
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${rfq.reference}.${format}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('RFQ download failed:', error);
+      setExportError(`Could not download the RFQ: ${error.message}`);
+    }
+  };
+
+  const handleCreateQuote = async (event) => {
+    event.preventDefault();
+    setIsCreatingQuote(true);
+    setExportError('');
+
+    try {
+      const response = await apiFetch('/api/quotes', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ requester, items: lines }),
+        signal: AbortSignal.timeout(30000)
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(quotaMessage(data) || data.error || `HTTP ${response.status}: ${response.statusText}`);
+      }
+      setQuote(data.quote);
+      setShowRfqForm(false);
+    } catch (error) {
+      console.error('Creating quote failed:', error);
+      setExportError(`Could not create RFQs: ${error.message}`);
+    } finally {
+      setIsCreatingQuote(false);
+    }
+  };
+
+  return (
+    <div className="bg-slate-800 rounded-xl p-6 mb-8 border border-slate-700">
+      <div className="flex items-start justify-between mb-4">
+        <div>
+          <h3 className="text-2xl font-bold text-white mb-1">BOM Quote</h3>
+          <p className="text-gray-300 text-sm">
+            {bom.import ? `${bom.import.fileName} · ` : ''}
+            {summary.resolvedCount} of {summary.lineCount} lines priced
+          </p>
+        </div>
+        <div className="flex items-center space-x-2">
+          {['csv', 'xlsx'].map(format => (
+            <button
+              key={format}
+              onClick={() => handleExport(format)}
+              disabled={exporting !== null}
+              className="flex items-center space-x-1 bg-slate-700 hover:bg-slate-600 disabled:opacity-60 px-3 py-2 rounded-lg text-sm transition-colors"
+            >
+              <Download className="h-4 w-4" />
+              <span>{exporting === format ? 'Exporting...' : format.toUpperCase()}</span>
+            </button>
+          ))}
+          <button
+            onClick={() => setShowRfqForm(!showRfqForm)}
+            disabled={summary.resolvedCount === 0}
+            className="flex items-center space-x-1 bg-blue-600 hover:bg-blue-700 disabled:bg-gray-600 px-3 py-2 rounded-lg text-sm transition-colors"
+          >
+            <FileText className="h-4 w-4" />
+            <span>Request quotes</span>
+          </button>
+          <button onClick={onClose} className="text-gray-400 hover:text-white p-2" aria-label="Close BOM quote">
+            <X className="h-5 w-5" />
+          </button>
+        </div>
+      </div>
+
+      {exportError && <p className="text-red-400 text-sm mb-3">{exportError}</p>}
+
+      {showRfqForm && (
+        <form onSubmit={handleCreateQuote} className="flex flex-wrap items-end gap-3 bg-slate-700 rounded-lg p-4 mb-4">
+          {[
+            { key: 'name', label: 'Your name', type: 'text', required: true },
+            { key: 'company', label: 'Company', type: 'text' },
+            { key: 'email', label: 'Email', type: 'email' }
+          ].map(field => (
+            <label key={field.key} className="flex flex-col text-sm text-gray-300">
+              {field.label}
+              <input
+                type={field.type}
+                required={field.required}
+                value={requester[field.key]}
+                onChange={(e) => setRequester({ ...requester, [field.key]: e.target.value })}
+                className="mt-1 bg-slate-800 border border-slate-600 rounded-lg px-2 py-1 text-white"
+              />
+            </label>
+          ))}
+          <button
+            type="submit"
+            disabled={isCreatingQuote}
+            className="bg-blue-600 hover:bg-blue-700 disabled:bg-gray-600 px-4 py-2 rounded-lg text-sm font-medium transition-colors"
+          >
+            {isCreatingQuote ? 'Creating...' : 'Create RFQs'}
+          </button>
+        </form>
+      )}
+
+      {quote && (
+        <div className="bg-slate-700 rounded-lg p-4 mb-4 text-sm">
+          <p className="text-gray-300 mb-2">
+            RFQ <span className="font-mono text-blue-400">{quote.reference}</span> — one document per supplier:
+          </p>
+          <div className="flex flex-wrap gap-3">
+            {quote.rfqs.map(rfq => (
+              <span key={rfq.supplier} className="flex items-center space-x-2 bg-slate-800 px-3 py-1 rounded-full">
+                <span className="text-white">{rfq.supplierName}</span>
+                <button onClick={() => handleRfqDocument(rfq, 'pdf')} className="text-blue-400 hover:text-blue-300">PDF</button>
+                <button onClick={() => handleRfqDocument(rfq, 'html')} className="text-blue-400 hover:text-blue-300">HTML</button>
+              </span>
+            ))}
+          </div>
+        </div>
+      )}
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-400 border-b border-slate-700">
+              <th className="py-2 pr-3">#</th>
+              <th className="py-2 pr-3">Requested</th>
+              <th className="py-2 pr-3 text-right">Qty</th>
+              <th className="py-2 pr-3">Supplier</th>
+              <th className="py-2 pr-3">Product</th>
+              <th className="py-2 pr-3 text-right">Unit</th>
+              <th className="py-2 pr-3 text-right">Extended</th>
+              <th className="py-2">Stock</th>
+            </tr>
+          </thead>
+          <tbody>
+            {lines.map(line => (
+              <tr key={line.line} className="border-b border-slate-700 align-top">
+                <td className="py-2 pr-3 text-gray-400">{line.line}</td>
+                <td className="py-2 pr-3 text-white">
+                  {line.query}
+                  {line.notes && <div className="text-xs text-gray-400">{line.notes}</div>}
+                </td>
+                <td className="py-2 pr-3 text-right">{line.quantity}</td>
+                {line.unresolved ? (
+                  <td colSpan="5" className="py-2 text-yellow-400">
+                    <span className="flex items-center">
+                      <AlertCircle className="h-4 w-4 mr-1" />
+                      {line.reason === 'error'
+                        ? 'Search failed — suppliers unavailable, not charged'
+                        : `Unresolved${line.alternatives.length > 0 ? ` — ${line.alternatives.length} possible matches` : ''}`}
+                    </span>
+                  </td>
+                ) : (
+                  <>
+                    <td className="py-2 pr-3 text-blue-400">{line.bestOffer.supplier}</td>
+                    <td className="py-2 pr-3 text-gray-300">
+                      {webUrl(line.bestOffer.productUrl) ? (
+                        <a href={webUrl(line.bestOffer.productUrl)} target="_blank" rel="noopener noreferrer" className="hover:text-white inline-flex items-start">
+                          <span>{line.bestOffer.name}</span>
+                          <ExternalLink className="h-3 w-3 ml-1 mt-1 shrink-0" />
+                        </a>
+                      ) : line.bestOffer.name}
+                    </td>
+                    <td className="py-2 pr-3 text-right">{formatMoney(line.bestOffer.unitPrice)}</td>
+                    <td className="py-2 pr-3 text-right text-green-400 font-semibold">{formatMoney(line.bestOffer.extendedCost)}</td>
+                    <td className={`py-2 ${line.bestOffer.inStock ? 'text-green-400' : 'text-red-400'}`}>
+                      {line.bestOffer.inStock ? 'In stock' : 'Out'}
+                    </td>
+                  </>
+                )}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="flex flex-wrap items-end justify-between gap-4 mt-4">
+        <div className="flex flex-wrap gap-2 text-sm">
+          {summary.bySupplier.map(entry => (
+            <span key={entry.supplier} className="bg-slate-700 px-3 py-1 rounded-full text-gray-300">
+              {entry.name}: {formatMoney(entry.total)} ({entry.lineCount})
+            </span>
+          ))}
+        </div>
+        <div className="text-right">
+          <span className="text-gray-400 mr-2">Total</span>
+          <span className="text-2xl font-bold text-green-400">{formatMoney(summary.total)}</span>
+        </div>
+      </div>
+
+      {skipped.length > 0 && (
+        <p className="text-xs text-gray-400 mt-3">
+          Skipped {skipped.map(row => `row ${row.row} (${row.reason})`).join(', ')}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default BomResults;
@@ -0,0 +1,266 @@
+import React, { useState } from 'react';
+import { Link2, Plus, Search, Trash2, AlertCircle } from 'lucide-react';
+import { apiFetch, quotaMessage } from './api';
+
+const ASSET_FIELDS = [
+  { key: 'name', label: 'Name', placeholder: 'Line 3 conveyor', required: true },
+  { key: 'make', label: 'Make', placeholder: 'Hytrol' },
+  { key: 'model', label: 'Model', placeholder: 'TA' },
+  { key: 'serial', label: 'Serial' },
+  { key: 'location', label: 'Location', placeholder: 'Building 2' }
+];
+const EMPTY_ASSET = Object.fromEntries(ASSET_FIELDS.map(field => [field.key, '']));
+
+// Throws the server's message for a failed response
+const readJson = async (response) => {
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(quotaMessage(data) || data.error || `HTTP ${response.status}: ${response.statusText}`);
+  }
+  return data;
+};
+
+// "Make · Model · Location", skipping what's unknown
+export const describeAsset = (asset) => [asset.make, asset.model, asset.location].filter(Boolean).join(' · ');
+
+// What to search for to find a linked part again
+export const linkedPartQuery = (part) => part.manufacturerPartNumber || part.query || part.name || part.partNumber;
+
+// Link the part on a result card to one of the site's assets. `part` is what
+// the equipment API takes ({ supplier, partNumber, manufacturerPartNumber,
+// name, query }); `onLinked` gets the asset and the new link.
+export const LinkToEquipment = ({ part, assets, onLinked }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [assetId, setAssetId] = useState('');
+  const [position, setPosition] = useState('');
+  const [isLinking, setIsLinking] = useState(false);
+  const [error, setError] = useState('');
+  const targetId = assetId || (assets[0] && assets[0].id) || '';
+
+  const handleLink = async (event) => {
+    event.preventDefault();
+    setIsLinking(true);
+    setError('');
+
+    try {
+      const data = await readJson(await apiFetch(`/api/equipment/${targetId}/parts`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...part, position })
+      }));
+      setIsOpen(false);
+      setPosition('');
+      onLinked(data.asset, data.part);
+    } catch (error) {
+      console.error('Linking part failed:', error);
+      setError(error.message);
+    } finally {
+      setIsLinking(false);
+    }
+  };
+
+  if (assets.length === 0) {
+    return <p className="text-xs text-gray-400">Register equipment under "Equipment" to link parts to it.</p>;
+  }
+
+  if (!isOpen) {
+    return (
+      <button
+        onClick={() => setIsOpen(true)}
+        className="flex items-center space-x-1 text-sm text-blue-400 hover:text-blue-300"
+      >
+        <Link2 className="h-4 w-4" />
+        <span>Link to equipment</span>
+      </button>
+    );
+  }
+
+  return (
+    <form onSubmit={handleLink} className="flex flex-wrap items-center gap-2 text-sm">
+      <select
+        value={targetId}
+        onChange={(e) => setAssetId(e.target.value)}
+        className="bg-slate-700 border border-slate-600 rounded-lg px-2 py-1 text-white"
+      >
+        {assets.map(asset => <option key={asset.id} value={asset.id}>{asset.name}</option>)}
+      </select>
+      <input
+        placeholder="Position (e.g. tail pulley)"
+        value={position}
+        onChange={(e) => setPosition(e.target.value)}
+        className="bg-slate-700 border border-slate-600 rounded-lg px-2 py-1 text-white w-48"
+      />
+      <button
+        type="submit"
+        disabled={isLinking}
+        className="bg-blue-600 hover:bg-blue-700 disabled:bg-gray-600 px-3 py-1 rounded-lg font-medium transition-colors"
+      >
+        {isLinking ? 'Linking...' : 'Link'}
+      </button>
+      <button type="button" onClick={() => setIsOpen(false)} className="text-gray-400 hover:text-white">
+        Cancel
+      </button>
+      {error && <span className="text-red-400 w-full">{error}</span>}
+    </form>
+  );
+};
+
+// One asset and its linked parts; `onSearch` looks a part up again
+export const AssetCard = ({ asset, onSearch, onUnlink }) => (
+  <div className="bg-slate-800 rounded-xl p-6 border border-slate-700">
+    <h3 className="text-xl font-bold">{asset.name}</h3>
+    <p className="text-gray-300 text-sm mb-3">
+      {describeAsset(asset) || 'No make or model recorded'}
+      {asset.serial && <span className="text-gray-400"> · S/N {asset.serial}</span>}
+    </p>
+    {asset.parts.length === 0 ? (
+      <p className="text-sm text-gray-400">No parts linked yet. Link parts from search results.</p>
+    ) : (
+      <div className="grid gap-2">
+        {asset.parts.map(part => (
+          <div key={part.id} className="flex items-center justify-between p-2 bg-slate-700 rounded text-sm">
+            <div>
+              <div className="text-white">{part.name}</div>
+              <div className="text-xs text-gray-400">
+                {[part.position, part.quantity > 1 && `qty ${part.quantity}`, part.supplier, part.partNumber && `#${part.partNumber}`]
+                  .filter(Boolean)
+                  .join(' · ')}
+              </div>
+            </div>
+            <div className="flex items-center space-x-3">
+              <button
+                onClick={() => onSearch(linkedPartQuery(part))}
+                className="text-blue-400 hover:text-blue-300"
+                aria-label={`Search for ${part.name}`}
+              >
+                <Search className="h-4 w-4" />
+              </button>
+              {onUnlink && (
+                <button onClick={() => onUnlink(part)} className="text-gray-400 hover:text-red-400" aria-label={`Unlink ${part.name}`}>
+                  <Trash2 className="h-4 w-4" />
+                </button>
+              )}
+            </div>
+          </div>
+        ))}
+      </div>
+    )}
+  </div>
+);
+
+// The site's equipment: register assets and review the parts linked to each
+const EquipmentRegistry = ({ assets, onAssetsChanged, onSearch }) => {
+  const [form, setForm] = useState(EMPTY_ASSET);
+  const [selectedId, setSelectedId] = useState(null);
+  const [error, setError] = useState('');
+  const selected = assets.find(asset => asset.id === selectedId) || null;
+
+  const run = async (action, label) => {
+    setError('');
+    try {
+      await action();
+    } catch (error) {
+      console.error(`${label} failed:`, error);
+      setError(`${label} failed: ${error.message}`);
+    }
+  };
+
+  const handleCreate = (event) => {
+    event.preventDefault();
+    return run(async () => {
+      const data = await readJson(await apiFetch('/api/equipment', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(form)
+      }));
+      setForm(EMPTY_ASSET);
+      setSelectedId(data.asset.id);
+      await onAssetsChanged();
+    }, 'Registering the asset');
+  };
+
+  const handleDelete = () => run(async () => {
+    if (!window.confirm(`Remove "${selected.name}" and its linked parts?`)) return;
+    await readJson(await apiFetch(`/api/equipment/${selected.id}`, { method: 'DELETE' }));
+    setSelectedId(null);
+    await onAssetsChanged();
+  }, 'Removing the asset');
+
+  const handleUnlink = (part) => run(async () => {
+    await readJson(await apiFetch(`/api/equipment/${selected.id}/parts/${part.id}`, { method: 'DELETE' }));
+    await onAssetsChanged();
+  }, 'Unlinking the part');
+
+  return (
+    <div className="flex flex-col md:flex-row gap-6 mb-8">
+      <aside className="md:w-64 shrink-0 bg-slate-800 rounded-xl p-4 border border-slate-700 self-start">
+        <h3 className="font-semibold mb-3">Equipment</h3>
+        <div className="space-y-1">
+          {assets.length === 0 && <p className="text-sm text-gray-400">No equipment registered yet.</p>}
+          {assets.map(asset => (
+            <button
+              key={asset.id}
+              onClick={() => setSelectedId(asset.id)}
+              className={`w-full text-left px-3 py-2 rounded-lg text-sm transition-colors ${
+                selectedId === asset.id ? 'bg-blue-600' : 'hover:bg-slate-700'
+              }`}
+            >
+              <div className="text-white">{asset.name}</div>
+              <div className="text-xs text-gray-400">{asset.parts.length} parts{asset.location ? ` · ${asset.location}` : ''}</div>
+            </button>
+          ))}
+        </div>
+      </aside>
+
+      <div className="flex-1 min-w-0 space-y-6">
+        {error && (
+          <p className="text-red-400 text-sm flex items-center">
+            <AlertCircle className="h-4 w-4 mr-1" /> {error}
+          </p>
+        )}
+
+        {selected && (
+          <div className="relative">
+            <AssetCard asset={selected} onSearch={onSearch} onUnlink={handleUnlink} />
+            <button
+              onClick={handleDelete}
+              className="absolute top-6 right-6 text-gray-400 hover:text-red-400"
+              aria-label={`Remove ${selected.name}`}
+            >
+              <Trash2 className="h-5 w-5" />
+            </button>
+          </div>
+        )}
+
+        <form onSubmit={handleCreate} className="bg-slate-800 rounded-xl p-6 border border-slate-700">
+          <h3 className="font-semibold mb-3 flex items-center">
+            <Plus className="h-5 w-5 mr-2 text-blue-400" />
+            Register equipment
+          </h3>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-3 mb-4">
+            {ASSET_FIELDS.map(field => (
+              <label key={field.key} className="block text-sm text-gray-300">
+                {field.label}
+                <input
+                  required={field.required}
+                  placeholder={field.placeholder}
+                  value={form[field.key]}
+                  onChange={(e) => setForm({ ...form, [field.key]: e.target.value })}
+                  className="mt-1 w-full bg-slate-700 border border-slate-600 rounded-lg px-3 py-2 text-white focus:outline-none focus:border-blue-400"
+                />
+              </label>
+            ))}
+          </div>
+          <button
+            type="submit"
+            className="bg-blue-600 hover:bg-blue-700 px-4 py-2 rounded-lg font-medium transition-colors"
+          >
+            Add asset
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default EquipmentRegistry;
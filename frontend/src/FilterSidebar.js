@@ -0,0 +1,167 @@
+import React, { useState } from 'react';
+import { Filter, X } from 'lucide-react';
+
+export const EMPTY_FILTERS = {
+  supplier: [],
+  manufacturer: [],
+  category: [],
+  inStock: false,
+  minPrice: '',
+  maxPrice: ''
+};
+
+const SORT_OPTIONS = [
+  { value: 'relevance', label: 'Best match' },
+  { value: 'price_asc', label: 'Price: low to high' },
+  { value: 'price_desc', label: 'Price: high to low' },
+  { value: 'name', label: 'Name' }
+];
+
+// Query-string parameters for the search API
+export const filterParams = (filters, sort) => {
+  const params = new URLSearchParams();
+  ['supplier', 'manufacturer', 'category'].forEach(key => {
+    if (filters[key].length > 0) params.set(key, filters[key].join(','));
+  });
+  if (filters.inStock) params.set('inStock', 'true');
+  if (filters.minPrice !== '') params.set('minPrice', filters.minPrice);
+  if (filters.maxPrice !== '') params.set('maxPrice', filters.maxPrice);
+  if (sort !== 'relevance') params.set('sort', sort);
+  return params;
+};
+
+export const hasActiveFilters = (filters) =>
+  filters.supplier.length > 0 || filters.manufacturer.length > 0 || filters.category.length > 0 ||
+  filters.inStock || filters.minPrice !== '' || filters.maxPrice !== '';
+
+// One checkbox per facet value with its result count. Selected values stay
+// listed even when the current results no longer contain them.
+const FacetGroup = ({ title, options, selected, onToggle }) => {
+  const values = [
+    ...options,
+    ...selected.filter(value => !options.some(option => option.value === value)).map(value => ({ value, count: 0 }))
+  ];
+  if (values.length === 0) return null;
+
+  return (
+    <div className="mb-5">
+      <h4 className="text-sm font-semibold text-gray-300 mb-2">{title}</h4>
+      <div className="space-y-1">
+        {values.map(option => (
+          <label key={option.value} className="flex items-center justify-between text-sm text-gray-300 cursor-pointer">
+            <span className="flex items-center space-x-2">
+              <input
+                type="checkbox"
+                checked={selected.includes(option.value)}
+                onChange={() => onToggle(option.value)}
+                className="accent-blue-500"
+              />
+              <span>{option.label || option.value}</span>
+            </span>
+            <span className="text-gray-500">{option.count}</span>
+          </label>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+const FilterSidebar = ({ facets, filters, sort, disabled, onChange }) => {
+  const [minPrice, setMinPrice] = useState(filters.minPrice);
+  const [maxPrice, setMaxPrice] = useState(filters.maxPrice);
+
+  const toggle = (key, value) => {
+    const current = filters[key];
+    const next = current.includes(value) ? current.filter(item => item !== value) : [...current, value];
+    onChange({ ...filters, [key]: next }, sort);
+  };
+
+  const applyPrice = () => {
+    if (minPrice !== filters.minPrice || maxPrice !== filters.maxPrice) {
+      onChange({ ...filters, minPrice, maxPrice }, sort);
+    }
+  };
+
+  const clearAll = () => {
+    setMinPrice('');
+    setMaxPrice('');
+    onChange(EMPTY_FILTERS, sort);
+  };
+
+  return (
+    <aside className={`md:w-64 shrink-0 bg-slate-800 rounded-xl p-4 border border-slate-700 h-fit ${disabled ? 'opacity-60 pointer-events-none' : ''}`}>
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="font-semibold flex items-center">
+          <Filter className="h-4 w-4 mr-2 text-blue-400" />
+          Filters
+        </h3>
+        {hasActiveFilters(filters) && (
+          <button onClick={clearAll} className="text-xs text-blue-400 hover:text-blue-300 flex items-center">
+            <X className="h-3 w-3 mr-1" /> Clear
+          </button>
+        )}
+      </div>
+
+      <div className="mb-5">
+        <h4 className="text-sm font-semibold text-gray-300 mb-2">Sort by</h4>
+        <select
+          value={sort}
+          onChange={(e) => onChange(filters, e.target.value)}
+          className="w-full bg-slate-700 border border-slate-600 rounded-lg px-2 py-1 text-sm text-white"
+        >
+          {SORT_OPTIONS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+      </div>
+
+      <label className="flex items-center justify-between text-sm text-gray-300 mb-5 cursor-pointer">
+        <span className="flex items-center space-x-2">
+          <input
+            type="checkbox"
+            checked={filters.inStock}
+            onChange={() => onChange({ ...filters, inStock: !filters.inStock }, sort)}
+            className="accent-blue-500"
+          />
+          <span>In stock only</span>
+        </span>
+        <span className="text-gray-500">{facets.inStock ? facets.inStock.count : 0}</span>
+      </label>
+
+      <FacetGroup title="Supplier" options={facets.suppliers || []} selected={filters.supplier} onToggle={(value) => toggle('supplier', value)} />
+      <FacetGroup title="Manufacturer" options={facets.manufacturers || []} selected={filters.manufacturer} onToggle={(value) => toggle('manufacturer', value)} />
+      <FacetGroup title="Category" options={facets.categories || []} selected={filters.category} onToggle={(value) => toggle('category', value)} />
+
+      <div>
+        <h4 className="text-sm font-semibold text-gray-300 mb-2">Unit price</h4>
+        <div className="flex items-center space-x-2">
+          <input
+            type="number"
+            min="0"
+            step="0.01"
+            placeholder={facets.price ? `$${facets.price.min}` : 'Min'}
+            value={minPrice}
+            onChange={(e) => setMinPrice(e.target.value)}
+            onBlur={applyPrice}
+            onKeyPress={(e) => e.key === 'Enter' && applyPrice()}
+            className="w-full bg-slate-700 border border-slate-600 rounded-lg px-2 py-1 text-sm text-white"
+          />
+          <span className="text-gray-500">–</span>
+          <input
+            type="number"
+            min="0"
+            step="0.01"
+            placeholder={facets.price ? `$${facets.price.max}` : 'Max'}
+            value={maxPrice}
+            onChange={(e) => setMaxPrice(e.target.value)}
+            onBlur={applyPrice}
+            onKeyPress={(e) => e.key === 'Enter' && applyPrice()}
+            className="w-full bg-slate-700 border border-slate-600 rounded-lg px-2 py-1 text-sm text-white"
+          />
+        </div>
+      </div>
+    </aside>
+  );
+};
+
+export default FilterSidebar;
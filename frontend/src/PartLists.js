@@ -0,0 +1,380 @@
+import React, { useState } from 'react';
+import { BookmarkPlus, Plus, RefreshCw, Trash2, ExternalLink, AlertCircle, FileText } from 'lucide-react';
+import BomResults from './BomResults';
+import { apiFetch, quotaMessage, webUrl } from './api';
+
+const formatMoney = (value) => (value == null ? '—' : `$${Number(value).toFixed(2)}`);
+
+// Throws the server's message for a failed response
+const readJson = async (response) => {
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(quotaMessage(data) || data.error || `HTTP ${response.status}: ${response.statusText}`);
+  }
+  return data;
+};
+
+// "Save" on a supplier offer: pick one of the user's lists (or name a new
+// one), a quantity and notes. `item` is the offer as the list API takes it.
+export const SaveToList = ({ item, lists, onSaved }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [listId, setListId] = useState('');
+  const [newName, setNewName] = useState('');
+  const [quantity, setQuantity] = useState(1);
+  const [notes, setNotes] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const [message, setMessage] = useState('');
+  const targetId = listId || (lists[0] && lists[0].id) || 'new';
+
+  const handleSave = async (event) => {
+    event.preventDefault();
+    setIsSaving(true);
+    setMessage('');
+
+    try {
+      const saved = { ...item, quantity: Number(quantity), notes };
+      const data = targetId === 'new'
+        ? await readJson(await apiFetch('/api/lists', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ name: newName, items: [saved] })
+        }))
+        : await readJson(await apiFetch(`/api/lists/${targetId}/items`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(saved)
+        }));
+
+      setIsOpen(false);
+      setMessage(`Saved to ${data.list.name}`);
+      onSaved(data.list);
+    } catch (error) {
+      console.error('Saving to list failed:', error);
+      setMessage(error.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  if (!isOpen) {
+    return (
+      <div className="flex items-center space-x-2">
+        {message && <span className="text-xs text-gray-400">{message}</span>}
+        <button
+          onClick={() => { setIsOpen(true); setMessage(''); }}
+          className="bg-slate-600 hover:bg-slate-500 px-3 py-2 rounded-lg text-sm transition-colors flex items-center space-x-1"
+          title="Save to a part list"
+        >
+          <BookmarkPlus className="h-4 w-4" />
+          <span>Save</span>
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={handleSave} className="flex flex-wrap items-center gap-2 text-sm">
+      <select
+        value={targetId}
+        onChange={(e) => setListId(e.target.value)}
+        className="bg-slate-800 border border-slate-600 rounded-lg px-2 py-1 text-white"
+      >
+        {lists.map(list => <option key={list.id} value={list.id}>{list.name}</option>)}
+        <option value="new">New list...</option>
+      </select>
+      {targetId === 'new' && (
+        <input
+          required
+          placeholder="List name"
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+          className="bg-slate-800 border border-slate-600 rounded-lg px-2 py-1 text-white w-36"
+        />
+      )}
+      <input
+        type="number"
+        min="1"
+        step="1"
+        required
+        value={quantity}
+        onChange={(e) => setQuantity(e.target.value)}
+        className="bg-slate-800 border border-slate-600 rounded-lg px-2 py-1 text-white w-16"
+        aria-label="Quantity"
+      />
+      <input
+        placeholder="Notes"
+        value={notes}
+        onChange={(e) => setNotes(e.target.value)}
+        className="bg-slate-800 border border-slate-600 rounded-lg px-2 py-1 text-white w-32"
+      />
+      <button
+        type="submit"
+        disabled={isSaving}
+        className="bg-blue-600 hover:bg-blue-700 disabled:bg-gray-600 px-3 py-1 rounded-lg font-medium transition-colors"
+      >
+        {isSaving ? 'Saving...' : 'Save'}
+      </button>
+      <button type="button" onClick={() => setIsOpen(false)} className="text-gray-400 hover:text-white">
+        Cancel
+      </button>
+      {message && <span className="text-red-400 w-full">{message}</span>}
+    </form>
+  );
+};
+
+// Saved part lists / job kits: pick a list, edit quantities and notes, and
+// re-price the whole kit against today's supplier results
+const PartLists = ({ lists, onListsChanged, onCredits }) => {
+  const [selected, setSelected] = useState(null);
+  const [newName, setNewName] = useState('');
+  const [isPricing, setIsPricing] = useState(false);
+  const [quoteBom, setQuoteBom] = useState(null);
+  const [error, setError] = useState('');
+
+  const run = async (action, label) => {
+    setError('');
+    try {
+      return await action();
+    } catch (error) {
+      console.error(`${label} failed:`, error);
+      setError(`${label} failed: ${error.message}`);
+      return null;
+    }
+  };
+
+  const openList = (id) => run(async () => {
+    const data = await readJson(await apiFetch(`/api/lists/${id}`));
+    setSelected(data.list);
+    setQuoteBom(null);
+  }, 'Opening the list');
+
+  const handleCreate = (event) => {
+    event.preventDefault();
+    return run(async () => {
+      const data = await readJson(await apiFetch('/api/lists', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name: newName })
+      }));
+      setNewName('');
+      setSelected(data.list);
+      onListsChanged();
+    }, 'Creating the list');
+  };
+
+  const handleDeleteList = () => run(async () => {
+    if (!window.confirm(`Delete "${selected.name}"?`)) return;
+    await readJson(await apiFetch(`/api/lists/${selected.id}`, { method: 'DELETE' }));
+    setSelected(null);
+    setQuoteBom(null);
+    onListsChanged();
+  }, 'Deleting the list');
+
+  const updateItem = (item, changes) => run(async () => {
+    const data = await readJson(await apiFetch(`/api/lists/${selected.id}/items/${item.id}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(changes)
+    }));
+    setSelected(data.list);
+  }, 'Updating the item');
+
+  const removeItem = (item) => run(async () => {
+    const data = await readJson(await apiFetch(`/api/lists/${selected.id}/items/${item.id}`, { method: 'DELETE' }));
+    setSelected(data.list);
+    onListsChanged();
+  }, 'Removing the item');
+
+  const handlePrice = async () => {
+    setIsPricing(true);
+    await run(async () => {
+      const response = await apiFetch(`/api/lists/${selected.id}/price`, {
+        method: 'POST',
+        signal: AbortSignal.timeout(300000)
+      });
+      const data = await response.json();
+      onCredits(data.credits);
+      if (!response.ok) {
+        throw new Error(quotaMessage(data) || data.error || `HTTP ${response.status}: ${response.statusText}`);
+      }
+      setSelected(data.list);
+      setQuoteBom(data);
+      onListsChanged();
+    }, 'Pricing the list');
+    setIsPricing(false);
+  };
+
+  return (
+    <div className="flex flex-col md:flex-row gap-6 mb-8">
+      <aside className="md:w-64 shrink-0 bg-slate-800 rounded-xl p-4 border border-slate-700 self-start">
+        <h3 className="font-semibold mb-3">My Lists</h3>
+        <div className="space-y-1 mb-4">
+          {lists.length === 0 && <p className="text-sm text-gray-400">No lists yet. Save parts from a search or create one.</p>}
+          {lists.map(list => (
+            <button
+              key={list.id}
+              onClick={() => openList(list.id)}
+              className={`w-full text-left px-3 py-2 rounded-lg text-sm transition-colors ${
+                selected && selected.id === list.id ? 'bg-blue-600' : 'hover:bg-slate-700'
+              }`}
+            >
+              <div className="text-white">{list.name}</div>
+              <div className="text-xs text-gray-400">
+                {list.itemCount} items{list.lastPricing ? ` · ${formatMoney(list.lastPricing.total)}` : ''}
+              </div>
+            </button>
+          ))}
+        </div>
+        <form onSubmit={handleCreate} className="flex gap-2">
+          <input
+            required
+            placeholder="New list name"
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            className="flex-1 min-w-0 bg-slate-700 border border-slate-600 rounded-lg px-2 py-1 text-sm text-white"
+          />
+          <button type="submit" className="bg-slate-700 hover:bg-slate-600 p-2 rounded-lg" aria-label="Create list">
+            <Plus className="h-4 w-4" />
+          </button>
+        </form>
+      </aside>
+
+      <div className="flex-1 min-w-0">
+        {error && (
+          <p className="text-red-400 text-sm flex items-center mb-3">
+            <AlertCircle className="h-4 w-4 mr-1" /> {error}
+          </p>
+        )}
+
+        {!selected ? (
+          <div className="text-center py-12 text-gray-400">Pick a list to see its parts and today's cost.</div>
+        ) : (
+          <div className="bg-slate-800 rounded-xl p-6 border border-slate-700 mb-6">
+            <div className="flex flex-wrap items-start justify-between gap-4 mb-4">
+              <div>
+                <h3 className="text-2xl font-bold">{selected.name}</h3>
+                <p className="text-gray-300 text-sm">
+                  {selected.items.length} items
+                  {selected.lastPricing && ` · last priced ${new Date(selected.lastPricing.pricedAt).toLocaleString()}`}
+                </p>
+              </div>
+              <div className="flex items-center gap-2">
+                <button
+                  onClick={handlePrice}
+                  disabled={isPricing || selected.items.length === 0}
+                  className="flex items-center space-x-1 bg-blue-600 hover:bg-blue-700 disabled:bg-gray-600 px-3 py-2 rounded-lg text-sm font-medium transition-colors"
+                  title={`Uses ${selected.items.length} credits`}
+                >
+                  <RefreshCw className={`h-4 w-4 ${isPricing ? 'animate-spin' : ''}`} />
+                  <span>{isPricing ? 'Pricing...' : 'Re-price now'}</span>
+                </button>
+                <button onClick={handleDeleteList} className="text-gray-400 hover:text-red-400 p-2" aria-label="Delete list">
+                  <Trash2 className="h-5 w-5" />
+                </button>
+              </div>
+            </div>
+
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-400 border-b border-slate-700">
+                    <th className="py-2 pr-3">Part</th>
+                    <th className="py-2 pr-3">Qty</th>
+                    <th className="py-2 pr-3">Notes</th>
+                    <th className="py-2 pr-3 text-right">Saved</th>
+                    <th className="py-2 pr-3 text-right">Today</th>
+                    <th className="py-2 pr-3 text-right">Extended</th>
+                    <th className="py-2"></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {selected.items.map(item => (
+                    <tr key={item.id} className="border-b border-slate-700 align-top">
+                      <td className="py-2 pr-3 text-white">
+                        {webUrl(item.productUrl) ? (
+                          <a href={webUrl(item.productUrl)} target="_blank" rel="noopener noreferrer" className="hover:text-blue-300 inline-flex items-start">
+                            <span>{item.name}</span>
+                            <ExternalLink className="h-3 w-3 ml-1 mt-1 shrink-0" />
+                          </a>
+                        ) : item.name}
+                        <div className="text-xs text-gray-400">
+                          {[item.supplier, item.partNumber && `#${item.partNumber}`].filter(Boolean).join(' ')}
+                        </div>
+                      </td>
+                      <td className="py-2 pr-3">
+                        <input
+                          type="number"
+                          min="1"
+                          step="1"
+                          defaultValue={item.quantity}
+                          onBlur={(e) => Number(e.target.value) !== item.quantity && updateItem(item, { quantity: Number(e.target.value) })}
+                          className="bg-slate-700 border border-slate-600 rounded px-2 py-1 text-white w-16"
+                          aria-label={`Quantity of ${item.name}`}
+                        />
+                      </td>
+                      <td className="py-2 pr-3">
+                        <input
+                          defaultValue={item.notes || ''}
+                          onBlur={(e) => e.target.value !== (item.notes || '') && updateItem(item, { notes: e.target.value })}
+                          className="bg-slate-700 border border-slate-600 rounded px-2 py-1 text-white w-full min-w-24"
+                          aria-label={`Notes for ${item.name}`}
+                        />
+                      </td>
+                      <td className="py-2 pr-3 text-right text-gray-300">{formatMoney(item.savedPrice)}</td>
+                      <td className="py-2 pr-3 text-right">
+                        {item.lastPrice ? (
+                          <>
+                            <div className="text-white">{formatMoney(item.lastPrice.price)}</div>
+                            {item.lastPrice.changeFromSaved ? (
+                              <div className={`text-xs ${item.lastPrice.changeFromSaved > 0 ? 'text-red-400' : 'text-green-400'}`}>
+                                {item.lastPrice.changeFromSaved > 0 ? '+' : ''}{item.lastPrice.changeFromSaved.toFixed(2)}
+                              </div>
+                            ) : item.lastPrice.supplier !== item.supplier && (
+                              <div className="text-xs text-gray-400">from {item.lastPrice.supplier}</div>
+                            )}
+                          </>
+                        ) : <span className="text-gray-500">—</span>}
+                      </td>
+                      <td className="py-2 pr-3 text-right text-green-400 font-semibold">
+                        {formatMoney(item.lastPrice && item.lastPrice.extendedCost)}
+                      </td>
+                      <td className="py-2 text-right">
+                        <button onClick={() => removeItem(item)} className="text-gray-400 hover:text-red-400" aria-label={`Remove ${item.name}`}>
+                          <Trash2 className="h-4 w-4" />
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            {selected.lastPricing && (
+              <div className="flex flex-wrap items-end justify-between gap-4 mt-4">
+                <p className="text-xs text-gray-400">
+                  {selected.lastPricing.unresolvedCount > 0 && `${selected.lastPricing.unresolvedCount} items found no priced offer. `}
+                  Saved prices are from when each part was added.
+                </p>
+                <div className="text-right">
+                  <span className="text-gray-400 mr-2">Kit total today</span>
+                  <span className="text-2xl font-bold text-green-400">{formatMoney(selected.lastPricing.total)}</span>
+                </div>
+              </div>
+            )}
+
+            {quoteBom && (
+              <p className="text-sm text-gray-300 mt-4 flex items-center">
+                <FileText className="h-4 w-4 mr-1 text-blue-400" />
+                Export this pricing or request quotes below.
+              </p>
+            )}
+          </div>
+        )}
+
+        {quoteBom && <BomResults bom={quoteBom} onClose={() => setQuoteBom(null)} />}
+      </div>
+    </div>
+  );
+};
+
+export default PartLists;
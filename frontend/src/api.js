@@ -0,0 +1,72 @@
+// Update this with your actual Railway backend URL
+export const API_BASE_URL = process.env.REACT_APP_API_URL ||
+  (process.env.NODE_ENV === 'production'
+    ? 'https://blue-collar-buddy-production.up.railway.app'  // Replace with your actual Railway URL
+    : 'http://localhost:3001');
+
+const TOKEN_KEY = 'bca.sessionToken';
+
+export const getToken = () => localStorage.getItem(TOKEN_KEY);
+
+export const setToken = (token) => {
+  if (token) localStorage.setItem(TOKEN_KEY, token);
+  else localStorage.removeItem(TOKEN_KEY);
+};
+
+// Called with no arguments when the server rejects the session
+let onUnauthorized = () => {};
+export const setUnauthorizedHandler = (handler) => {
+  onUnauthorized = handler;
+};
+
+// fetch() against the backend with the session token attached
+export const apiFetch = async (path, options = {}) => {
+  const token = getToken();
+  const response = await fetch(`${API_BASE_URL}${path}`, {
+    ...options,
+    headers: {
+      'Accept': 'application/json',
+      ...(token ? { 'Authorization': `Bearer ${token}` } : {}),
+      ...options.headers
+    }
+  });
+
+  if (response.status === 401 && token) {
+    setToken(null);
+    onUnauthorized();
+  }
+  return response;
+};
+
+// Full URL with the token in the query string, for EventSource, which can't
+// send an Authorization header. The server only takes a token this way on
+// event streams; download anything else with apiFetch.
+export const authedUrl = (path) => {
+  const url = new URL(`${API_BASE_URL}${path}`);
+  const token = getToken();
+  if (token) url.searchParams.set('access_token', token);
+  return url.toString();
+};
+
+// Message for a `quota_exceeded` error body, saying when the quota resets;
+// null for any other body
+// Links from the API (product pages) are only followed when they're http(s)
+export const webUrl = (value) => {
+  try {
+    const url = new URL(String(value));
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url.toString() : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+export const quotaMessage = (data) => {
+  if (!data || data.code !== 'quota_exceeded') return null;
+
+  const resetsAt = new Date(data.quota.resetsAt);
+  const when = data.quota.period === 'month'
+    ? `on ${resetsAt.toLocaleDateString()}`
+    : `at ${resetsAt.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+  const upgrade = data.plan && data.plan.id === 'free' ? ' Ask an administrator about Pro for higher limits.' : '';
+  return `${data.error}. It resets ${when}.${upgrade}`;
+};